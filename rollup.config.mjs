@@ -62,7 +62,11 @@ const main = {
     ...sharedConfig,
     input: 'src/main.js',
     output: {
-        file: `dist/aide.js`,
+        // large dependencies, such as the byte pair encoding, are imported
+        // dynamically and so are split into chunks of their own
+        dir: 'dist',
+        entryFileNames: 'aide.js',
+        chunkFileNames: 'chunks/[name]-[hash].js',
         format: 'es',
         sourcemap: true,
         banner,
@@ -98,10 +102,17 @@ const main = {
 // Test bundle configuration
 const tests = {
     ...sharedConfig,
+    // suites register themselves when imported, so their modules are kept
+    // although nothing they export is used
+    treeshake: {
+        ...sharedConfig.treeshake,
+        moduleSideEffects: id => id.endsWith('.test.js'),
+    },
     input: 'src/**/*.test.js',
     output: {
         file: `dist/aide.test.js`,
         format: 'es',
+        inlineDynamicImports: true,
         sourcemap: true,
         banner,
         compact: false
@@ -112,7 +123,9 @@ const tests = {
             include: ['**/*.test.js']
         }),
         combine({
-            // Add combine options if needed
+            // suites in different directories may share a file name, which
+            // rules out exporting each under its name
+            exports: 'import',
         }),
         ...createCommonPlugins(isProduction)
     ]
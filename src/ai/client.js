@@ -1,7 +1,61 @@
-// import {Anthropic} from './provider/anthropic.js';
+import {AIError} from './errors.js';
+import {Anthropic} from './provider/anthropic.js';
 import {DeepInfra} from './provider/deepinfra.js';
+import {Ollama} from './provider/ollama.js';
 import {OpenAI} from './provider/openai';
 
+/**
+ * MAX_TOOL_ROUNDS is the number of times the model may be asked to respond in
+ * a single generation; tools are withheld on the last round to force an answer
+ * @type {number}
+ */
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * RERANK_PROMPT asks a chat model to rate documents for reranking
+ * @type {string}
+ */
+const RERANK_PROMPT = `You rate how relevant documents are to a query from a tabletop roleplaying game conversation.
+Rate each document from 0 (irrelevant) to 10 (answers the query). Reply only with a JSON array of the ratings, in the
+order of the documents, such as [7, 0, 3].`;
+
+/**
+ * REWRITE_MESSAGES is the number of recent messages a chat model reads to
+ * write search queries; older turns rarely matter to the latest question
+ * @type {number}
+ */
+const REWRITE_MESSAGES = 6;
+
+/**
+ * REWRITE_MESSAGE_LENGTH is the number of characters of each message the
+ * chat model reads to write search queries
+ * @type {number}
+ */
+const REWRITE_MESSAGE_LENGTH = 2000;
+
+/**
+ * MAX_SUBQUERIES is the number of sub-queries which may follow a search query
+ * @type {number}
+ */
+const MAX_SUBQUERIES = 3;
+
+/**
+ * REWRITE_PROMPT asks a chat model to turn a conversation into search queries
+ * @type {string}
+ */
+const REWRITE_PROMPT = `You write search queries for the notes of a tabletop roleplaying game.
+Given a conversation, write one standalone search query for the information needed to answer the last message.
+Replace pronouns and references such as "she" or "that town" with the names they refer to, and leave out anything the
+last message does not need. Reply only with the query in a <query> element.`;
+
+/**
+ * REWRITE_SUBQUERIES_PROMPT allows the model to split a question into
+ * sub-queries, when it is asked for them
+ * @type {string}
+ */
+const REWRITE_SUBQUERIES_PROMPT = `If the last message asks about several things, you may follow the query with up
+to ${MAX_SUBQUERIES} more <query> elements, one for each thing.`;
+
 /**
  * Client provides AI capabilities including text embedding and chat generation.
  * @implements {AIProvider}
@@ -17,6 +71,12 @@ import {OpenAI} from './provider/openai';
  *
  * Supports multiple AI providers through a common interface.
  *
+ * Requests which fail with a rate limit, a server error or a network error are
+ * retried with exponential backoff and jitter, honoring any Retry-After given
+ * by the service unless it asks for a longer wait than the longest delay.
+ * Embedding requests are retried batch by batch. Failures are reported as
+ * typed AIErrors.
+ *
  * @example
  * ```javascript
  * const client = Client.create("deepinfra", {apiKey: "my-api-key"});
@@ -46,15 +106,30 @@ export class Client {
     /** @type {AIProvider} */
     #implementation = null;
 
+    /** @type {RetryOptions} */
+    #retry = {
+        maxAttempts: 5,
+        baseDelay: 1000,
+        maxDelay: 30000,
+    };
+
     /**
      * @private
      * @param {AIProvider} implementation
+     * @param {Partial<RetryOptions>} [retry]
      */
-    constructor(implementation) {
+    constructor(implementation, retry = {}) {
         if (!implementation) {
             throw new Error('Direct construction is not supported. Use Client.create() instead.');
         }
         this.#implementation = implementation;
+
+        for (const [key, value] of Object.entries(retry)) {
+            if (key in this.#retry && Number.isFinite(Number(value))) {
+                this.#retry[key] = Number(value);
+            }
+        }
+        this.#retry.maxAttempts = Math.max(1, this.#retry.maxAttempts);
     }
 
     /**
@@ -64,8 +139,9 @@ export class Client {
      * @returns {Client}
      */
     static create(settings) {
-        const implementation = Client.#createImplementation(settings);
-        return new Client(implementation);
+        const {maxAttempts, ...providerSettings} = settings;
+        const implementation = Client.#createImplementation(providerSettings);
+        return new Client(implementation, maxAttempts === undefined ? {} : {maxAttempts});
     }
 
     /**
@@ -73,7 +149,7 @@ export class Client {
      * @returns {Promise<string[]>}
      */
     async getChatModels() {
-        return this.#implementation.getChatModels();
+        return this.#withRetry(() => this.#implementation.getChatModels());
     }
 
     /**
@@ -81,22 +157,37 @@ export class Client {
      * @returns {Promise<string[]>}
      */
     async getEmbeddingModels() {
-        return this.#implementation.getEmbeddingModels();
+        return this.#withRetry(() => this.#implementation.getEmbeddingModels());
     }
 
     /**
      * Generate creates a chat response based on the query and provided context
      *
+     * When a toolbox is given and the provider supports tool calling, the model
+     * may call those tools while it answers. Each call is run and its result
+     * returned to the model until it produces a final answer. The calls made
+     * are reported in `toolCalls` on the stream, each with a short status
+     * describing it, and `onToolCall` is told about each one as it starts, so
+     * that it can be shown apart from the answer.
+     *
      * @param {string} model
      * @param {ContextDocument[]} context
      * @param {string} title
      * @param {ConversationMessage[]} query
      * @param {boolean} [stream=false]
-     * @returns {Promise<string> | AsyncGenerator<string, string>}
+     * @param {Toolbox} [toolbox]
+     * @returns {Promise<string> | GenerateStream}
      */
-    async generate(model, context, title, query, stream = false) {
+    async generate(model, context, title, query, stream = false, toolbox = undefined) {
         query = this.#formatChatInput(context, title, query);
-        return this.#implementation.generate(model, context, query, stream);
+
+        if (toolbox && toolbox.size > 0 && this.#implementation.supportsTools === true) {
+            return stream
+                ? this.#streamWithTools(model, context, query, toolbox)
+                : this.#generateWithTools(model, context, query, toolbox);
+        }
+
+        return this.#withRetry(() => this.#implementation.generate(model, context, query, stream));
     }
 
     /**
@@ -108,7 +199,63 @@ export class Client {
      * @returns {Promise<EmbeddingDocument>}
      */
     async embed(model, id, chunks) {
-        return this.#implementation.embed(model, id, chunks);
+        // each batch is retried on its own, so that batches already embedded are not paid for again
+        return this.#implementation.embed(model, id, chunks, request => this.#withRetry(request));
+    }
+
+    /**
+     * Rerank scores how relevant each document is to a query
+     *
+     * A reranker (cross-encoder) model reads the query and each document
+     * together. With the `llm` method, a chat model is asked to rate the
+     * documents instead, which works with any provider.
+     *
+     * @param {string} model
+     * @param {string} query
+     * @param {string[]} documents
+     * @param {'cross-encoder'|'llm'} [method='cross-encoder']
+     * @returns {Promise<number[]>} a score from 0 to 1 for each document, in order
+     * @throws {Error} if the provider cannot run reranker models, or the chat
+     *         model does not reply with ratings
+     */
+    async rerank(model, query, documents, method = 'cross-encoder') {
+        if (method === 'llm') {
+            return this.#rerankWithChat(model, query, documents);
+        }
+        if (this.#implementation.supportsRerank !== true) {
+            throw new Error('The provider does not support reranker models');
+        }
+        return this.#withRetry(() => this.#implementation.rerank(model, query, documents));
+    }
+
+    /**
+     * RewriteQuery asks a chat model for a standalone search query for the
+     * last message of a conversation
+     *
+     * Follow-up questions such as "what does she want?" mean little on their
+     * own, while searching the whole conversation favors whatever it talked
+     * about first. The model reads the recent messages and names what the last
+     * one is asking about. With sub-queries, it may also split a question about
+     * several things into a query for each.
+     *
+     * @param {string} model
+     * @param {ConversationMessage[]} messages
+     * @param {boolean} [subqueries=false]
+     * @returns {Promise<string[]>} the search query, followed by any sub-queries
+     * @throws {Error} if the chat model does not reply with a query
+     */
+    async rewriteQuery(model, messages, subqueries = false) {
+        const transcript = messages.slice(-REWRITE_MESSAGES)
+            .map(({role, content}) =>
+                `<message role="${role}">${(content ?? '').slice(0, REWRITE_MESSAGE_LENGTH)}</message>`);
+        const prompt = subqueries ? `${REWRITE_PROMPT}\n${REWRITE_SUBQUERIES_PROMPT}` : REWRITE_PROMPT;
+        const request = [
+            {role: 'system', content: prompt},
+            {role: 'user', content: `<conversation>\n${transcript.join('\n')}\n</conversation>`},
+        ];
+        const response = await this.#withRetry(() => this.#implementation.generate(model, [], request, false));
+        const queries = parseQueries(typeof response === 'string' ? response : response.content);
+        return queries.slice(0, subqueries ? MAX_SUBQUERIES + 1 : 1);
     }
 
     /**
@@ -119,14 +266,11 @@ export class Client {
     static #createImplementation(settings) {
         switch (settings.provider.toLowerCase()) {
             case 'anthropic':
-                throw new Error('Unsupported provider: Anthropic');
-                // disabled temporarily as Anthropic does not support embeddings
-                // fixme: re-enable when Anthropic supports embeddings or when we
-                //       have the ability to separate the chat and embedding
-                //       providers
-                // return new Anthropic(configuration);
+                return new Anthropic(settings);
             case 'deepinfra':
                 return new DeepInfra(settings);
+            case 'ollama':
+                return new Ollama(settings);
             case 'openai':
                 return new OpenAI(settings);
             default:
@@ -134,6 +278,216 @@ export class Client {
         }
     }
 
+    /**
+     * backoff returns the number of milliseconds to wait before a retry
+     *
+     * A Retry-After given by the service takes precedence; `withRetry` has
+     * already given up on one longer than the longest delay. Otherwise the delay
+     * grows exponentially with each attempt, with full jitter so that clients
+     * which were throttled together do not retry together.
+     *
+     * @private
+     * @param {number} attempt - the attempt which just failed, starting at 1
+     * @param {AIError} error
+     * @returns {number}
+     */
+    #backoff(attempt, error) {
+        if (typeof error.retryAfter === 'number') {
+            return error.retryAfter;
+        }
+
+        const ceiling = Math.min(this.#retry.maxDelay, this.#retry.baseDelay * (2 ** (attempt - 1)));
+        return Math.random() * ceiling;
+    }
+
+    /**
+     * rerankWithChat asks a chat model to rate documents
+     * @private
+     * @param {string} model
+     * @param {string} query
+     * @param {string[]} documents
+     * @returns {Promise<number[]>}
+     */
+    async #rerankWithChat(model, query, documents) {
+        const listed = documents.map((document, i) => `<document index="${i + 1}">${document}</document>`);
+        const messages = [
+            {role: 'system', content: RERANK_PROMPT},
+            {role: 'user', content: `<query>${query}</query>\n${listed.join('\n')}`},
+        ];
+        const response = await this.#withRetry(() => this.#implementation.generate(model, [], messages, false));
+        return parseRatings(typeof response === 'string' ? response : response.content, documents.length);
+    }
+
+    /**
+     * generateWithTools runs the tool-call loop for a non-streaming response
+     *
+     * @private
+     * @param {string} model
+     * @param {ContextDocument[]} context
+     * @param {ConversationMessage[]} messages
+     * @param {Toolbox} toolbox
+     * @returns {Promise<string>}
+     */
+    async #generateWithTools(model, context, messages, toolbox) {
+        for (let round = 1; ; round++) {
+            const tools = round < MAX_TOOL_ROUNDS ? toolbox.definitions() : undefined;
+            const result = await this.#withRetry(() =>
+                this.#implementation.generate(model, context, messages, false, tools));
+
+            if (typeof result === 'string') {
+                return result;
+            }
+
+            if (result.toolCalls.length === 0) {
+                return result.content;
+            }
+
+            messages.push(this.#toolCallMessage(result.content, result.toolCalls));
+            for (const call of result.toolCalls) {
+                messages.push(this.#toolResultMessage(call, await toolbox.execute(call)));
+            }
+        }
+    }
+
+    /**
+     * streamWithTools runs the tool-call loop for a streaming response
+     *
+     * @private
+     * @param {string} model
+     * @param {ContextDocument[]} context
+     * @param {ConversationMessage[]} messages
+     * @param {Toolbox} toolbox
+     * @returns {GenerateStream}
+     */
+    #streamWithTools(model, context, messages, toolbox) {
+        const client = this;
+        let current = null;
+        let aborted = false;
+
+        const generation = {
+            toolCalls: [],
+            onToolCall: null,
+            [Symbol.asyncIterator]: async function* () {
+                let written = false;
+                let separate = false;
+                for (let round = 1; ; round++) {
+                    if (aborted) {
+                        const error = new Error('Generation aborted');
+                        error.name = 'AbortError';
+                        throw error;
+                    }
+
+                    const tools = round < MAX_TOOL_ROUNDS ? toolbox.definitions() : undefined;
+                    current = await client.#withRetry(() =>
+                        client.#implementation.generate(model, context, messages, true, tools));
+
+                    let content = '';
+                    for await (const token of current) {
+                        // text written before and after a tool call are separate paragraphs
+                        if (separate) {
+                            separate = false;
+                            yield '\n\n';
+                        }
+                        content += token;
+                        written = true;
+                        yield token;
+                    }
+
+                    const calls = current.toolCalls ?? [];
+                    if (calls.length === 0) {
+                        return;
+                    }
+
+                    messages.push(client.#toolCallMessage(content, calls));
+                    for (const call of calls) {
+                        const record = {name: call.name, arguments: call.arguments, status: toolbox.status(call)};
+                        generation.toolCalls.push(record);
+                        generation.onToolCall?.(record);
+
+                        const result = await toolbox.execute(call);
+                        messages.push(client.#toolResultMessage(call, result));
+                    }
+                    separate = written;
+                }
+            },
+            abort: () => {
+                aborted = true;
+                current?.abort?.();
+            }
+        };
+
+        return generation;
+    }
+
+    /**
+     * toolCallMessage records the assistant's tool calls in the conversation
+     * @private
+     * @param {string} content
+     * @param {ToolCall[]} calls
+     * @returns {object}
+     */
+    #toolCallMessage(content, calls) {
+        return {
+            role: 'assistant',
+            content: content || null,
+            tool_calls: calls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: {
+                    name: call.name,
+                    arguments: JSON.stringify(call.arguments)
+                }
+            }))
+        };
+    }
+
+    /**
+     * toolResultMessage returns the result of a tool call to the model
+     * @private
+     * @param {ToolCall} call
+     * @param {string} result
+     * @returns {object}
+     */
+    #toolResultMessage(call, result) {
+        return {
+            role: 'tool',
+            tool_call_id: call.id,
+            name: call.name,
+            content: result
+        };
+    }
+
+    /**
+     * withRetry runs a request, retrying it while the failure is transient
+     *
+     * A service asking for a longer wait than the longest delay is not
+     * retried, since waiting that long would stall everything behind it.
+     *
+     * @private
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>}
+     * @throws {AIError} once the error is not retryable or attempts run out
+     */
+    async #withRetry(fn) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                const retryable = error instanceof AIError && error.retryable
+                    && (error.retryAfter ?? 0) <= this.#retry.maxDelay;
+                if (!retryable || attempt >= this.#retry.maxAttempts) {
+                    throw error;
+                }
+
+                const delay = this.#backoff(attempt, error);
+                await new Promise(resolve => {
+                    setTimeout(resolve, delay);
+                });
+            }
+        }
+    }
+
     /**
      * Formats context and query for the chat model
      * @private
@@ -154,7 +508,13 @@ Here's the essential context for your operation:
 <user_name>${game.user.name}</user_name>
 
 When referencing context documents found in <context /> provided by the user, they will be formatted as:
+<source id="[Citation Number]" uuid="[Document UUID]">
 <JournalEntry title="[Document Title]">[Content]</JournalEntry>
+</source>
+Actors, items, scenes and roll tables are formatted the same way, using <Actor>, <Item>, <Scene> and <RollTable>.
+When you use information from a context document, cite it by putting its citation number in square brackets at the
+end of the sentence, such as [1], or [1][3] for several documents. Only cite context documents, and never invent
+citation numbers.
 
 Your task is to provide helpful, accurate, and concise responses to user queries. You MUST follow these guidelines:
 1. For simple inquiries, offer brief, direct answers (1-2 sentences).
@@ -175,12 +535,14 @@ sure about X', respond as a friend brainstorming together rather than an expert
 
 <context>
 `;
-        SYSTEM_PROMPT += context.map(doc =>
-            `<JournalEntry title="${doc.name}">${doc.text.content}</JournalEntry>`)
+        // sources are numbered in the order given, which the chat records on the answer
+        SYSTEM_PROMPT += context
+            .map((doc, i) => `<source id="${i + 1}" uuid="${doc.uuid}">\n${doc.content}\n</source>`)
             .join('\n');
 
         SYSTEM_PROMPT += '</context>';
 
+        conversation = conversation.map(({role, content}) => ({role, content}));
         const query = conversation[conversation.length - 1];
         const previousMessages = conversation.slice(0, -1);
         if (previousMessages.length > 0) {
@@ -205,3 +567,37 @@ sure about X', respond as a friend brainstorming together rather than an expert
         return formattedMessages;
     }
 }
+
+/**
+ * parseRatings reads the ratings a chat model gave documents, from 0 to 10,
+ * as scores from 0 to 1; documents it did not rate score 0
+ * @param {string} reply
+ * @param {number} count - the number of documents rated
+ * @returns {number[]}
+ * @throws {Error} if the reply holds no ratings
+ */
+function parseRatings(reply, count) {
+    const match = /\[[\d\s.,]*\]/.exec(reply ?? '');
+    if (!match) {
+        throw new Error('The chat model did not rate the documents');
+    }
+
+    const ratings = match[0].match(/\d+(\.\d+)?/g) ?? [];
+    return Array.from({length: count}, (_, i) => Math.min(Number(ratings[i] ?? 0), 10) / 10);
+}
+
+/**
+ * parseQueries reads the search queries a chat model wrote, without
+ * duplicates
+ * @param {string} reply
+ * @returns {string[]}
+ * @throws {Error} if the reply holds no query
+ */
+function parseQueries(reply) {
+    const queries = Array.from((reply ?? '').matchAll(/<query>([\s\S]*?)<\/query>/g), match => match[1].trim())
+        .filter(Boolean);
+    if (queries.length === 0) {
+        throw new Error('The chat model did not write a search query');
+    }
+    return Array.from(new Set(queries));
+}
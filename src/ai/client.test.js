@@ -1,7 +1,10 @@
 
 import { Suite } from '../../test/quench';
 import { Client } from './client';
+import { AuthenticationError, RateLimitError, ServerError } from './errors';
 import { MockAIProvider } from './provider/provider.mock';
+import { embedInBatches } from './provider/batch';
+import { Toolbox } from './tools';
 
 import jsmock from '../../test/jsmock';
 const { MockController } = jsmock;
@@ -48,16 +51,117 @@ export default function ClientTest(quench) {
         });
     });
 
+    describe('reranking', () => {
+        it('scores documents with a reranker model', async () => {
+            client = new Client({
+                supportsRerank: true,
+                rerank: async (model, query, documents) => documents.map(document => (document === 'b' ? 0.9 : 0.1)),
+            });
+            assert.deepEqual(await client.rerank('reranker', 'query', ['a', 'b']), [0.1, 0.9]);
+        });
+
+        it('asks a chat model to rate documents', async () => {
+            let messages;
+            client = new Client({
+                generate: async (model, context, query) => {
+                    messages = query;
+                    return 'Ratings: [2, 10]';
+                },
+            });
+
+            assert.deepEqual(await client.rerank('chat', 'Who owns the mill?', ['a', 'b', 'c'], 'llm'), [0.2, 1, 0]);
+            assert.include(messages[1].content, '<query>Who owns the mill?</query>');
+            assert.include(messages[1].content, '<document index="2">b</document>');
+        });
+
+        it('rejects replies without ratings', async () => {
+            client = new Client({generate: async () => 'They are all relevant.'});
+            try {
+                await client.rerank('chat', 'query', ['a'], 'llm');
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.match(error.message, /did not rate/);
+            }
+        });
+
+        it('rejects providers without reranker models', async () => {
+            try {
+                await client.rerank('reranker', 'query', ['a']);
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.match(error.message, /does not support reranker models/);
+            }
+        });
+    });
+
+    describe('query rewriting', () => {
+        const messages = [
+            {role: 'user', content: 'Who is Valeska?', time: 0},
+            {role: 'assistant', content: 'A merchant in Millbrook.', time: 1},
+            {role: 'user', content: 'What does she want, and who is her rival?', time: 2},
+        ];
+
+        it('asks a chat model for a standalone query', async () => {
+            let request;
+            client = new Client({
+                generate: async (model, context, query) => {
+                    request = query;
+                    return '<query>What does Valeska want?</query><query>Valeska rival</query>';
+                },
+            });
+
+            assert.deepEqual(await client.rewriteQuery('chat', messages), ['What does Valeska want?']);
+            assert.notInclude(request[0].content, 'more <query> elements');
+            assert.include(request[1].content, '<message role="assistant">A merchant in Millbrook.</message>');
+        });
+
+        it('keeps sub-queries when asked for them', async () => {
+            client = new Client({
+                generate: async (model, context, query) => {
+                    assert.include(query[0].content, 'more <query> elements');
+                    return '<query>Valeska goals</query>\n<query>Valeska rival</query>\n<query>Valeska goals</query>';
+                },
+            });
+
+            assert.deepEqual(await client.rewriteQuery('chat', messages, true), ['Valeska goals', 'Valeska rival']);
+        });
+
+        it('only reads the recent messages', async () => {
+            let request;
+            client = new Client({
+                generate: async (model, context, query) => {
+                    request = query;
+                    return '<query>mill</query>';
+                },
+            });
+
+            const long = Array.from({length: 10}, (_, i) => ({role: 'user', content: `message ${i}`, time: i}));
+            await client.rewriteQuery('chat', long);
+            assert.notInclude(request[1].content, 'message 3');
+            assert.include(request[1].content, 'message 4');
+        });
+
+        it('rejects replies without a query', async () => {
+            client = new Client({generate: async () => 'Valeska wants the mill.'});
+            try {
+                await client.rewriteQuery('chat', messages);
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.match(error.message, /did not write a search query/);
+            }
+        });
+    });
+
     describe('chat generation', () => {
         const context = [{
-            id: 'doc1',
-            title: 'Test Document',
-            content: 'test context'
+            uuid: 'JournalEntry.doc1.JournalEntryPage.page1',
+            content: '<JournalEntry title="Test Document">test context</JournalEntry>'
         }];
+        const query = [{role: 'user', content: 'test query', time: 0}];
 
         it('generates non-streaming response', async () => {
-            mock.EXPECT().generate('model1', context, 'test query', false).Return('Hello, world!');
-            const result = await client.generate('model1', context, 'test query');
+            mock.EXPECT().generate('model1', context, jsmock.AnyArray, false).Return('Hello, world!');
+            const result = await client.generate('model1', context, 'Test', query);
             assert.equal(result, 'Hello, world!');
         });
 
@@ -69,8 +173,8 @@ export default function ClientTest(quench) {
                 }
                 return tokens[tokens.length - 1];
             })();
-            mock.EXPECT().generate('model1', context, 'test query', true).Return(generator);
-            const stream = await client.generate('model1', context, 'test query', true);
+            mock.EXPECT().generate('model1', context, jsmock.AnyArray, true).Return(generator);
+            const stream = await client.generate('model1', context, 'Test', query, true);
             assert(stream[Symbol.asyncIterator], 'Response should be an AsyncGenerator');
             let i = 0;
             for await (const token of stream) {
@@ -78,12 +182,235 @@ export default function ClientTest(quench) {
             }
             assert.equal(i, tokens.length, 'All tokens should be processed');
         });
+
+        it('numbers the context documents so they can be cited', async () => {
+            let messages;
+            client = new Client({
+                generate: async (model, documents, request) => {
+                    messages = request;
+                    return 'Valeska owns the mill [1].';
+                },
+            });
+
+            await client.generate('model1', context, 'Test', query);
+            const system = messages.find(message => message.content.includes('<context>')).content;
+            assert.include(system, '<source id="1" uuid="JournalEntry.doc1.JournalEntryPage.page1">\n'
+                + '<JournalEntry title="Test Document">test context</JournalEntry>\n</source>');
+            assert.include(system, 'cite it by putting its citation number in square brackets');
+        });
+    });
+
+    describe('tool calling', () => {
+        const call = {id: 'call_1', name: 'lookup', arguments: {name: 'Bob'}};
+        const query = [{role: 'user', content: 'Who is Bob?', time: 0}];
+
+        let toolbox;
+        let requests;
+
+        /**
+         * provider returns a fake tool-capable provider which answers each
+         * request with the next response in turn
+         */
+        const provider = responses => ({
+            supportsTools: true,
+            generate: async (model, context, messages, stream, tools) => {
+                requests.push({messages: structuredClone(messages), tools});
+                return responses.shift();
+            }
+        });
+
+        const streamOf = (tokens, toolCalls = []) => ({
+            toolCalls,
+            [Symbol.asyncIterator]: async function* () {
+                yield* tokens;
+            },
+            abort: () => {}
+        });
+
+        beforeEach(() => {
+            requests = [];
+            toolbox = new Toolbox();
+            toolbox.register({
+                name: 'lookup',
+                description: 'Look up a person',
+                parameters: {type: 'object', properties: {name: {type: 'string'}}},
+                status: ({name}) => `Looking up ${name}`,
+                handler: async ({name}) => `${name} is a blacksmith`,
+            });
+        });
+
+        it('runs tool calls until the model answers', async () => {
+            client = new Client(provider([
+                {content: '', toolCalls: [call]},
+                {content: 'Bob is a blacksmith.', toolCalls: []},
+            ]));
+
+            const result = await client.generate('model1', [], 'Test', query, false, toolbox);
+            assert.equal(result, 'Bob is a blacksmith.');
+            assert.equal(requests.length, 2);
+            assert.deepEqual(requests[0].tools, toolbox.definitions());
+
+            const messages = requests[1].messages;
+            assert.deepEqual(messages[messages.length - 1], {
+                role: 'tool',
+                tool_call_id: 'call_1',
+                name: 'lookup',
+                content: 'Bob is a blacksmith'
+            });
+            assert.equal(messages[messages.length - 2].tool_calls[0].function.arguments, '{"name":"Bob"}');
+        });
+
+        it('reports the status of tool calls apart from the answer', async () => {
+            client = new Client(provider([
+                streamOf(['Let me check.'], [call]),
+                streamOf(['Bob ', 'is a blacksmith.']),
+            ]));
+
+            const stream = await client.generate('model1', [], 'Test', query, true, toolbox);
+            const started = [];
+            stream.onToolCall = record => started.push(record.status);
+            let content = '';
+            for await (const token of stream) {
+                content += token;
+            }
+
+            assert.equal(content, 'Let me check.\n\nBob is a blacksmith.');
+            assert.deepEqual(started, ['Looking up Bob']);
+            assert.deepEqual(stream.toolCalls, [{name: 'lookup', arguments: {name: 'Bob'}, status: 'Looking up Bob'}]);
+        });
+
+        it('withholds tools on the final round', async () => {
+            const responses = Array.from({length: 4}, () => ({content: '', toolCalls: [call]}));
+            client = new Client(provider([...responses, 'Done.']));
+
+            const result = await client.generate('model1', [], 'Test', query, false, toolbox);
+            assert.equal(result, 'Done.');
+            assert.equal(requests.length, 5);
+            assert.isUndefined(requests[4].tools);
+        });
+
+        it('ignores tools when the provider does not support them', async () => {
+            mock.EXPECT().generate('model1', [], jsmock.AnyArray, false).Return('No tools.');
+            const result = await client.generate('model1', [], 'Test', query, false, toolbox);
+            assert.equal(result, 'No tools.');
+        });
+    });
+
+    describe('retries', () => {
+        beforeEach(() => {
+            client = new Client(mock, {maxAttempts: 3, baseDelay: 0, maxDelay: 0});
+        });
+
+        it('retries rate limited requests', async () => {
+            let calls = 0;
+            mock.EXPECT().getChatModels().DoAndReturn(() => {
+                if (calls++ === 0) {
+                    throw new RateLimitError('Test API error: 429', {status: 429, retryAfter: 0});
+                }
+                return ['model1'];
+            }).Times(2);
+
+            const result = await client.getChatModels();
+            assert.deepEqual(result, ['model1']);
+        });
+
+        it('retries server errors until attempts run out', async () => {
+            mock.EXPECT().getEmbeddingModels().DoAndReturn(() => {
+                throw new ServerError('Test API error: 503', {status: 503});
+            }).Times(3);
+
+            try {
+                await client.getEmbeddingModels();
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.instanceOf(error, ServerError);
+            }
+        });
+
+        it('retries only the embedding batch which failed', async () => {
+            const batches = [];
+            client = new Client({
+                embed: async (model, id, chunks, retry) => ({
+                    id,
+                    vectors: await embedInBatches(chunks, 1, async batch => {
+                        batches.push(batch[0]);
+                        if (batches.length === 2) {
+                            throw new RateLimitError('Test API error: 429', {status: 429, retryAfter: 0});
+                        }
+                        return [[batch[0].length]];
+                    }, retry),
+                }),
+            }, {maxAttempts: 3, baseDelay: 0, maxDelay: 0});
+
+            const result = await client.embed('model1', 'doc1', ['a', 'bb', 'ccc']);
+            assert.deepEqual(result.vectors, [[1], [2], [3]]);
+            assert.deepEqual(batches, ['a', 'bb', 'bb', 'ccc']);
+        });
+
+        it('does not retry authentication errors', async () => {
+            mock.EXPECT().getEmbeddingModels().DoAndReturn(() => {
+                throw new AuthenticationError('Test API error: 401', {status: 401});
+            }).Times(1);
+
+            try {
+                await client.getEmbeddingModels();
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.instanceOf(error, AuthenticationError);
+            }
+        });
+
+        it('honors Retry-After', async () => {
+            client = new Client(mock, {maxAttempts: 2, baseDelay: 0, maxDelay: 100});
+
+            let calls = 0;
+            mock.EXPECT().getChatModels().DoAndReturn(() => {
+                if (calls++ === 0) {
+                    throw new RateLimitError('Test API error: 429', {status: 429, retryAfter: 50});
+                }
+                return ['model1'];
+            }).Times(2);
+
+            const start = Date.now();
+            await client.getChatModels();
+            assert.isAtLeast(Date.now() - start, 45);
+        });
+
+        it('gives up when asked to wait longer than the longest delay', async () => {
+            client = new Client(mock, {maxAttempts: 3, baseDelay: 0, maxDelay: 1000});
+            mock.EXPECT().getChatModels().DoAndReturn(() => {
+                throw new RateLimitError('Test API error: 429', {status: 429, retryAfter: 3600000});
+            }).Times(1);
+
+            try {
+                await client.getChatModels();
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.instanceOf(error, RateLimitError);
+            }
+        });
     });
 
     describe('factory creation', () => {
         it('creates client with provider configuration', () => {
             assert.throws(() => Client.create({provider: 'invalid'}), /Unsupported provider/);
-            // Additional provider creation tests would go here once we have real providers
+        });
+
+        it('creates an ollama client without an API key', () => {
+            const client = Client.create({provider: 'ollama', apiKey: ''});
+            assert.instanceOf(client, Client);
+        });
+
+        it('creates an anthropic chat client', async () => {
+            const client = Client.create({provider: 'anthropic', apiKey: 'test-key'});
+            assert.instanceOf(client, Client);
+
+            try {
+                await client.getEmbeddingModels();
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.match(error.message, /does not support embeddings/);
+            }
         });
     });
 }
@@ -0,0 +1,232 @@
+/**
+ * AIError is the base class for errors returned by an AI service
+ *
+ * Each error carries the provider name and, where there was a response, the
+ * HTTP status. The `notification` key identifies a localized message which
+ * can be shown to the user in place of the raw error.
+ */
+export class AIError extends Error {
+    /** @type {string} */
+    provider;
+
+    /** @type {number|undefined} */
+    status;
+
+    /**
+     * @param {string} message
+     * @param {{provider?: string, status?: number, cause?: Error}} [options]
+     */
+    constructor(message, {provider, status, cause} = {}) {
+        super(message, {cause});
+        this.name = 'AIError';
+        this.provider = provider;
+        this.status = status;
+    }
+
+    /**
+     * notification is the localization key for a user-facing description
+     * @returns {string}
+     */
+    get notification() {
+        return `aide.errors.${this.name}`;
+    }
+
+    /**
+     * retryable indicates whether the same request may succeed if repeated
+     * @returns {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * AuthenticationError indicates that the API key is missing or invalid
+ */
+export class AuthenticationError extends AIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthenticationError';
+    }
+}
+
+/**
+ * BadRequestError indicates that the service rejected the request itself
+ */
+export class BadRequestError extends AIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'BadRequestError';
+    }
+}
+
+/**
+ * NetworkError indicates that the service could not be reached
+ */
+export class NetworkError extends AIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * QuotaExceededError indicates that the account has run out of credit
+ *
+ * Unlike a rate limit, waiting will not help.
+ */
+export class QuotaExceededError extends AIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'QuotaExceededError';
+    }
+}
+
+/**
+ * RateLimitError indicates that too many requests have been made recently
+ */
+export class RateLimitError extends AIError {
+    /**
+     * retryAfter is the number of milliseconds the service asked us to wait
+     * @type {number|null}
+     */
+    retryAfter;
+
+    /**
+     * @param {string} message
+     * @param {{provider?: string, status?: number, cause?: Error, retryAfter?: number|null}} [options]
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'RateLimitError';
+        this.retryAfter = options.retryAfter ?? null;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * ServerError indicates that the service failed to handle a valid request
+ */
+export class ServerError extends AIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ServerError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * errorFromResponse creates the appropriate error for a failed response
+ *
+ * @param {string} provider
+ * @param {Response} response
+ * @returns {Promise<AIError>}
+ */
+export async function errorFromResponse(provider, response) {
+    const {status} = response;
+    const message = `${provider} API error: ${status}`;
+    const options = {provider, status};
+
+    if (status === 401 || status === 403) {
+        return new AuthenticationError(message, options);
+    }
+
+    if (status === 402) {
+        return new QuotaExceededError(message, options);
+    }
+
+    if (status === 429) {
+        // OpenAI-compatible services report an exhausted balance as a 429
+        const body = await readBody(response);
+        const code = body?.error?.code ?? body?.error?.type;
+        if (code === 'insufficient_quota') {
+            return new QuotaExceededError(message, options);
+        }
+        return new RateLimitError(message, {...options, retryAfter: parseRetryAfter(response)});
+    }
+
+    if (status >= 500) {
+        return new ServerError(message, options);
+    }
+
+    return new BadRequestError(message, options);
+}
+
+/**
+ * request performs a fetch against an AI service
+ *
+ * Failures to reach the service become a NetworkError, and unsuccessful
+ * responses become the matching AIError. Aborted requests are rethrown as-is.
+ *
+ * @param {string} provider
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ * @throws {AIError}
+ */
+export async function request(provider, url, options) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        throw new NetworkError(`${provider} API unreachable: ${error.message}`, {provider, cause: error});
+    }
+
+    if (!response.ok) {
+        throw await errorFromResponse(provider, response);
+    }
+
+    return response;
+}
+
+/**
+ * parseRetryAfter reads the Retry-After header as a number of milliseconds
+ *
+ * The header may be given either in seconds or as an HTTP date.
+ *
+ * @param {Response} response
+ * @returns {number|null}
+ */
+function parseRetryAfter(response) {
+    const header = response.headers?.get?.('retry-after');
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (Number.isFinite(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * @param {Response} response
+ * @returns {Promise<object|null>}
+ */
+async function readBody(response) {
+    try {
+        return await response.json();
+    } catch (e) {
+        return null;
+    }
+}
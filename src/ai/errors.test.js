@@ -0,0 +1,132 @@
+import { Suite } from '../../test/quench';
+import {
+    AuthenticationError,
+    BadRequestError,
+    NetworkError,
+    QuotaExceededError,
+    RateLimitError,
+    ServerError,
+    errorFromResponse,
+    request,
+} from './errors';
+
+Suite('ai.errors', ErrorsTest);
+export default function ErrorsTest({describe, it, assert, beforeEach, afterEach}) {
+    const response = (status, {headers = {}, body = null} = {}) => ({
+        ok: status < 400,
+        status,
+        headers: new Headers(headers),
+        json: async () => body,
+    });
+
+    describe('response classification', () => {
+        /**
+         * @type {Array<{
+         *   name: string,
+         *   status: number,
+         *   body?: object,
+         *   expect: Function,
+         *   retryable: boolean
+         * }>}
+         */
+        const testCases = [
+            {name: 'unauthorized', status: 401, expect: AuthenticationError, retryable: false},
+            {name: 'forbidden', status: 403, expect: AuthenticationError, retryable: false},
+            {name: 'payment required', status: 402, expect: QuotaExceededError, retryable: false},
+            {
+                name: 'insufficient quota',
+                status: 429,
+                body: {error: {code: 'insufficient_quota'}},
+                expect: QuotaExceededError,
+                retryable: false
+            },
+            {name: 'too many requests', status: 429, expect: RateLimitError, retryable: true},
+            {name: 'bad request', status: 400, expect: BadRequestError, retryable: false},
+            {name: 'not found', status: 404, expect: BadRequestError, retryable: false},
+            {name: 'internal error', status: 500, expect: ServerError, retryable: true},
+            {name: 'overloaded', status: 529, expect: ServerError, retryable: true},
+        ];
+
+        testCases.forEach(({name, status, body, expect, retryable}) => {
+            it(name, async () => {
+                const error = await errorFromResponse('Test', response(status, {body}));
+                assert.instanceOf(error, expect);
+                assert.equal(error.message, `Test API error: ${status}`);
+                assert.equal(error.status, status);
+                assert.equal(error.provider, 'Test');
+                assert.equal(error.retryable, retryable);
+                assert.equal(error.notification, `aide.errors.${expect.name}`);
+            });
+        });
+
+        it('reads Retry-After in seconds', async () => {
+            const error = await errorFromResponse('Test', response(429, {headers: {'Retry-After': '2'}}));
+            assert.equal(error.retryAfter, 2000);
+        });
+
+        it('reads Retry-After as a date', async () => {
+            const date = new Date(Date.now() + 60000).toUTCString();
+            const error = await errorFromResponse('Test', response(429, {headers: {'Retry-After': date}}));
+            assert.isAbove(error.retryAfter, 0);
+            assert.isAtMost(error.retryAfter, 60000);
+        });
+
+        it('leaves Retry-After unset when absent', async () => {
+            const error = await errorFromResponse('Test', response(429));
+            assert.isNull(error.retryAfter);
+        });
+    });
+
+    describe('requests', () => {
+        let originalFetch;
+
+        beforeEach(() => {
+            originalFetch = globalThis.fetch;
+        });
+
+        afterEach(() => {
+            globalThis.fetch = originalFetch;
+        });
+
+        it('returns successful responses', async () => {
+            globalThis.fetch = async () => response(200);
+            const result = await request('Test', 'https://example.com');
+            assert.equal(result.status, 200);
+        });
+
+        it('throws typed errors for failed responses', async () => {
+            globalThis.fetch = async () => response(401);
+            try {
+                await request('Test', 'https://example.com');
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.instanceOf(error, AuthenticationError);
+            }
+        });
+
+        it('wraps network failures', async () => {
+            globalThis.fetch = async () => {
+                throw new TypeError('Failed to fetch');
+            };
+            try {
+                await request('Test', 'https://example.com');
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.instanceOf(error, NetworkError);
+                assert.isTrue(error.retryable);
+            }
+        });
+
+        it('rethrows aborts unchanged', async () => {
+            globalThis.fetch = async () => {
+                throw new DOMException('The user aborted a request.', 'AbortError');
+            };
+            try {
+                await request('Test', 'https://example.com');
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.equal(error.name, 'AbortError');
+            }
+        });
+    });
+}
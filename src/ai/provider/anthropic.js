@@ -1,12 +1,24 @@
+import {AIError, ServerError, request} from '../errors';
+import {readServerSentEvents} from './stream';
+
+/**
+ * ANTHROPIC_VERSION is the Messages API version this provider targets
+ * @type {string}
+ */
+const ANTHROPIC_VERSION = '2023-06-01';
+
 /**
  * Anthropic provides AI capabilities using Anthropic's Claude models
+ *
+ * Anthropic does not offer an embedding API, so this provider may only be
+ * used for chat generation. A separate embedding provider must be configured.
+ *
  * @implements {AIProvider}
  */
 export class Anthropic {
     #apiKey = null;
     #baseUrl = 'https://api.anthropic.com/v1';
     #chatModels = null;
-    #embeddingModels = null;
 
     /**
      * @param {AIProviderSettings} config
@@ -15,7 +27,18 @@ export class Anthropic {
         if (!config.apiKey) {
             throw new Error('Anthropic API key is required');
         }
+
+        delete config.provider;
+
         this.#apiKey = config.apiKey;
+        delete config.apiKey;
+
+        if (config.baseURL) {
+            this.#baseUrl = config.baseURL;
+        }
+        delete config.baseURL;
+
+        this.config = config;
     }
 
     /**
@@ -26,111 +49,79 @@ export class Anthropic {
             return this.#chatModels;
         }
 
-        const response = await fetch(`${this.#baseUrl}/models`, {
-            headers: {
-                'x-api-key': this.#apiKey,
-                'anthropic-version': '2023-06-01'
-            }
+        const response = await request('Anthropic', `${this.#baseUrl}/models?limit=1000`, {
+            headers: this.#headers()
         });
 
-        if (!response.ok) {
-            throw new Error(`Anthropic API error: ${response.status}`);
-        }
-
         const data = await response.json();
-        this.#chatModels = data.models
-            .filter(model => model.capabilities.completion)
-            .map(model => model.id);
+        this.#chatModels = data.data
+            .map(model => model.id)
+            .sort((a, b) => a.localeCompare(b));
 
         return this.#chatModels;
     }
 
     /**
      * @returns {Promise<string[]>}
+     * @throws {Error} Anthropic does not support embeddings
      */
     async getEmbeddingModels() {
-        if (this.#embeddingModels !== null) {
-            return this.#embeddingModels;
-        }
-
-        const response = await fetch(`${this.#baseUrl}/models`, {
-            headers: {
-                'x-api-key': this.#apiKey,
-                'anthropic-version': '2023-06-01'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Anthropic API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        this.#embeddingModels = data.models
-            .filter(model => model.capabilities.embedding)
-            .map(model => model.id);
-
-        return this.#embeddingModels;
+        throw new Error('Anthropic does not support embeddings');
     }
 
     /**
      * @param {string} model
      * @param {ContextDocument[]} context
-     * @param {string} query
+     * @param {ConversationMessage[]} query
      * @param {boolean} [stream=false]
-     * @returns {Promise<string> | AsyncGenerator<string, string>}
+     * @returns {Promise<string> | GenerateStream}
      */
     async generate(model, context, query, stream = false) {
-        const systemPrompt = `You are a helpful AI assistant. Use this context to answer the user's question:
-${context.map(doc => `# ${doc.title}\n${doc.content}`).join('\n\n')}`;
-
-        const messages = [
-            { role: 'user', content: query }
-        ];
+        const controller = new AbortController();
+        const {system, messages} = this.#formatMessages(query);
 
-        const response = await fetch(`${this.#baseUrl}/messages`, {
+        const response = await request('Anthropic', `${this.#baseUrl}/messages`, {
             method: 'POST',
+            signal: controller.signal,
             headers: {
                 'Content-Type': 'application/json',
-                'x-api-key': this.#apiKey,
-                'anthropic-version': '2023-06-01'
+                ...this.#headers()
             },
             body: JSON.stringify({
                 model,
                 messages,
-                system: systemPrompt,
+                system,
+                ...this.#options(),
                 stream
             })
         });
 
-        if (!response.ok) {
-            throw new Error(`Anthropic API error: ${response.status}`);
-        }
-
         if (stream) {
             const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-
-            return (async function* () {
-                while (true) {
-                    const {done, value} = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n').filter(line => line.trim());
-
-                    for (const line of lines) {
-                        if (line.startsWith('data: ')) {
-                            const data = JSON.parse(line.slice(6));
-                            if (data.type === 'content_block_delta' && data.delta?.text) {
-                                yield data.delta.text;
-                            }
+
+            return {
+                [Symbol.asyncIterator]: async function* () {
+                    for await (const event of readServerSentEvents(reader)) {
+                        if (event.type === 'error') {
+                            const message = `Anthropic API error: ${event.error?.message}`;
+                            throw event.error?.type === 'overloaded_error'
+                                ? new ServerError(message, {provider: 'Anthropic'})
+                                : new AIError(message, {provider: 'Anthropic'});
+                        }
+
+                        if (event.type === 'content_block_delta' && event.delta?.text) {
+                            yield event.delta.text;
                         }
                     }
-                }
-            })();
+                },
+                abort: () => controller.abort()
+            };
         } else {
             const data = await response.json();
-            return data.content[0].text;
+            return data.content
+                .filter(block => block.text !== undefined)
+                .map(block => block.text)
+                .join('');
         }
     }
 
@@ -139,34 +130,91 @@ ${context.map(doc => `# ${doc.title}\n${doc.content}`).join('\n\n')}`;
      * @param {string} id
      * @param {Chunk[]} chunks
      * @returns {Promise<EmbeddingDocument>}
+     * @throws {Error} Anthropic does not support embeddings
      */
     async embed(model, id, chunks) {
-        const responses = await Promise.all(
-            chunks.map(chunk =>
-                fetch(`${this.#baseUrl}/embeddings`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'x-api-key': this.#apiKey,
-                        'anthropic-version': '2023-06-01'
-                    },
-                    body: JSON.stringify({
-                        model,
-                        input: chunk
-                    })
-                }).then(async r => {
-                    if (!r.ok) {
-                        throw new Error(`Anthropic API error: ${r.status}`);
-                    }
-                    const response = await r.json();
-                    return response.embedding;
-                })
-            )
-        );
+        throw new Error('Anthropic does not support embeddings');
+    }
+
+    /**
+     * formatMessages maps the conversation onto the Messages API format
+     *
+     * The Messages API takes the system prompt as a separate field and
+     * requires that the conversation alternates between the user and the
+     * assistant, starting with the user.
+     *
+     * @private
+     * @param {ConversationMessage[] | string} query
+     * @returns {{system: string, messages: {role: string, content: string}[]}}
+     */
+    #formatMessages(query) {
+        if (typeof query === 'string') {
+            query = [{role: 'user', content: query}];
+        }
+
+        const system = [];
+        const messages = [];
+        for (const {role, content} of query) {
+            if (role === 'system') {
+                // the previous_messages markers only make sense when the history
+                // is inlined alongside the system prompt
+                if (!/^<\/?previous_messages>$/.test(content)) {
+                    system.push(content);
+                }
+                continue;
+            }
+
+            const last = messages[messages.length - 1];
+            if (last && last.role === role) {
+                last.content += `\n\n${content}`;
+                continue;
+            }
+
+            messages.push({role, content});
+        }
+
+        if (messages.length > 0 && messages[0].role !== 'user') {
+            messages.unshift({role: 'user', content: '...'});
+        }
+
+        return {system: system.join('\n\n'), messages};
+    }
 
+    /**
+     * @private
+     * @returns {object}
+     */
+    #headers() {
         return {
-            id,
-            vectors: responses
+            'x-api-key': this.#apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    /**
+     * options maps the configured sampling parameters onto the Messages API
+     * @private
+     * @returns {object}
+     */
+    #options() {
+        const options = {
+            max_tokens: Number(this.config.maxTokens) || 1024
         };
+
+        if (this.config.temperature !== undefined) {
+            // Anthropic only accepts temperatures between 0 and 1
+            options.temperature = Math.min(Number(this.config.temperature), 1);
+        }
+
+        if (this.config.topP !== undefined) {
+            options.top_p = Number(this.config.topP);
+        }
+
+        if (Number(this.config.topK) > 0) {
+            options.top_k = Number(this.config.topK);
+        }
+
+        return options;
     }
 }
@@ -31,19 +31,9 @@ export default function AnthropicProviderTest({describe, it, assert, beforeEach,
                 return {
                     ok: true,
                     json: async () => ({
-                        models: [
-                            {
-                                id: 'model1',
-                                capabilities: { completion: true, embedding: false }
-                            },
-                            {
-                                id: 'model2',
-                                capabilities: { completion: false, embedding: true }
-                            },
-                            {
-                                id: 'model3',
-                                capabilities: { completion: false, embedding: false }
-                            }
+                        data: [
+                            {id: 'claude-3-opus-20240229', type: 'model'},
+                            {id: 'claude-3-5-haiku-20241022', type: 'model'},
                         ]
                     })
                 };
@@ -53,17 +43,19 @@ export default function AnthropicProviderTest({describe, it, assert, beforeEach,
         it('caches chat models', async () => {
             const models1 = await provider.getChatModels();
             const models2 = await provider.getChatModels();
-            assert.deepEqual(models1, ['model1']);
-            assert.deepEqual(models2, ['model1']);
+            assert.deepEqual(models1, ['claude-3-5-haiku-20241022', 'claude-3-opus-20240229']);
+            assert.deepEqual(models2, ['claude-3-5-haiku-20241022', 'claude-3-opus-20240229']);
             assert.equal(fetchCount, 1, 'Should only fetch once');
         });
 
-        it('caches embedding models', async () => {
-            const models1 = await provider.getEmbeddingModels();
-            const models2 = await provider.getEmbeddingModels();
-            assert.deepEqual(models1, ['model2']);
-            assert.deepEqual(models2, ['model2']);
-            assert.equal(fetchCount, 1, 'Should only fetch once');
+        it('refuses to list embedding models', async () => {
+            try {
+                await provider.getEmbeddingModels();
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.match(error.message, /does not support embeddings/);
+            }
+            assert.equal(fetchCount, 0, 'Should not fetch');
         });
     });
 
@@ -134,46 +126,122 @@ export default function AnthropicProviderTest({describe, it, assert, beforeEach,
             }
             assert.deepEqual(received, ['Hello', ' world']);
         });
-    });
+        it('splits lines across reads', async () => {
+            const chunks = [
+                'event: content_block_delta\ndata: {"type":"content_block_delta","del',
+                'ta":{"text":"Hello"}}\n\nevent: message_stop\ndata: {"type":"message_stop"}\n\n'
+            ];
 
-    describe('embedding', () => {
-        it('embeds document chunks', async () => {
-            const mockEmbedding = [0.1, 0.2, 0.3];
+            let chunkIndex = 0;
             globalThis.fetch = async () => ({
                 ok: true,
-                json: async () => ({
-                    embedding: mockEmbedding
-                })
+                body: {
+                    getReader: () => ({
+                        read: async () => {
+                            if (chunkIndex >= chunks.length) {
+                                return { done: true };
+                            }
+                            return {
+                                done: false,
+                                value: new TextEncoder().encode(chunks[chunkIndex++])
+                            };
+                        }
+                    })
+                }
             });
 
-            /** @type {Chunk[]} */
-            const chunks = ['chunk1', 'chunk2'];
+            const stream = await provider.generate('claude-3-opus-20240229', context, query, true);
+            const received = [];
+            for await (const chunk of stream) {
+                received.push(chunk);
+            }
+            assert.deepEqual(received, ['Hello']);
+        });
 
-            const result = await provider.embed(
-                'claude-3-sonnet-20240229-embedding',
-                'test-doc',
-                chunks
-            );
+        it('aborts streaming response', async () => {
+            let signal;
+            globalThis.fetch = async (url, options) => {
+                signal = options.signal;
+                return {
+                    ok: true,
+                    body: {
+                        getReader: () => ({
+                            read: async () => ({ done: true })
+                        })
+                    }
+                };
+            };
 
-            assert.equal(result.id, 'test-doc');
-            assert.deepEqual(result.vectors, [mockEmbedding, mockEmbedding]);
+            const stream = await provider.generate('claude-3-opus-20240229', context, query, true);
+            assert.isFunction(stream.abort);
+            stream.abort();
+            assert.isTrue(signal.aborted);
         });
 
-        it('handles embedding errors', async () => {
-            globalThis.fetch = async () => ({
-                ok: false,
-                status: 400
+        it('maps system messages and history onto the Messages API', async () => {
+            let body;
+            globalThis.fetch = async (url, options) => {
+                body = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({content: [{type: 'text', text: 'ok'}]})
+                };
+            };
+
+            await provider.generate('claude-3-opus-20240229', context, [
+                {role: 'system', content: '<previous_messages>'},
+                {role: 'user', content: 'first question', time: 1},
+                {role: 'assistant', content: 'first answer', time: 2},
+                {role: 'system', content: '</previous_messages>'},
+                {role: 'system', content: 'system prompt'},
+                {role: 'user', content: 'second question', time: 3},
+            ]);
+
+            assert.equal(body.system, 'system prompt');
+            assert.deepEqual(body.messages, [
+                {role: 'user', content: 'first question'},
+                {role: 'assistant', content: 'first answer'},
+                {role: 'user', content: 'second question'},
+            ]);
+        });
+
+        it('passes sampling parameters', async () => {
+            let body;
+            globalThis.fetch = async (url, options) => {
+                body = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({content: [{type: 'text', text: 'ok'}]})
+                };
+            };
+
+            const configured = new Anthropic({
+                provider: 'anthropic',
+                apiKey: 'test-key',
+                temperature: 1.5,
+                maxTokens: 300,
+                topP: 0.9,
+                topK: 0,
             });
+            await configured.generate('claude-3-opus-20240229', context, query);
+
+            assert.equal(body.max_tokens, 300);
+            assert.equal(body.temperature, 1);
+            assert.equal(body.top_p, 0.9);
+            assert.isUndefined(body.top_k);
+            assert.isUndefined(body.apiKey);
+        });
+    });
+
+    describe('embedding', () => {
+        it('refuses to embed documents', async () => {
+            globalThis.fetch = async () => assert.fail('Should not fetch');
 
             try {
-                await provider.embed(
-                    'claude-3-sonnet-20240229-embedding',
-                    'test-doc',
-                    ['chunk']
-                );
+                await provider.embed('claude-3-opus-20240229', 'test-doc', ['chunk']);
                 assert.fail('Should have thrown an error');
             } catch (error) {
-                assert.equal(error.message, 'Anthropic API error: 400');
+                assert.match(error.message, /does not support embeddings/);
             }
         });
     });
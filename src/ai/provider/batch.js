@@ -0,0 +1,72 @@
+/**
+ * DEFAULT_BATCH_SIZE is the number of chunks sent per embedding request when
+ * no batch size has been configured
+ * @type {number}
+ */
+export const DEFAULT_BATCH_SIZE = 32;
+
+/**
+ * SHRINKABLE_STATUSES are the response statuses which indicate that a request
+ * may succeed if it is split into smaller batches
+ * @type {number[]}
+ */
+const SHRINKABLE_STATUSES = [400, 413];
+
+/**
+ * batchSize returns the configured batch size clamped to the provider maximum
+ *
+ * @param {number|string|undefined} configured
+ * @param {number} maximum
+ * @returns {number}
+ */
+export function batchSize(configured, maximum) {
+    const size = parseInt(configured, 10);
+    if (!Number.isFinite(size) || size < 1) {
+        return Math.min(DEFAULT_BATCH_SIZE, maximum);
+    }
+    return Math.min(size, maximum);
+}
+
+/**
+ * embedInBatches embeds inputs in batches, preserving their order
+ *
+ * When a batch is rejected as too large, it is halved and retried until it
+ * either succeeds or cannot be split any further. The reduced size is kept for
+ * the remaining batches. Each request is made through `retry`, so that a
+ * transient failure repeats only the batch which failed.
+ *
+ * @param {Chunk[]} inputs
+ * @param {number} size
+ * @param {(batch: Chunk[]) => Promise<Vector[]>} embedBatch
+ * @param {RequestRetry} [retry] - runs a request, retrying transient failures
+ * @returns {Promise<Vector[]>}
+ * @throws {Error} if a batch of a single input fails, or any other error occurs
+ */
+export async function embedInBatches(inputs, size, embedBatch, retry = request => request()) {
+    const vectors = [];
+    let offset = 0;
+
+    while (offset < inputs.length) {
+        const batch = inputs.slice(offset, offset + size);
+
+        let embedded;
+        try {
+            embedded = await retry(() => embedBatch(batch));
+        } catch (error) {
+            if (batch.length > 1 && SHRINKABLE_STATUSES.includes(error.status)) {
+                size = Math.ceil(batch.length / 2);
+                continue;
+            }
+            throw error;
+        }
+
+        if (embedded.length !== batch.length) {
+            throw new Error(`Expected ${batch.length} embeddings, received ${embedded.length}`);
+        }
+
+        vectors.push(...embedded);
+        offset += batch.length;
+    }
+
+    return vectors;
+}
@@ -0,0 +1,88 @@
+import { Suite } from '../../../test/quench';
+import { DEFAULT_BATCH_SIZE, batchSize, embedInBatches } from './batch';
+
+Suite('ai.provider.batch', BatchTest);
+export default function BatchTest({describe, it, assert}) {
+    const failWith = status => {
+        const error = new Error(`API error: ${status}`);
+        error.status = status;
+        return error;
+    };
+
+    describe('batch size', () => {
+        it('uses the default when unset', () => {
+            assert.equal(batchSize(undefined, 2048), DEFAULT_BATCH_SIZE);
+            assert.equal(batchSize('', 2048), DEFAULT_BATCH_SIZE);
+        });
+
+        it('respects the provider maximum', () => {
+            assert.equal(batchSize(512, 256), 256);
+            assert.equal(batchSize(undefined, 8), 8);
+        });
+
+        it('accepts numeric strings from settings', () => {
+            assert.equal(batchSize('16', 256), 16);
+        });
+    });
+
+    describe('batching', () => {
+        it('preserves input order across batches', async () => {
+            const batches = [];
+            const vectors = await embedInBatches(['a', 'b', 'c'], 2, async batch => {
+                batches.push(batch);
+                return batch.map(input => [input.charCodeAt(0)]);
+            });
+
+            assert.deepEqual(batches, [['a', 'b'], ['c']]);
+            assert.deepEqual(vectors, [[97], [98], [99]]);
+        });
+
+        it('halves batches rejected with 400', async () => {
+            const sizes = [];
+            const vectors = await embedInBatches(['a', 'b', 'c', 'd'], 4, async batch => {
+                sizes.push(batch.length);
+                if (batch.length > 2) {
+                    throw failWith(400);
+                }
+                return batch.map(() => [1]);
+            });
+
+            assert.deepEqual(sizes, [4, 2, 2]);
+            assert.equal(vectors.length, 4);
+        });
+
+        it('gives up when a single input is rejected', async () => {
+            try {
+                await embedInBatches(['a', 'b'], 2, async () => {
+                    throw failWith(413);
+                });
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.equal(error.status, 413);
+            }
+        });
+
+        it('does not retry other errors', async () => {
+            let calls = 0;
+            try {
+                await embedInBatches(['a', 'b'], 2, async () => {
+                    calls++;
+                    throw failWith(401);
+                });
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.equal(error.status, 401);
+            }
+            assert.equal(calls, 1);
+        });
+
+        it('rejects responses with missing embeddings', async () => {
+            try {
+                await embedInBatches(['a', 'b'], 2, async () => [[1]]);
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.match(error.message, /Expected 2 embeddings, received 1/);
+            }
+        });
+    });
+}
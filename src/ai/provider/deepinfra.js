@@ -1,3 +1,14 @@
+import {request} from '../errors';
+import {batchSize, embedInBatches} from './batch';
+import {readServerSentEvents} from './stream';
+import {collectToolCallDeltas, parseToolCalls} from './tool_calls';
+
+/**
+ * MAX_BATCH_SIZE is the largest number of inputs sent in one embeddings request
+ * @type {number}
+ */
+const MAX_BATCH_SIZE = 1024;
+
 /**
  * DeepInfra provides AI capabilities using DeepInfra's model hosting
  * @implements {AIProvider}
@@ -5,6 +16,8 @@
 export class DeepInfra {
     #apiKey = null;
     #baseUrl = 'https://api.deepinfra.com/v1/openai';
+    #inferenceUrl = 'https://api.deepinfra.com/v1/inference';
+    #batchSize;
     #chatModels = null;
     #embeddingModels = null;
 
@@ -21,9 +34,13 @@ export class DeepInfra {
 
         if (config.baseURL) {
             this.#baseUrl = config.baseURL;
+            this.#inferenceUrl = config.baseURL.replace(/\/openai\/?$/, '/inference');
             delete config.baseURL;
         }
 
+        this.#batchSize = batchSize(config.batchSize, MAX_BATCH_SIZE);
+        delete config.batchSize;
+
         this.config = config;
     }
 
@@ -35,16 +52,12 @@ export class DeepInfra {
             return this.#chatModels;
         }
 
-        const response = await fetch(`${this.#baseUrl}/models`, {
+        const response = await request('DeepInfra', `${this.#baseUrl}/models`, {
             headers: {
                 'Authorization': `Bearer ${this.#apiKey}`
             }
         });
 
-        if (!response.ok) {
-            throw new Error(`DeepInfra API error: ${response.status}`);
-        }
-
         const data = await response.json();
         this.#chatModels = data.data
             .filter(model => !model.id.toLowerCase().includes('embed'))
@@ -101,16 +114,40 @@ export class DeepInfra {
     }
 
     /**
+     * supportsTools indicates that the chat completions endpoint accepts tools
+     * @returns {boolean}
+     */
+    get supportsTools() {
+        return true;
+    }
+
+    /**
+     * supportsRerank indicates that reranker models can be run
+     * @returns {boolean}
+     */
+    get supportsRerank() {
+        return true;
+    }
+
+    /**
+     * generate creates a chat completion
+     *
+     * When tools are offered, the response also reports the tool calls the model
+     * made: as `toolCalls` alongside the content, or on the stream once it has
+     * been read to the end.
+     *
      * @param {string} model
      * @param {ContextDocument[]} context
      * @param {ConversationMessage[]} query
      * @param {boolean} [stream=false]
-     * @returns {Promise<string> | GenerateStream}
+     * @param {ToolDefinition[]} [tools]
+     * @returns {Promise<string | GenerateResult> | GenerateStream}
      */
-    async generate(model, context, query, stream = false) {
+    async generate(model, context, query, stream = false, tools = undefined) {
         const controller = new AbortController();
+        const useTools = Array.isArray(tools) && tools.length > 0;
 
-        const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+        const response = await request('DeepInfra', `${this.#baseUrl}/chat/completions`, {
             method: 'POST',
             signal: controller.signal,
             headers: {
@@ -118,56 +155,43 @@ export class DeepInfra {
                 'Authorization': `Bearer ${this.#apiKey}`
             },
             body: JSON.stringify({
-                model: model,
+                model,
                 messages: query,
                 ...this.config,
+                ...(useTools ? {tools} : {}),
                 stream
             })
         });
 
-        if (!response.ok) {
-            throw new Error(`DeepInfra API error: ${response.status}`);
-        }
-
         if (stream) {
             const reader = response.body.getReader();
-            const decoder = new TextDecoder();
+            const pending = [];
 
-            return {
+            const generation = {
+                toolCalls: [],
                 [Symbol.asyncIterator]: async function* () {
-                    try {
-                        while (true) {
-                            const {done, value} = await reader.read();
-                            if (done) break;
-
-                            const chunk = decoder.decode(value);
-                            const lines = chunk.split('\n').filter(line => line.trim());
-
-                            for (const line of lines) {
-                                if (line === 'data: [DONE]') {
-                                    continue;
-                                }
-
-                                if (line.startsWith('data: ')) {
-                                    try {
-                                        const data = JSON.parse(line.slice(6));
-                                        if (data.choices?.[0]?.delta?.content) {
-                                            yield data.choices[0].delta.content;
-                                        }
-                                    } catch (e) {
-                                    }
-                                }
-                            }
+                    for await (const data of readServerSentEvents(reader)) {
+                        const delta = data.choices?.[0]?.delta;
+                        collectToolCallDeltas(pending, delta?.tool_calls);
+                        if (delta?.content) {
+                            yield delta.content;
                         }
-                    } finally {
-                        reader.releaseLock();
                     }
+                    generation.toolCalls.push(...parseToolCalls(pending));
                 },
                 abort: () => controller.abort()
-            }
+            };
+            return generation;
         } else {
             const data = await response.json();
-            return data.choices[0].message.content;
+            const message = data.choices[0].message;
+            if (!useTools) {
+                return message.content;
+            }
+            return {
+                content: message.content ?? '',
+                toolCalls: parseToolCalls(message.tool_calls)
+            };
         }
     }
 
@@ -175,16 +199,12 @@ export class DeepInfra {
      * @param {string} model
      * @param {string} id
      * @param {Chunk[]} inputs
+     * @param {RequestRetry} [retry]
      * @returns {Promise<EmbeddingDocument>}
      */
-    async embed(model, id, inputs) {
-        const data = {
-            id,
-            vectors: []
-        };
-
-        for (const input of inputs) {
-            const response = await fetch(`${this.#baseUrl}/embeddings`, {
+    async embed(model, id, inputs, retry = undefined) {
+        const vectors = await embedInBatches(inputs, this.#batchSize, async input => {
+            const response = await request('DeepInfra', `${this.#baseUrl}/embeddings`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -193,14 +213,37 @@ export class DeepInfra {
                 body: JSON.stringify({input, model})
             });
 
-            if (!response.ok) {
-                throw new Error(`DeepInfra API error: ${response.status}`);
-            }
-
             const output = await response.json();
-            data.vectors.push(output.data[0].embedding);
-        }
+            return output.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        }, retry);
+
+        return {
+            id,
+            vectors
+        };
+    }
+
+    /**
+     * rerank scores how relevant each document is to a query with a reranker
+     * model, such as BAAI/bge-reranker-v2-m3
+     * @param {string} model
+     * @param {string} query
+     * @param {string[]} documents
+     * @returns {Promise<number[]>} a score from 0 to 1 for each document, in order
+     */
+    async rerank(model, query, documents) {
+        const response = await request('DeepInfra', `${this.#inferenceUrl}/${model}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.#apiKey}`
+            },
+            body: JSON.stringify({queries: [query], documents})
+        });
 
-        return data;
+        const output = await response.json();
+        return output.scores;
     }
 }
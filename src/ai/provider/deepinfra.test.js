@@ -129,12 +129,17 @@ export default function DeepInfraProviderTest({describe, it, assert, beforeEach,
     describe('embedding', () => {
         it('embeds document chunks', async () => {
             const mockEmbeddings = [[0.1, 0.2, 0.3], [0.4, 0.5, 0.6]];
-            globalThis.fetch = async () => ({
-                ok: true,
-                json: async () => ({
-                    embeddings: mockEmbeddings
-                })
-            });
+            let fetchCount = 0;
+            globalThis.fetch = async (url, options) => {
+                fetchCount++;
+                const {input} = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({
+                        data: input.map((chunk, index) => ({index, embedding: mockEmbeddings[index]}))
+                    })
+                };
+            };
 
             /** @type {Chunk[]} */
             const chunks = ['chunk1', 'chunk2'];
@@ -147,6 +152,43 @@ export default function DeepInfraProviderTest({describe, it, assert, beforeEach,
 
             assert.equal(result.id, 'test-doc');
             assert.deepEqual(result.vectors, mockEmbeddings);
+            assert.equal(fetchCount, 1, 'Should embed both chunks in one request');
+        });
+
+        it('embeds chunks in configured batches', async () => {
+            const batches = [];
+            globalThis.fetch = async (url, options) => {
+                const {input} = JSON.parse(options.body);
+                batches.push(input);
+                return {
+                    ok: true,
+                    json: async () => ({
+                        data: input.map((chunk, index) => ({index, embedding: [Number(chunk)]}))
+                    })
+                };
+            };
+
+            const batched = new DeepInfra({apiKey: 'test-key', batchSize: 2});
+            const result = await batched.embed('BAAI/bge-large-en-v1.5', 'test-doc', ['1', '2', '3', '4', '5']);
+
+            assert.deepEqual(batches, [['1', '2'], ['3', '4'], ['5']]);
+            assert.deepEqual(result.vectors, [[1], [2], [3], [4], [5]]);
+        });
+
+        it('reranks documents', async () => {
+            let requested;
+            globalThis.fetch = async (url, options) => {
+                requested = {url, body: JSON.parse(options.body)};
+                return {
+                    ok: true,
+                    json: async () => ({scores: [0.1, 0.9]})
+                };
+            };
+
+            const scores = await provider.rerank('BAAI/bge-reranker-v2-m3', 'Who owns the mill?', ['a', 'b']);
+            assert.deepEqual(scores, [0.1, 0.9]);
+            assert.equal(requested.url, 'https://api.deepinfra.com/v1/inference/BAAI/bge-reranker-v2-m3');
+            assert.deepEqual(requested.body, {queries: ['Who owns the mill?'], documents: ['a', 'b']});
         });
 
         it('handles embedding errors', async () => {
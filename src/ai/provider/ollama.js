@@ -0,0 +1,332 @@
+import {AIError, request} from '../errors';
+import {batchSize, embedInBatches} from './batch';
+import {readLines} from './stream';
+import {parseToolCalls} from './tool_calls';
+
+/**
+ * MAX_BATCH_SIZE is the largest number of inputs sent in one embed request
+ *
+ * Local servers process a batch in one pass, so very large batches mostly
+ * increase memory pressure on the host.
+ *
+ * @type {number}
+ */
+const MAX_BATCH_SIZE = 256;
+
+/**
+ * Ollama provides AI capabilities using a local or self-hosted model server
+ *
+ * It targets Ollama's native API (and llama.cpp-style servers exposing the
+ * same endpoints), which requires no API key and can run entirely offline.
+ *
+ * @implements {AIProvider}
+ */
+export class Ollama {
+    #apiKey = null;
+    #baseUrl = 'http://localhost:11434';
+    #batchSize;
+    #models = null;
+
+    /** @type {Map<string, boolean>} whether each chat model accepts tools */
+    #toolSupport = new Map();
+
+    /**
+     * @param {AIProviderSettings} config
+     */
+    constructor(config) {
+        delete config.provider;
+
+        if (config.apiKey) {
+            this.#apiKey = config.apiKey;
+        }
+        delete config.apiKey;
+
+        if (config.baseURL) {
+            this.#baseUrl = config.baseURL.replace(/\/+$/, '');
+        }
+        delete config.baseURL;
+
+        this.#batchSize = batchSize(config.batchSize, MAX_BATCH_SIZE);
+        delete config.batchSize;
+
+        this.config = config;
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    async getChatModels() {
+        const models = await this.#getModels();
+        return models
+            .filter(model => !this.#isEmbeddingModel(model))
+            .map(model => model.name);
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    async getEmbeddingModels() {
+        const models = await this.#getModels();
+        return models
+            .filter(model => this.#isEmbeddingModel(model))
+            .map(model => model.name);
+    }
+
+    /**
+     * supportsTools indicates that the chat endpoint accepts tools
+     *
+     * Not every model does, and the server rejects requests offering tools to
+     * one which does not, so tools are only sent to models which report tool
+     * support.
+     *
+     * @returns {boolean}
+     */
+    get supportsTools() {
+        return true;
+    }
+
+    /**
+     * @param {string} model
+     * @param {ContextDocument[]} context
+     * @param {ConversationMessage[]} query
+     * @param {boolean} [stream=false]
+     * @param {ToolDefinition[]} [tools]
+     * @returns {Promise<string | GenerateResult> | GenerateStream}
+     */
+    async generate(model, context, query, stream = false, tools = undefined) {
+        const controller = new AbortController();
+        const useTools = Array.isArray(tools) && tools.length > 0 && await this.#acceptsTools(model);
+
+        if (typeof query === 'string') {
+            query = [{role: 'user', content: query}];
+        }
+
+        const response = await request('Ollama', `${this.#baseUrl}/api/chat`, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: this.#headers(),
+            body: JSON.stringify({
+                model,
+                messages: query.map(message => this.#formatMessage(message)),
+                options: this.#options(),
+                ...(useTools ? {tools} : {}),
+                stream
+            })
+        });
+
+        if (stream) {
+            const reader = response.body.getReader();
+
+            const generation = {
+                toolCalls: [],
+                [Symbol.asyncIterator]: async function* () {
+                    for await (const line of readLines(reader)) {
+                        let data;
+                        try {
+                            data = JSON.parse(line);
+                        } catch (e) {
+                            continue;
+                        }
+
+                        if (data.error) {
+                            throw new AIError(`Ollama API error: ${data.error}`, {provider: 'Ollama'});
+                        }
+
+                        if (data.message?.tool_calls) {
+                            generation.toolCalls.push(...parseToolCalls(data.message.tool_calls));
+                        }
+
+                        if (data.message?.content) {
+                            yield data.message.content;
+                        }
+
+                        if (data.done) {
+                            break;
+                        }
+                    }
+                },
+                abort: () => controller.abort()
+            };
+            return generation;
+        } else {
+            const data = await response.json();
+            if (!useTools) {
+                return data.message.content;
+            }
+            return {
+                content: data.message.content ?? '',
+                toolCalls: parseToolCalls(data.message.tool_calls)
+            };
+        }
+    }
+
+    /**
+     * @param {string} model
+     * @param {string} id
+     * @param {Chunk[]} inputs
+     * @param {RequestRetry} [retry]
+     * @returns {Promise<EmbeddingDocument>}
+     */
+    async embed(model, id, inputs, retry = undefined) {
+        const vectors = await embedInBatches(inputs, this.#batchSize, async input => {
+            const response = await request('Ollama', `${this.#baseUrl}/api/embed`, {
+                method: 'POST',
+                headers: this.#headers(),
+                body: JSON.stringify({model, input})
+            });
+
+            const data = await response.json();
+            return data.embeddings;
+        }, retry);
+
+        return {
+            id,
+            vectors
+        };
+    }
+
+    /**
+     * formatMessage maps an OpenAI-style message onto Ollama's chat format
+     *
+     * Ollama expects tool call arguments as an object rather than a JSON string.
+     *
+     * @private
+     * @param {object} message
+     * @returns {object}
+     */
+    #formatMessage({role, content, tool_calls: toolCalls}) {
+        if (!toolCalls) {
+            return {role, content};
+        }
+
+        return {
+            role,
+            content,
+            tool_calls: parseToolCalls(toolCalls).map(call => ({
+                function: {name: call.name, arguments: call.arguments}
+            }))
+        };
+    }
+
+    /**
+     * getModels lists the models installed on the server
+     * @private
+     * @returns {Promise<object[]>}
+     */
+    async #getModels() {
+        if (this.#models !== null) {
+            return this.#models;
+        }
+
+        const response = await request('Ollama', `${this.#baseUrl}/api/tags`, {
+            headers: this.#headers()
+        });
+
+        const data = await response.json();
+        this.#models = data.models
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return this.#models;
+    }
+
+    /**
+     * acceptsTools returns whether a model can be offered tools
+     *
+     * Servers list a model's capabilities; older ones do not, but a model
+     * accepts tools when its prompt template renders them. A model which
+     * cannot be described is offered none.
+     *
+     * @private
+     * @param {string} model
+     * @returns {Promise<boolean>}
+     */
+    async #acceptsTools(model) {
+        if (this.#toolSupport.has(model)) {
+            return this.#toolSupport.get(model);
+        }
+
+        let data;
+        try {
+            const response = await request('Ollama', `${this.#baseUrl}/api/show`, {
+                method: 'POST',
+                headers: this.#headers(),
+                body: JSON.stringify({model})
+            });
+            data = await response.json();
+        } catch (error) {
+            return false;
+        }
+
+        const accepts = Array.isArray(data.capabilities)
+            ? data.capabilities.includes('tools')
+            : Boolean(data.template?.includes('.Tools'));
+        this.#toolSupport.set(model, accepts);
+        return accepts;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    #headers() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        // a key is only needed when the server sits behind an authenticating proxy
+        if (this.#apiKey) {
+            headers.Authorization = `Bearer ${this.#apiKey}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * isEmbeddingModel guesses whether a model produces embeddings
+     *
+     * Ollama does not report model capabilities in its model list, but
+     * embedding models are BERT derivatives or carry "embed" in their names.
+     *
+     * @private
+     * @param {object} model
+     * @returns {boolean}
+     */
+    #isEmbeddingModel(model) {
+        const families = [model.details?.family, ...(model.details?.families ?? [])]
+            .filter(family => typeof family === 'string')
+            .map(family => family.toLowerCase());
+
+        return model.name.toLowerCase().includes('embed')
+            || families.some(family => family.includes('bert'));
+    }
+
+    /**
+     * options maps the configured sampling parameters onto Ollama's options
+     * @private
+     * @returns {object}
+     */
+    #options() {
+        const mapping = {
+            temperature: 'temperature',
+            topP: 'top_p',
+            topK: 'top_k',
+            maxTokens: 'num_predict',
+            frequencyPenalty: 'frequency_penalty',
+            presencePenalty: 'presence_penalty',
+        };
+
+        const options = {};
+        for (const [key, option] of Object.entries(mapping)) {
+            if (this.config[key] !== undefined && this.config[key] !== null && this.config[key] !== '') {
+                options[option] = Number(this.config[key]);
+            }
+        }
+
+        // a top_k of zero disables it in the settings, but not in Ollama
+        if (options.top_k === 0) {
+            delete options.top_k;
+        }
+
+        return options;
+    }
+}
@@ -0,0 +1,280 @@
+import { Suite } from '../../../test/quench';
+import { Ollama } from './ollama';
+
+Suite('ai.provider.ollama', OllamaProviderTest);
+export default function OllamaProviderTest({describe, it, assert, beforeEach, afterEach}) {
+    let provider;
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = globalThis.fetch;
+        provider = new Ollama({});
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    describe('initialization', () => {
+        it('uses the local server by default without an API key', async () => {
+            let capturedUrl;
+            let capturedHeaders;
+            globalThis.fetch = async (url, options) => {
+                capturedUrl = url;
+                capturedHeaders = options.headers;
+                return {
+                    ok: true,
+                    json: async () => ({ models: [] })
+                };
+            };
+
+            await provider.getChatModels();
+            assert.equal(capturedUrl, 'http://localhost:11434/api/tags');
+            assert.isUndefined(capturedHeaders.Authorization);
+        });
+
+        it('allows custom base URL', async () => {
+            let capturedUrl;
+            globalThis.fetch = async url => {
+                capturedUrl = url;
+                return {
+                    ok: true,
+                    json: async () => ({ models: [] })
+                };
+            };
+
+            const customProvider = new Ollama({ baseURL: 'http://gaming-pc.local:11434/' });
+            await customProvider.getEmbeddingModels();
+            assert.equal(capturedUrl, 'http://gaming-pc.local:11434/api/tags');
+        });
+    });
+
+    describe('model listing', () => {
+        let fetchCount = 0;
+
+        beforeEach(() => {
+            fetchCount = 0;
+            globalThis.fetch = async () => {
+                fetchCount++;
+                return {
+                    ok: true,
+                    json: async () => ({
+                        models: [
+                            { name: 'llama3.1:8b', details: { family: 'llama', families: ['llama'] } },
+                            { name: 'nomic-embed-text:latest', details: { family: 'nomic-bert' } },
+                            { name: 'mxbai-embed-large:latest', details: { family: 'bert', families: ['bert'] } },
+                            { name: 'all-minilm:latest', details: { family: 'bert' } },
+                            { name: 'gemma2:9b', details: { family: 'gemma2' } },
+                        ]
+                    })
+                };
+            };
+        });
+
+        it('lists installed chat models', async () => {
+            const models = await provider.getChatModels();
+            assert.deepEqual(models, ['gemma2:9b', 'llama3.1:8b']);
+        });
+
+        it('lists installed embedding models', async () => {
+            const models = await provider.getEmbeddingModels();
+            assert.deepEqual(models, ['all-minilm:latest', 'mxbai-embed-large:latest', 'nomic-embed-text:latest']);
+        });
+
+        it('caches installed models', async () => {
+            await provider.getChatModels();
+            await provider.getEmbeddingModels();
+            assert.equal(fetchCount, 1, 'Should only fetch once');
+        });
+    });
+
+    describe('generation', () => {
+        /** @type {ContextDocument[]} */
+        const context = [{
+            id: 'test',
+            title: 'Test Document',
+            content: 'test context'
+        }];
+        const query = [{ role: 'user', content: 'test query', time: 1 }];
+
+        it('generates non-streaming response', async () => {
+            let body;
+            globalThis.fetch = async (url, options) => {
+                body = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({
+                        message: { role: 'assistant', content: 'test response' },
+                        done: true
+                    })
+                };
+            };
+
+            const response = await provider.generate('llama3.1:8b', context, query);
+            assert.equal(response, 'test response');
+            assert.deepEqual(body.messages, [{ role: 'user', content: 'test query' }]);
+            assert.isFalse(body.stream);
+        });
+
+        it('handles generation errors', async () => {
+            globalThis.fetch = async () => ({
+                ok: false,
+                status: 404
+            });
+
+            try {
+                await provider.generate('missing-model', context, query);
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.equal(error.message, 'Ollama API error: 404');
+            }
+        });
+
+        it('generates streaming response', async () => {
+            const chunks = [
+                '{"message":{"role":"assistant","content":"Hello"},"done":false}\n{"message":{"role":"assi',
+                'stant","content":" world"},"done":false}\n',
+                '{"message":{"role":"assistant","content":""},"done":true}\n'
+            ];
+
+            let chunkIndex = 0;
+            globalThis.fetch = async () => ({
+                ok: true,
+                body: {
+                    getReader: () => ({
+                        read: async () => {
+                            if (chunkIndex >= chunks.length) {
+                                return { done: true };
+                            }
+                            return {
+                                done: false,
+                                value: new TextEncoder().encode(chunks[chunkIndex++])
+                            };
+                        }
+                    })
+                }
+            });
+
+            const stream = await provider.generate('llama3.1:8b', context, query, true);
+            assert.isFunction(stream.abort);
+
+            const received = [];
+            for await (const chunk of stream) {
+                received.push(chunk);
+            }
+            assert.deepEqual(received, ['Hello', ' world']);
+        });
+
+        describe('tools', () => {
+            const tools = [{type: 'function', function: {name: 'search_journals', parameters: {}}}];
+
+            /**
+             * serve answers chat requests, and describes models with the given
+             * details
+             * @param {object} details
+             * @returns {{chats: object[], shown: number}}
+             */
+            const serve = details => {
+                const requests = {chats: [], shown: 0};
+                globalThis.fetch = async (url, options) => {
+                    if (url.endsWith('/api/show')) {
+                        requests.shown++;
+                        return {ok: true, json: async () => details};
+                    }
+                    requests.chats.push(JSON.parse(options.body));
+                    return {ok: true, json: async () => ({message: {content: 'Valeska.'}})};
+                };
+                return requests;
+            };
+
+            it('offers tools to models which support them', async () => {
+                const requests = serve({capabilities: ['completion', 'tools']});
+
+                const result = await provider.generate('llama3.1:8b', context, query, false, tools);
+                await provider.generate('llama3.1:8b', context, query, false, tools);
+
+                assert.deepEqual(result, {content: 'Valeska.', toolCalls: []});
+                assert.deepEqual(requests.chats[0].tools, tools);
+                assert.equal(requests.shown, 1, 'Should only describe the model once');
+            });
+
+            it('leaves tools out for models which do not support them', async () => {
+                const requests = serve({capabilities: ['completion']});
+
+                const result = await provider.generate('gemma:2b', context, query, false, tools);
+                assert.equal(result, 'Valeska.');
+                assert.notProperty(requests.chats[0], 'tools');
+            });
+
+            it('reads tool support from the template of older servers', async () => {
+                const requests = serve({template: '{{- if .Tools }}{{ .Tools }}{{ end }}{{ .Prompt }}'});
+
+                await provider.generate('mistral:7b', context, query, false, tools);
+                assert.deepEqual(requests.chats[0].tools, tools);
+            });
+        });
+
+        it('passes sampling parameters as options', async () => {
+            let body;
+            globalThis.fetch = async (url, options) => {
+                body = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({ message: { content: '' } })
+                };
+            };
+
+            const configured = new Ollama({
+                provider: 'ollama',
+                temperature: 0.7,
+                maxTokens: 150,
+                topP: 0.9,
+                topK: 0,
+            });
+            await configured.generate('llama3.1:8b', context, query);
+
+            assert.deepEqual(body.options, {
+                temperature: 0.7,
+                num_predict: 150,
+                top_p: 0.9,
+            });
+        });
+    });
+
+    describe('embedding', () => {
+        it('embeds document chunks', async () => {
+            const mockEmbeddings = [[0.1, 0.2, 0.3], [0.4, 0.5, 0.6]];
+            let body;
+            globalThis.fetch = async (url, options) => {
+                body = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({
+                        model: 'nomic-embed-text',
+                        embeddings: mockEmbeddings
+                    })
+                };
+            };
+
+            const result = await provider.embed('nomic-embed-text', 'test-doc', ['chunk1', 'chunk2']);
+
+            assert.deepEqual(body, { model: 'nomic-embed-text', input: ['chunk1', 'chunk2'] });
+            assert.equal(result.id, 'test-doc');
+            assert.deepEqual(result.vectors, mockEmbeddings);
+        });
+
+        it('handles embedding errors', async () => {
+            globalThis.fetch = async () => ({
+                ok: false,
+                status: 400
+            });
+
+            try {
+                await provider.embed('nomic-embed-text', 'test-doc', ['chunk']);
+                assert.fail('Should have thrown an error');
+            } catch (error) {
+                assert.equal(error.message, 'Ollama API error: 400');
+            }
+        });
+    });
+}
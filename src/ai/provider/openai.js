@@ -1,3 +1,14 @@
+import {request} from '../errors';
+import {batchSize, embedInBatches} from './batch';
+import {readServerSentEvents} from './stream';
+import {collectToolCallDeltas, parseToolCalls} from './tool_calls';
+
+/**
+ * MAX_BATCH_SIZE is the largest number of inputs the embeddings endpoint accepts
+ * @type {number}
+ */
+const MAX_BATCH_SIZE = 2048;
+
 /**
  * OpenAI provides AI capabilities using OpenAI's models
  * @implements {AIProvider}
@@ -5,6 +16,7 @@
 export class OpenAI {
     #apiKey = null;
     #baseUrl = 'https://api.openai.com/v1';
+    #batchSize;
     #chatModels = null;
     #embeddingModels = null;
 
@@ -24,6 +36,9 @@ export class OpenAI {
             delete config.baseURL;
         }
 
+        this.#batchSize = batchSize(config.batchSize, MAX_BATCH_SIZE);
+        delete config.batchSize;
+
         this.config = config;
     }
 
@@ -35,16 +50,12 @@ export class OpenAI {
             return this.#chatModels;
         }
 
-        const response = await fetch(`${this.#baseUrl}/models`, {
+        const response = await request('OpenAI', `${this.#baseUrl}/models`, {
             headers: {
                 'Authorization': `Bearer ${this.#apiKey}`
             }
         });
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status}`);
-        }
-
         const data = await response.json();
         this.#chatModels = data.data
             .filter(model => !model.id.toLowerCase().includes('embed'))
@@ -61,16 +72,12 @@ export class OpenAI {
             return this.#embeddingModels;
         }
 
-        const response = await fetch(`${this.#baseUrl}/models`, {
+        const response = await request('OpenAI', `${this.#baseUrl}/models`, {
             headers: {
                 'Authorization': `Bearer ${this.#apiKey}`
             }
         });
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status}`);
-        }
-
         const data = await response.json();
         this.#embeddingModels = data.data
             .filter(model => model.id.toLowerCase().includes('embed'))
@@ -80,15 +87,34 @@ export class OpenAI {
     }
 
     /**
+     * supportsTools indicates that the chat completions endpoint accepts tools
+     * @returns {boolean}
+     */
+    get supportsTools() {
+        return true;
+    }
+
+    /**
+     * generate creates a chat completion
+     *
+     * When tools are offered, the response also reports the tool calls the model
+     * made: as `toolCalls` alongside the content, or on the stream once it has
+     * been read to the end.
+     *
      * @param {string} model
      * @param {ContextDocument[]} context
      * @param {ConversationMessage[]} query
      * @param {boolean} [stream=false]
-     * @returns {Promise<string> | AsyncGenerator<string, string>}
+     * @param {ToolDefinition[]} [tools]
+     * @returns {Promise<string | GenerateResult> | GenerateStream}
      */
-    async generate(model, context, query, stream = false) {
-        const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+    async generate(model, context, query, stream = false, tools = undefined) {
+        const controller = new AbortController();
+        const useTools = Array.isArray(tools) && tools.length > 0;
+
+        const response = await request('OpenAI', `${this.#baseUrl}/chat/completions`, {
             method: 'POST',
+            signal: controller.signal,
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${this.#apiKey}`
@@ -97,46 +123,40 @@ export class OpenAI {
                 model,
                 messages: query,
                 ...this.config,
+                ...(useTools ? {tools} : {}),
                 stream
             })
         });
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status}`);
-        }
-
         if (stream) {
             const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-
-            return (async function* () {
-                while (true) {
-                    const {done, value} = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n').filter(line => line.trim());
-
-                    for (const line of lines) {
-                        if (line === 'data: [DONE]') {
-                            continue;
-                        }
-
-                        if (line.startsWith('data: ')) {
-                            try {
-                                const data = JSON.parse(line.slice(6));
-                                if (data.choices?.[0]?.delta?.content) {
-                                    yield data.choices[0].delta.content;
-                                }
-                            }
-                            catch (e) {}
+            const pending = [];
+
+            const generation = {
+                toolCalls: [],
+                [Symbol.asyncIterator]: async function* () {
+                    for await (const data of readServerSentEvents(reader)) {
+                        const delta = data.choices?.[0]?.delta;
+                        collectToolCallDeltas(pending, delta?.tool_calls);
+                        if (delta?.content) {
+                            yield delta.content;
                         }
                     }
-                }
-            })();
+                    generation.toolCalls.push(...parseToolCalls(pending));
+                },
+                abort: () => controller.abort()
+            };
+            return generation;
         } else {
             const data = await response.json();
-            return data.choices[0].message.content;
+            const message = data.choices[0].message;
+            if (!useTools) {
+                return message.content;
+            }
+            return {
+                content: message.content ?? '',
+                toolCalls: parseToolCalls(message.tool_calls)
+            };
         }
     }
 
@@ -144,34 +164,29 @@ export class OpenAI {
      * @param {string} model
      * @param {string} id
      * @param {Chunk[]} chunks
+     * @param {RequestRetry} [retry]
      * @returns {Promise<EmbeddingDocument>}
      */
-    async embed(model, id, chunks) {
-        const responses = await Promise.all(
-            chunks.map(chunk =>
-                fetch(`${this.#baseUrl}/embeddings`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.#apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model,
-                        input: chunk
-                    })
-                }).then(async r => {
-                    if (!r.ok) {
-                        throw new Error(`OpenAI API error: ${r.status}`);
-                    }
-                    const data = await r.json();
-                    return data.data[0].embedding;
-                })
-            )
-        );
+    async embed(model, id, chunks, retry = undefined) {
+        const vectors = await embedInBatches(chunks, this.#batchSize, async input => {
+            const response = await request('OpenAI', `${this.#baseUrl}/embeddings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.#apiKey}`
+                },
+                body: JSON.stringify({model, input})
+            });
+
+            const data = await response.json();
+            return data.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        }, retry);
 
         return {
             id,
-            vectors: responses
+            vectors
         };
     }
 }
@@ -148,6 +148,78 @@ export default function OpenAIProviderTest({describe, it, assert, beforeEach, af
             }
             assert.deepEqual(received, ['Hello', ' world']);
         });
+
+        describe('tools', () => {
+            const tools = [{
+                type: 'function',
+                function: {name: 'list_scenes', description: 'List scenes', parameters: {type: 'object', properties: {}}}
+            }];
+
+            it('sends tools and returns tool calls', async () => {
+                let body;
+                globalThis.fetch = async (url, options) => {
+                    body = JSON.parse(options.body);
+                    return {
+                        ok: true,
+                        json: async () => ({
+                            choices: [{
+                                message: {
+                                    content: null,
+                                    tool_calls: [{
+                                        id: 'call_1',
+                                        type: 'function',
+                                        function: {name: 'list_scenes', arguments: '{}'}
+                                    }]
+                                }
+                            }]
+                        })
+                    };
+                };
+
+                assert.isTrue(provider.supportsTools);
+                const response = await provider.generate('gpt-4', context, query, false, tools);
+                assert.deepEqual(body.tools, tools);
+                assert.deepEqual(response, {
+                    content: '',
+                    toolCalls: [{id: 'call_1', name: 'list_scenes', arguments: {}}]
+                });
+            });
+
+            it('collects streamed tool calls', async () => {
+                const chunks = [
+                    'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"get_actor","arguments":""}}]}}]}\n\n',
+                    'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"name\\":"}}]}}]}\n\n',
+                    'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"Bob\\"}"}}]}}]}\n\n',
+                    'data: [DONE]\n\n'
+                ];
+
+                let chunkIndex = 0;
+                globalThis.fetch = async () => ({
+                    ok: true,
+                    body: {
+                        getReader: () => ({
+                            read: async () => {
+                                if (chunkIndex >= chunks.length) {
+                                    return { done: true };
+                                }
+                                return {
+                                    done: false,
+                                    value: new TextEncoder().encode(chunks[chunkIndex++])
+                                };
+                            }
+                        })
+                    }
+                });
+
+                const stream = await provider.generate('gpt-4', context, query, true, tools);
+                const received = [];
+                for await (const chunk of stream) {
+                    received.push(chunk);
+                }
+                assert.deepEqual(received, []);
+                assert.deepEqual(stream.toolCalls, [{id: 'call_1', name: 'get_actor', arguments: {name: 'Bob'}}]);
+            });
+        });
     });
 
     describe('embedding', () => {
@@ -157,6 +229,10 @@ export default function OpenAIProviderTest({describe, it, assert, beforeEach, af
                 ok: true,
                 json: async () => ({
                     data: [{
+                        index: 0,
+                        embedding: mockEmbedding
+                    }, {
+                        index: 1,
                         embedding: mockEmbedding
                     }]
                 })
@@ -175,6 +251,42 @@ export default function OpenAIProviderTest({describe, it, assert, beforeEach, af
             assert.deepEqual(result.vectors, [mockEmbedding, mockEmbedding]);
         });
 
+        it('preserves input order', async () => {
+            globalThis.fetch = async () => ({
+                ok: true,
+                json: async () => ({
+                    data: [
+                        {index: 1, embedding: [2]},
+                        {index: 0, embedding: [1]},
+                    ]
+                })
+            });
+
+            const result = await provider.embed('text-embedding-3-small', 'test-doc', ['one', 'two']);
+            assert.deepEqual(result.vectors, [[1], [2]]);
+        });
+
+        it('falls back to smaller batches when a batch is too large', async () => {
+            const batches = [];
+            globalThis.fetch = async (url, options) => {
+                const {input} = JSON.parse(options.body);
+                batches.push(input.length);
+                if (input.length > 1) {
+                    return {ok: false, status: 413};
+                }
+                return {
+                    ok: true,
+                    json: async () => ({data: [{index: 0, embedding: [Number(input[0])]}]})
+                };
+            };
+
+            const batched = new OpenAI({apiKey: 'test-key', batchSize: 4});
+            const result = await batched.embed('text-embedding-3-small', 'test-doc', ['1', '2', '3']);
+
+            assert.deepEqual(batches, [3, 2, 1, 1, 1]);
+            assert.deepEqual(result.vectors, [[1], [2], [3]]);
+        });
+
         it('handles embedding errors', async () => {
             globalThis.fetch = async () => ({
                 ok: false,
@@ -0,0 +1,60 @@
+/**
+ * readLines reads a streamed response body and yields each complete line
+ *
+ * Network reads do not respect line boundaries, so partial lines are buffered
+ * until the rest of the line arrives.
+ *
+ * @param {ReadableStreamDefaultReader} reader
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readLines(reader) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const {done, value} = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, {stream: true});
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (line.trim()) {
+                    yield line.trim();
+                }
+            }
+        }
+
+        if (buffer.trim()) {
+            yield buffer.trim();
+        }
+    } finally {
+        reader.releaseLock?.();
+    }
+}
+
+/**
+ * readServerSentEvents yields the parsed JSON payload of each `data:` line
+ * in a server-sent event stream
+ *
+ * @param {ReadableStreamDefaultReader} reader
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* readServerSentEvents(reader) {
+    for await (const line of readLines(reader)) {
+        if (!line.startsWith('data:')) {
+            continue;
+        }
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+            continue;
+        }
+
+        try {
+            yield JSON.parse(payload);
+        } catch (e) {}
+    }
+}
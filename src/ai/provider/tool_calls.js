@@ -0,0 +1,71 @@
+/**
+ * collectToolCallDeltas merges streamed OpenAI-style tool call fragments
+ *
+ * Streaming responses deliver each tool call in pieces keyed by index: the id
+ * and name arrive first, and the JSON arguments arrive a few characters at a
+ * time.
+ *
+ * @param {Array<{id: string, name: string, arguments: string}>} pending
+ * @param {object[]} [deltas]
+ */
+export function collectToolCallDeltas(pending, deltas = []) {
+    for (const delta of deltas) {
+        const index = delta.index ?? pending.length;
+        pending[index] ??= {id: '', name: '', arguments: ''};
+
+        if (delta.id) {
+            pending[index].id = delta.id;
+        }
+        if (delta.function?.name) {
+            pending[index].name += delta.function.name;
+        }
+        if (delta.function?.arguments) {
+            pending[index].arguments += delta.function.arguments;
+        }
+    }
+}
+
+/**
+ * parseToolCalls normalizes tool calls returned by a provider
+ *
+ * Arguments may be given as a JSON string (OpenAI) or as an object (Ollama);
+ * either way they are returned as an object. Calls without an id are given one
+ * so that their results can be matched up.
+ *
+ * @param {object[]} [calls]
+ * @returns {ToolCall[]}
+ */
+export function parseToolCalls(calls = []) {
+    return calls
+        .filter(call => call)
+        .map((call, index) => {
+            const name = call.function?.name ?? call.name;
+            const args = call.function?.arguments ?? call.arguments;
+
+            return {
+                id: call.id || `call_${index}`,
+                name,
+                arguments: parseArguments(args),
+            };
+        });
+}
+
+/**
+ * @param {string|object|undefined} args
+ * @returns {object}
+ */
+function parseArguments(args) {
+    if (args === undefined || args === null || args === '') {
+        return {};
+    }
+
+    if (typeof args === 'object') {
+        return args;
+    }
+
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        return {};
+    }
+}
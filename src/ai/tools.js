@@ -0,0 +1,113 @@
+/**
+ * MAX_RESULT_LENGTH is the longest tool result, in characters, returned to the
+ * model; longer results are truncated to protect the context window
+ * @type {number}
+ */
+const MAX_RESULT_LENGTH = 12000;
+
+/**
+ * Toolbox holds the tools a chat model may call during generation
+ *
+ * @description
+ * Each tool has a name, a description and a JSON schema for its parameters,
+ * which are offered to the model in the OpenAI function calling format, and a
+ * handler which runs the call and returns its result.
+ *
+ * @example
+ * ```javascript
+ * const toolbox = new Toolbox();
+ * toolbox.register({
+ *     name: 'roll',
+ *     description: 'Roll dice using Foundry dice notation',
+ *     parameters: {
+ *         type: 'object',
+ *         properties: {formula: {type: 'string'}},
+ *         required: ['formula']
+ *     },
+ *     status: ({formula}) => `Rolling ${formula}`,
+ *     handler: async ({formula}) => (await new Roll(formula).evaluate()).total
+ * });
+ *
+ * const result = await toolbox.execute({id: 'call_1', name: 'roll', arguments: {formula: '1d20'}});
+ * ```
+ */
+export class Toolbox {
+    /** @type {Map<string, Tool>} */
+    #tools = new Map();
+
+    /**
+     * size returns the number of registered tools
+     * @returns {number}
+     */
+    get size() {
+        return this.#tools.size;
+    }
+
+    /**
+     * register adds a tool to the toolbox
+     * @param {Tool} tool
+     * @throws {Error} if a tool with the same name is already registered
+     */
+    register(tool) {
+        if (this.#tools.has(tool.name)) {
+            throw new Error(`Tool already registered: ${tool.name}`);
+        }
+        this.#tools.set(tool.name, tool);
+    }
+
+    /**
+     * definitions returns the tools in the OpenAI function calling format
+     * @returns {ToolDefinition[]}
+     */
+    definitions() {
+        return Array.from(this.#tools.values())
+            .map(({name, description, parameters}) => ({
+                type: 'function',
+                function: {name, description, parameters}
+            }));
+    }
+
+    /**
+     * execute runs a tool call and returns its result as text for the model
+     *
+     * Failures are returned to the model as text rather than thrown, so that it
+     * can recover or explain the problem to the user.
+     *
+     * @param {ToolCall} call
+     * @returns {Promise<string>}
+     */
+    async execute(call) {
+        const tool = this.#tools.get(call.name);
+        if (!tool) {
+            return `Error: unknown tool ${call.name}`;
+        }
+
+        let result;
+        try {
+            result = await tool.handler(call.arguments ?? {});
+        } catch (error) {
+            return `Error: ${error.message}`;
+        }
+
+        const text = typeof result === 'string' ? result : JSON.stringify(result);
+        if (text === undefined) {
+            return '';
+        }
+        return text.length > MAX_RESULT_LENGTH
+            ? `${text.slice(0, MAX_RESULT_LENGTH)}…`
+            : text;
+    }
+
+    /**
+     * status describes a tool call while it is running, e.g. "Looking up scenes"
+     * @param {ToolCall} call
+     * @returns {string}
+     */
+    status(call) {
+        const tool = this.#tools.get(call.name);
+        if (tool?.status) {
+            return tool.status(call.arguments ?? {});
+        }
+        return `Using ${call.name}`;
+    }
+}
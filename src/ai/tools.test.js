@@ -0,0 +1,72 @@
+import { Suite } from '../../test/quench';
+import { Toolbox } from './tools';
+
+Suite('ai.tools', ToolboxTest);
+export default function ToolboxTest({describe, it, assert, beforeEach}) {
+    let toolbox;
+
+    beforeEach(() => {
+        toolbox = new Toolbox();
+        toolbox.register({
+            name: 'echo',
+            description: 'Echo the input',
+            parameters: {type: 'object', properties: {text: {type: 'string'}}},
+            status: ({text}) => `Echoing ${text}`,
+            handler: async ({text}) => text,
+        });
+    });
+
+    describe('registration', () => {
+        it('describes tools in the function calling format', () => {
+            assert.equal(toolbox.size, 1);
+            assert.deepEqual(toolbox.definitions(), [{
+                type: 'function',
+                function: {
+                    name: 'echo',
+                    description: 'Echo the input',
+                    parameters: {type: 'object', properties: {text: {type: 'string'}}},
+                }
+            }]);
+        });
+
+        it('rejects duplicate names', () => {
+            assert.throws(() => toolbox.register({name: 'echo', handler: async () => ''}), /already registered/);
+        });
+    });
+
+    describe('execution', () => {
+        it('runs the handler', async () => {
+            const result = await toolbox.execute({id: 'call_1', name: 'echo', arguments: {text: 'hi'}});
+            assert.equal(result, 'hi');
+        });
+
+        it('serializes structured results', async () => {
+            toolbox.register({name: 'list', handler: async () => [{name: 'a'}]});
+            const result = await toolbox.execute({id: 'call_1', name: 'list', arguments: {}});
+            assert.equal(result, '[{"name":"a"}]');
+        });
+
+        it('reports failures to the model', async () => {
+            toolbox.register({
+                name: 'broken',
+                handler: async () => {
+                    throw new Error('not found');
+                }
+            });
+            assert.equal(await toolbox.execute({id: 'call_1', name: 'broken', arguments: {}}), 'Error: not found');
+            assert.equal(await toolbox.execute({id: 'call_2', name: 'missing', arguments: {}}),
+                'Error: unknown tool missing');
+        });
+
+        it('truncates long results', async () => {
+            toolbox.register({name: 'long', handler: async () => 'x'.repeat(20000)});
+            const result = await toolbox.execute({id: 'call_1', name: 'long', arguments: {}});
+            assert.equal(result.length, 12001);
+        });
+
+        it('describes calls while they run', () => {
+            assert.equal(toolbox.status({name: 'echo', arguments: {text: 'hi'}}), 'Echoing hi');
+            assert.equal(toolbox.status({name: 'other', arguments: {}}), 'Using other');
+        });
+    });
+}
@@ -1,13 +1,37 @@
+import {AIError} from '../ai/errors';
 import {Logger, LogLevels} from './logger';
 import {DocumentManager} from '../document/manager';
+import {Indexer, QUEUE_KEY} from '../document/indexer';
+import {SharedIndex} from '../document/shared_index';
 import {Emitter} from '../event/emitter';
 import {Settings} from '../settings/settings';
 import {Store as ConversationStore} from '../conversation/store';
+import {Toolbox} from '../ai/tools';
 import {VectorStore} from '../document/vector_store';
+import {HnswIndex} from '../document/vector_index';
+import {StorageUnavailableError, VectorStorage} from '../document/vector_storage';
+import {createDefaultExtractors} from '../document/extractors';
+import {createDocumentTools} from '../document/tools';
 
+import {CompendiumSettings} from '../ui/compendiums';
+import {IndexingStatus} from '../ui/indexing';
 import {renderChatWithAIButton} from '../ui/sidebar';
 import {Client} from '../ai/client';
 
+/**
+ * INDEXED_DOCUMENT_TYPES are the world document types, other than journal
+ * pages, whose changes are reflected in the index
+ * @type {string[]}
+ */
+const INDEXED_DOCUMENT_TYPES = ['Actor', 'Item', 'Scene', 'RollTable'];
+
+/**
+ * SWEEP_INTERVAL is how often, in milliseconds, the index is checked for
+ * documents which no longer exist
+ * @type {number}
+ */
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
 export class App {
     id;
     name;
@@ -16,6 +40,12 @@ export class App {
     logger;
     settings;
 
+    /** @type {Promise<boolean>} resolves once setup has finished, to whether it succeeded */
+    #initialized = Promise.resolve(false);
+
+    /** @type {string} the state of the indexing queue when its progress was last shown */
+    #indexingState = 'idle';
+
     constructor(ctx, id, title, version) {
         this.id = id;
         this.name = title;
@@ -24,66 +54,328 @@ export class App {
         this.logger = Logger.getLogger(this.name, LogLevels.Debug);
         this.settings = new Settings(ctx, this.id);
 
-        ctx.Hooks.once('setup', () => this.setup(ctx, id));
+        ctx.Hooks.once('setup', () => {
+            this.#initialized = this.setup(ctx, id);
+        });
         ctx.Hooks.once('ready', () => this.ready(ctx, id));
         ctx.Hooks.on('renderSidebarTab', async (app, html) => await this.renderSidebarButton(app, html));
         ctx.Hooks.on('preUpdateJournalEntryPage', (previous, modified) => this.updateJournalEntryPage(previous, modified));
+
+        // pages created or deleted along with their entry do not call their own hooks
+        ctx.Hooks.on('createJournalEntryPage', document => this.indexDocument(document));
+        ctx.Hooks.on('createJournalEntry', async entry => {
+            for (const page of entry.pages) {
+                await this.indexDocument(page);
+            }
+        });
+        ctx.Hooks.on('deleteJournalEntryPage', (document, options) => this.deleteDocument(document, options));
+        ctx.Hooks.on('deleteJournalEntry', (document, options) => this.deleteDocument(document, options));
+
+        for (const documentName of INDEXED_DOCUMENT_TYPES) {
+            ctx.Hooks.on(`create${documentName}`, document => this.indexDocument(owningDocument(document)));
+            ctx.Hooks.on(`update${documentName}`, document => this.indexDocument(owningDocument(document)));
+            ctx.Hooks.on(`delete${documentName}`, (document, options) => (owningDocument(document) === document
+                ? this.deleteDocument(document, options)
+                : this.indexDocument(owningDocument(document))));
+        }
     }
 
     async ready(ctx, id) {
         this.logger.debug('Version %s Ready', this.version);
+        if (!await this.#initialized) {
+            return;
+        }
+
+        // Share the index between clients
+        if (game.settings.get('aide', 'SharedIndex')) {
+            this.sharedIndex = new SharedIndex(ctx, this.vectorStore, this.eventEmitter,
+                this.documentManager.fingerprint(), uuid => this.documentManager.shareable(uuid));
+            try {
+                await this.sharedIndex.initialize();
+            } catch (error) {
+                this.notifyError(error);
+            }
+        }
+
+        // Resume indexing left unfinished by the last session, unless the
+        // publisher now indexes for this client
+        this.indexer.subscribe(status => this.showIndexingProgress(status));
+        if (this.sharedIndex?.receiving) {
+            this.indexer.clear();
+        } else {
+            this.indexer.initialize();
+        }
+
+        // only rebuild if necessary; a client receiving the shared index waits
+        // for the publisher to send it instead
+        if (this.sharedIndex?.receiving) {
+            this.logger.debug('Waiting for the shared index');
+        } else if (this.vectorStore.getLastUpdated() === null) {
+            try {
+                await this.indexer.rebuild();
+            } catch (error) {
+                this.notifyError(error);
+            }
+        } else if (!this.documentManager.indexMatches()) {
+            await this.reindex();
+        } else if (this.vectorStore.ids().some(id => !this.vectorStore.termsOf(id))) {
+            // documents indexed before keyword search only need their terms added
+            await this.indexer.rebuild();
+        }
+
+        await this.sweepIndex();
+        ctx.setInterval(() => this.sweepIndex(), SWEEP_INTERVAL);
+    }
+
+    /**
+     * reindex rebuilds an index made with different embedding settings
+     *
+     * The GM is asked first, unless automatic re-indexing is enabled; other
+     * users only index for themselves, so their index is always rebuilt. The
+     * rebuild runs in the background.
+     *
+     * @returns {Promise<void>}
+     */
+    async reindex() {
+        if (game.user.isGM && !game.settings.get('aide', 'AutomaticReindex')) {
+            const confirmation = await Dialog.confirm({
+                title: game.i18n.localize('aide.ui.reindex.title'),
+                content: `<p>${game.i18n.localize('aide.ui.reindex.content')}</p>`,
+            });
+
+            if (!confirmation) {
+                ui.notifications.warn(game.i18n.localize('aide.ui.reindex.deferred'));
+                return;
+            }
+        }
+
+        ui.notifications.info(game.i18n.localize('aide.ui.reindex.started'));
+        try {
+            await this.indexer.rebuild({clear: true});
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * showIndexingProgress shows the progress of the indexing queue in the
+     * loading bar, and reports when it finishes
+     * @param {IndexerStatus} status
+     */
+    showIndexingProgress({state, done, failed, total}) {
+        const previous = this.#indexingState;
+        this.#indexingState = state;
+        if (total === 0) {
+            return;
+        }
+
+        // the bar hides itself once it reaches 100%
+        const finished = done + failed.length;
+        SceneNavigation.displayProgressBar({
+            label: game.i18n.format('aide.ui.indexing.progress', {finished, total}),
+            pct: state === 'running' ? Math.min(Math.floor((finished / total) * 100), 99) : 100,
+        });
+
+        if (previous === 'running' && state === 'idle') {
+            if (failed.length > 0) {
+                ui.notifications.warn(game.i18n.format('aide.ui.indexing.failed', {count: failed.length}));
+            } else {
+                ui.notifications.info(game.i18n.localize('aide.ui.indexing.finished'));
+            }
+        }
     }
 
     async setup(ctx, id) {
         this.settings.registerSettings();
+        ctx.game.settings.registerMenu(id, 'CompendiumIndexing', {
+            name: `${id}.settings.CompendiumIndexing.name`,
+            label: `${id}.settings.CompendiumIndexing.label`,
+            hint: `${id}.settings.CompendiumIndexing.hint`,
+            icon: 'fas fa-atlas',
+            type: CompendiumSettings,
+            restricted: false,
+        });
+        ctx.game.settings.registerMenu(id, 'IndexingStatus', {
+            name: `${id}.settings.IndexingStatus.name`,
+            label: `${id}.settings.IndexingStatus.label`,
+            hint: `${id}.settings.IndexingStatus.hint`,
+            icon: 'fas fa-list-check',
+            type: IndexingStatus,
+            restricted: false,
+        });
 
         // Initialize Clients and Stores
         const providerSettings = this.settings.getProviderSettings();
         if (providerSettings.chat.provider === 'default' || providerSettings.embedding.provider === 'default'
             || providerSettings.chat.provider === '' || providerSettings.embedding.provider === '') {
             this.logger.error('Chat and Embedding providers must be set in the settings');
-            return;
+            return false;
+        }
+
+        if (providerSettings.embedding.provider === 'anthropic') {
+            this.logger.error('Anthropic does not support embeddings; choose a different Embedding provider');
+            return false;
         }
 
         this.chatClient = Client.create(providerSettings.chat);
         this.embeddingClient = Client.create(providerSettings.embedding);
         this.eventEmitter = new Emitter(ctx, this.logger);
+        this.eventEmitter.on('document.update', (uuid, changed) => this.receiveDocumentUpdate(uuid, changed));
 
         this.conversationStore = new ConversationStore(ctx, this.eventEmitter);
 
         const lookups = game.settings.get('aide', 'VectorStoreLookups');
         const maxWeight = game.settings.get('aide', 'VectorStoreMaxWeight');
-        const queryBoostFactor = game.settings.get('aide', 'VectorStoreQueryBoostFactor');
-        this.vectorStore = new VectorStore(lookups, maxWeight, queryBoostFactor);
+        const metric = game.settings.get('aide', 'VectorStoreMetric');
+        const quantize = game.settings.get('aide', 'VectorStoreQuantization');
+        this.vectorStore = new VectorStore(lookups, maxWeight, metric,
+            new VectorStorage(`${id}.${game.world.id}`), new HnswIndex({quantize}));
+        try {
+            await this.vectorStore.initialize();
+        } catch (error) {
+            if (!(error instanceof StorageUnavailableError)) {
+                throw error;
+            }
+            this.logger.error('%o', error);
+            ui.notifications.warn(game.i18n.localize('aide.errors.StorageUnavailableError'));
+        }
 
         // Initialize Document Manager
         const managerSettings = this.settings.getDocumentManagerSettings();
+        const extractors = createDefaultExtractors();
+        ctx.Hooks.callAll('aide.registerExtractors', extractors);
+        // chat models rerank through the chat provider, reranker models through the embedding provider
+        const reranker = managerSettings.RerankMethod === 'llm' ? this.chatClient : this.embeddingClient;
         this.documentManager = new DocumentManager(ctx, managerSettings, this.embeddingClient,
-            this.vectorStore, this.eventEmitter);
+            this.vectorStore, this.eventEmitter, extractors, reranker);
+        await this.documentManager.initialize();
+        this.indexer = new Indexer(this.documentManager, this.vectorStore, `${QUEUE_KEY}.${game.world.id}`);
+
+        // Initialize Chat Tools
+        this.toolbox = new Toolbox();
+        if (game.settings.get('aide', 'ChatTools')) {
+            createDocumentTools(ctx, this.documentManager).forEach(tool => this.toolbox.register(tool));
+        }
 
         // Register model choices
-        const chatModels = await this.chatClient.getChatModels();
-        this.settings.setChoices('ChatModel', chatModels);
+        try {
+            const chatModels = await this.chatClient.getChatModels();
+            this.settings.setChoices('ChatModel', chatModels);
 
-        const embeddingModels = await this.embeddingClient.getEmbeddingModels();
-        this.settings.setChoices('EmbeddingModel', embeddingModels);
+            const embeddingModels = await this.embeddingClient.getEmbeddingModels();
+            this.settings.setChoices('EmbeddingModel', embeddingModels);
+        } catch (error) {
+            this.notifyError(error);
+            return false;
+        }
 
         // Initialize Conversation Store
         await this.conversationStore.initialize();
+        return true;
+    }
 
-        // only rebuild if necessary
-        if (this.vectorStore.getLastUpdated() === null) {
-            await this.documentManager.rebuildVectorStore();
+    /**
+     * notifyError reports an error to the console and, for errors returned by
+     * an AI service, shows the user a notification describing it
+     * @param {Error} error
+     */
+    notifyError(error) {
+        this.logger.error('%o', error);
+        if (error instanceof AIError) {
+            ui.notifications.error(game.i18n.localize(error.notification));
         }
     }
 
     async renderSidebarButton(app, html) {
         await renderChatWithAIButton(app, html, this.conversationStore, this.chatClient,
-            this.embeddingClient, this.vectorStore, this.documentManager);
+            this.embeddingClient, this.vectorStore, this.documentManager, this.toolbox);
+    }
+
+    async indexDocument(document) {
+        if (!this.documentManager || this.sharedIndex?.receiving) {
+            return;
+        }
+
+        try {
+            await this.documentManager.indexDocument(document);
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    async deleteDocument(document, options) {
+        if (this.sharedIndex?.receiving) {
+            return;
+        }
+        await this.documentManager?.deleteDocumentVectors(document, options);
+    }
+
+    /**
+     * sweepIndex removes the vectors of documents which no longer exist, such
+     * as those deleted while this client was offline
+     * @returns {Promise<void>}
+     */
+    async sweepIndex() {
+        if (this.sharedIndex?.receiving) {
+            return;
+        }
+
+        try {
+            const removed = await this.documentManager.sweep();
+            if (removed.length > 0) {
+                this.logger.debug('Removed %d missing documents from the index', removed.length);
+            }
+        } catch (error) {
+            this.logger.error('%o', error);
+        }
+    }
+
+    /**
+     * updateJournalEntryPage handles a change made on this client
+     *
+     * The preUpdate hook only runs on the client making the change, so the
+     * change is also sent to the other clients. When another client maintains
+     * the shared index, only that client embeds the change.
+     *
+     * @param {JournalEntryPage} previous
+     * @param {object} changed
+     */
+    async updateJournalEntryPage(previous, changed) {
+        if (!this.documentManager) {
+            return;
+        }
+        if (!this.sharedIndex?.receiving) {
+            await this.documentManager.updateDocumentVectors(previous, changed);
+        }
+        this.eventEmitter.emit('document.update', previous.uuid, changed);
+    }
+
+    /**
+     * receiveDocumentUpdate handles a change made on another client
+     * @param {string} uuid
+     * @param {object} changed
+     */
+    async receiveDocumentUpdate(uuid, changed) {
+        if (this.sharedIndex?.receiving) {
+            return;
+        }
+
+        const previous = await fromUuid(uuid);
+        if (previous) {
+            await this.documentManager.updateDocumentVectors(previous, changed);
+        }
     }
+}
 
-    async updateJournalEntryPage(previous, modified) {
-        await this.documentManager.updateDocumentVectors(previous, modified);
-        this.eventEmitter.emit('document.update', previous, modified);
+/**
+ * owningDocument returns the document which is indexed for a change to the
+ * given one; items owned by an actor are indexed with the actor
+ * @param {object} document
+ * @returns {object}
+ */
+function owningDocument(document) {
+    if (document.documentName === 'Item' && document.parent?.documentName === 'Actor') {
+        return document.parent;
     }
+    return document;
 }
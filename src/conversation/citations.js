@@ -0,0 +1,31 @@
+/**
+ * CITATION matches a citation in an answer, such as `[2]`, but not an inline
+ * roll such as `[[2]]` or a markdown link such as `[2](url)`
+ * @type {RegExp}
+ */
+const CITATION = /(?<![\w[])\[(\d{1,3})\](?![\](:{])/g;
+
+/**
+ * linkCitations turns the citations in an answer into content links to the
+ * documents they cite
+ *
+ * The chat model is given its context documents numbered from 1, in the
+ * order they are recorded on the answer, and cites them by number. Numbers
+ * which name no document are left as they are.
+ *
+ * @example
+ * ```javascript
+ * linkCitations('Valeska owns the mill [1].', [{id: 'JournalEntry.abc.JournalEntryPage.def', name: 'Mill'}]);
+ * // 'Valeska owns the mill <sup class="citation">@UUID[JournalEntry.abc.JournalEntryPage.def]{1}</sup>.'
+ * ```
+ *
+ * @param {string} text
+ * @param {{id: string}[]} documents
+ * @returns {string}
+ */
+export function linkCitations(text, documents = []) {
+    return text.replace(CITATION, (match, number) => {
+        const document = documents[Number(number) - 1];
+        return document ? `<sup class="citation">@UUID[${document.id}]{${number}}</sup>` : match;
+    });
+}
@@ -0,0 +1,25 @@
+import { Suite } from '../../test/quench';
+import { linkCitations } from './citations';
+
+Suite('conversation.citations', CitationsTest);
+export default function CitationsTest({describe, it, assert}) {
+    const documents = [{id: 'Page.mill', name: 'Mill'}, {id: 'Actor.valeska', name: 'Valeska'}];
+
+    describe('linking', () => {
+        it('links citations to the documents they cite', () => {
+            assert.equal(linkCitations('Valeska owns the mill [2][1].', documents),
+                'Valeska owns the mill <sup class="citation">@UUID[Actor.valeska]{2}</sup>'
+                + '<sup class="citation">@UUID[Page.mill]{1}</sup>.');
+        });
+
+        it('leaves numbers which name no document', () => {
+            assert.equal(linkCitations('See [3].', documents), 'See [3].');
+            assert.equal(linkCitations('See [1].'), 'See [1].');
+        });
+
+        it('leaves rolls, links and content links alone', () => {
+            const text = 'Roll [[1]], read [1](https://example.com), ask @UUID[1]{Bob} or array[1]. [1]: note';
+            assert.equal(linkCitations(text, documents), text);
+        });
+    });
+}
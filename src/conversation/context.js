@@ -0,0 +1,77 @@
+/**
+ * pinDocument gives a document to the chat model with every message of a
+ * conversation, whether or not search finds it
+ *
+ * @description
+ * The documents a user chose for a conversation are kept in its `context`,
+ * so they are saved with it. Each document is either pinned or excluded;
+ * resetting a document leaves it to search again.
+ *
+ * @example
+ * ```javascript
+ * pinDocument(conversation, 'JournalEntry.abc.JournalEntryPage.def', 'Millbrook > Valeska');
+ * pinnedDocuments(conversation);
+ * // ['JournalEntry.abc.JournalEntryPage.def']
+ * ```
+ *
+ * @param {Conversation} conversation
+ * @param {string} id
+ * @param {string} name
+ */
+export function pinDocument(conversation, id, name) {
+    setDocument(conversation, {id, name, addedByUser: true, removedByUser: false});
+}
+
+/**
+ * excludeDocument keeps search from finding a document, so that a page which
+ * keeps being found but does not help can be set aside
+ * @param {Conversation} conversation
+ * @param {string} id
+ * @param {string} name
+ */
+export function excludeDocument(conversation, id, name) {
+    setDocument(conversation, {id, name, addedByUser: false, removedByUser: true});
+}
+
+/**
+ * resetDocument forgets whether a document was pinned or excluded
+ * @param {Conversation} conversation
+ * @param {string} id
+ */
+export function resetDocument(conversation, id) {
+    conversation.context = (conversation.context ?? []).filter(document => document.id !== id);
+}
+
+/**
+ * pinnedDocuments returns the IDs of the pinned documents, in the order
+ * they were pinned
+ * @param {Conversation} conversation
+ * @returns {string[]}
+ */
+export function pinnedDocuments(conversation) {
+    return (conversation.context ?? [])
+        .filter(document => document.addedByUser)
+        .map(document => document.id);
+}
+
+/**
+ * excludedDocuments returns the IDs of the excluded documents
+ * @param {Conversation} conversation
+ * @returns {string[]}
+ */
+export function excludedDocuments(conversation) {
+    return (conversation.context ?? [])
+        .filter(document => document.removedByUser)
+        .map(document => document.id);
+}
+
+/**
+ * setDocument records the choice made for a document, replacing any earlier
+ * choice
+ * @param {Conversation} conversation
+ * @param {ConversationContextDocument} document
+ */
+function setDocument(conversation, document) {
+    resetDocument(conversation, document.id);
+    conversation.context.push(document);
+}
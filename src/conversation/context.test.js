@@ -0,0 +1,48 @@
+import { Suite } from '../../test/quench';
+import { excludeDocument, excludedDocuments, pinDocument, pinnedDocuments, resetDocument } from './context';
+
+Suite('conversation.context', ContextTest);
+export default function ContextTest({describe, it, assert, beforeEach}) {
+    let conversation;
+
+    beforeEach(() => {
+        conversation = {id: 'abc', userId: 'user', messages: [], context: []};
+    });
+
+    describe('choices', () => {
+        it('pins documents in order', () => {
+            pinDocument(conversation, 'Page.mill', 'Mill');
+            pinDocument(conversation, 'Page.river', 'River');
+            assert.deepEqual(pinnedDocuments(conversation), ['Page.mill', 'Page.river']);
+            assert.deepEqual(conversation.context[0],
+                {id: 'Page.mill', name: 'Mill', addedByUser: true, removedByUser: false});
+        });
+
+        it('excludes documents', () => {
+            excludeDocument(conversation, 'Page.mill', 'Mill');
+            assert.deepEqual(excludedDocuments(conversation), ['Page.mill']);
+            assert.deepEqual(pinnedDocuments(conversation), []);
+        });
+
+        it('keeps one choice for each document', () => {
+            pinDocument(conversation, 'Page.mill', 'Mill');
+            excludeDocument(conversation, 'Page.mill', 'Mill');
+            assert.lengthOf(conversation.context, 1);
+            assert.deepEqual(pinnedDocuments(conversation), []);
+            assert.deepEqual(excludedDocuments(conversation), ['Page.mill']);
+        });
+
+        it('resets documents', () => {
+            pinDocument(conversation, 'Page.mill', 'Mill');
+            resetDocument(conversation, 'Page.mill');
+            assert.deepEqual(conversation.context, []);
+        });
+
+        it('reads conversations saved without a context', () => {
+            delete conversation.context;
+            assert.deepEqual(pinnedDocuments(conversation), []);
+            pinDocument(conversation, 'Page.mill', 'Mill');
+            assert.deepEqual(pinnedDocuments(conversation), ['Page.mill']);
+        });
+    });
+}
@@ -0,0 +1,55 @@
+import {linkCitations} from './citations.js';
+
+/**
+ * MARKDOWN_FORMAT is Foundry's `CONST.JOURNAL_ENTRY_PAGE_FORMATS.MARKDOWN`,
+ * the format of journal pages edited as markdown
+ * @type {number}
+ */
+const MARKDOWN_FORMAT = 2;
+
+/**
+ * STOPPED_LINE matches the line added to an answer whose generation was
+ * stopped
+ * @type {RegExp}
+ */
+const STOPPED_LINE = /^_Generation stopped\._$\n*/gm;
+
+/**
+ * pageTitle returns the first heading of an answer, or the fallback if it
+ * has none
+ * @param {string} markdown
+ * @param {string} fallback
+ * @returns {string}
+ */
+export function pageTitle(markdown, fallback) {
+    const heading = /^#{1,6}\s+(.+?)\s*#*$/m.exec(markdown ?? '');
+    const title = heading ? heading[1].replace(/[*_`]/g, '').trim() : '';
+    return title || fallback;
+}
+
+/**
+ * journalPageData returns the data of a journal page holding an answer
+ *
+ * The page keeps the answer's markdown, so that it can be edited as it was
+ * written, along with the HTML Foundry shows and indexes. Citations become
+ * links to the documents they cite, and the note that the answer was stopped
+ * is dropped.
+ *
+ * @param {string} name
+ * @param {string} markdown
+ * @param {{id: string}[]} documents - the documents the answer was given, in the order it cites them
+ * @param {{makeHtml: (markdown: string) => string}} converter
+ * @returns {object}
+ */
+export function journalPageData(name, markdown, documents, converter) {
+    const text = linkCitations(markdown.replace(STOPPED_LINE, ''), documents).trim();
+    return {
+        name,
+        type: 'text',
+        text: {
+            format: MARKDOWN_FORMAT,
+            markdown: text,
+            content: converter.makeHtml(text),
+        },
+    };
+}
@@ -0,0 +1,41 @@
+import { Suite } from '../../test/quench';
+import { journalPageData, pageTitle } from './journal';
+
+Suite('conversation.journal', JournalTest);
+export default function JournalTest({describe, it, assert}) {
+    const converter = {makeHtml: markdown => `<html>${markdown}</html>`};
+
+    describe('titles', () => {
+        it('takes the first heading', () => {
+            assert.equal(pageTitle('Here is a tavern.\n\n## The **Drowned** Rat ##\n\n# Menu', 'Tavern'),
+                'The Drowned Rat');
+        });
+
+        it('falls back without a heading', () => {
+            assert.equal(pageTitle('A tavern by the docks.', 'Tavern'), 'Tavern');
+            assert.equal(pageTitle('#hashtag', 'Tavern'), 'Tavern');
+        });
+    });
+
+    describe('pages', () => {
+        it('keeps the markdown and its HTML', () => {
+            const data = journalPageData('Rumors', '| d4 | Rumor |\n| - | - |\n| 1 | Ghosts |', [], converter);
+            assert.deepEqual(data, {
+                name: 'Rumors',
+                type: 'text',
+                text: {
+                    format: 2,
+                    markdown: '| d4 | Rumor |\n| - | - |\n| 1 | Ghosts |',
+                    content: '<html>| d4 | Rumor |\n| - | - |\n| 1 | Ghosts |</html>',
+                },
+            });
+        });
+
+        it('links citations and drops the note that generation stopped', () => {
+            const data = journalPageData('Mill', 'Valeska owns the mill [1].\n\n_Generation stopped._',
+                [{id: 'Page.mill'}], converter);
+            assert.equal(data.text.markdown,
+                'Valeska owns the mill <sup class="citation">@UUID[Page.mill]{1}</sup>.');
+        });
+    });
+}
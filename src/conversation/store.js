@@ -1,9 +1,15 @@
+import {migrateConversation} from './tree.js';
+
 /**
  * STORAGE_FORMAT_VERSION is a version number for the conversation data format
  * This is used to determine if the stored data needs to be migrated
+ *
+ * 1. messages are a list, each following the one before
+ * 2. messages are a tree, and `current` is the last message shown
+ *
  * @type {number}
  */
-const STORAGE_FORMAT_VERSION = 1;
+const STORAGE_FORMAT_VERSION = 2;
 
 /**
  * Store manages the storage and retrieval of conversation data
@@ -80,7 +86,7 @@ export class Store {
                 ({
                     id, userId, title,
                     messages: messages ? messages.length : 0,
-                    last: messages ? messages[messages.length - 1].time : 0
+                    last: messages?.length ? messages[messages.length - 1].time : 0
                 }));
     }
 
@@ -98,6 +104,7 @@ export class Store {
             id, userId,
             title: 'New Conversation',
             messages: [],
+            current: null,
             context: [],
             format: STORAGE_FORMAT_VERSION,
         };
@@ -146,14 +153,15 @@ export class Store {
             if (!response.ok) {
                 throw new Error('File not found');
             }
-            const conversation = await response.json();
+            let conversation = await response.json();
             if (!conversation || conversation.id !== conversationId) {
                 // deleted
                 this.#conversations.delete(conversationId);
                 return;
             }
+            // conversations are saved in the current format when next updated
+            conversation = migrateConversation(conversation);
             if (conversation.format !== STORAGE_FORMAT_VERSION) {
-                // todo: migrate conversation
                 throw new Error('Invalid conversation format');
             }
             this.#conversations.set(conversationId, {...conversation, loaded: true});
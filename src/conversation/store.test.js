@@ -122,8 +122,9 @@ export default function StoreTest(quench) {
                     userId: 'user1',
                     title: 'New Conversation',
                     messages: [],
+                    current: null,
                     context: [],
-                    format: 1,
+                    format: 2,
                 };
 
                 mockUtils.EXPECT().randomID()
@@ -150,8 +151,9 @@ export default function StoreTest(quench) {
                     userId: 'user1',
                     title: 'Test Conversation',
                     messages: [],
+                    current: null,
                     context: [],
-                    format: 1,
+                    format: 2,
                 };
 
                 mockContext.EXPECT().fetch('/worlds/test-world/conversations/user1.conv1.json')
@@ -177,8 +179,9 @@ export default function StoreTest(quench) {
                     userId: 'user1',
                     title: 'Test Conversation',
                     messages: [],
+                    current: null,
                     context: [],
-                    format: 1,
+                    format: 2,
                 };
 
                 mockContext.EXPECT().fetch('/worlds/test-world/conversations/user1.conv1.json')
@@ -196,6 +199,26 @@ export default function StoreTest(quench) {
                 });
             });
 
+            it('migrates conversations saved as a list of messages', async () => {
+                mockContext.EXPECT().fetch('/worlds/test-world/conversations/user1.conv1.json')
+                    .Return({
+                        ok: true,
+                        json: async () => ({
+                            id: 'conv1',
+                            userId: 'user1',
+                            title: 'Test Conversation',
+                            messages: [{role: 'user', content: 'Hello', time: 1}],
+                            context: [],
+                            format: 1,
+                        })
+                    });
+
+                const conversation = await store.get('user1', 'conv1');
+                assert.equal(conversation.format, 2);
+                assert.equal(conversation.current, 1);
+                assert.deepEqual(conversation.messages, [{role: 'user', content: 'Hello', time: 1, id: 1, parentId: null}]);
+            });
+
             it('throws error if conversation cannot be found', async () => {
                 mockContext.EXPECT().fetch('/worlds/test-world/conversations/user1.conv1.json')
                     .Return({
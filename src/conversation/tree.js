@@ -0,0 +1,195 @@
+/**
+ * activePath returns the messages of the branch of a conversation being
+ * shown, from the first message to the latest
+ *
+ * @description
+ * A conversation is a tree of messages. Each message names the message it
+ * answers or follows as its parent, and editing a message adds a sibling
+ * rather than replacing it, so that earlier branches are kept. The messages
+ * are stored in the order they were written; `conversation.current` is the
+ * last message of the branch being shown.
+ *
+ * @example
+ * ```javascript
+ * const question = appendMessage(conversation, {role: 'user', content: 'Who owns the mill?', time});
+ * appendMessage(conversation, {role: 'assistant', content: 'Valeska.', time});
+ * editMessage(conversation, question.id, 'Who built the mill?');
+ * activePath(conversation).map(message => message.content);
+ * // ['Who built the mill?']
+ * ```
+ *
+ * @param {Conversation} conversation
+ * @returns {ConversationMessage[]}
+ */
+export function activePath(conversation) {
+    const messages = new Map(conversation.messages.map(message => [message.id, message]));
+    const path = [];
+    for (let message = messages.get(conversation.current); message; message = messages.get(message.parentId)) {
+        path.unshift(message);
+    }
+    return path;
+}
+
+/**
+ * appendMessage adds a message to the end of the branch being shown
+ * @param {Conversation} conversation
+ * @param {ConversationMessage} message
+ * @returns {ConversationMessage} the message, with its place in the tree
+ */
+export function appendMessage(conversation, message) {
+    return addMessage(conversation, message, conversation.current ?? null);
+}
+
+/**
+ * editMessage adds a sibling of a message with new content, which ends the
+ * branch being shown, so that a reply can be generated from it
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @param {string} content
+ * @param {number} time
+ * @returns {ConversationMessage} the new message
+ * @throws {Error} if the message does not exist
+ */
+export function editMessage(conversation, id, content, time) {
+    const {role, parentId} = findMessage(conversation, id);
+    return addMessage(conversation, {role, content, time}, parentId);
+}
+
+/**
+ * siblingsOf returns a message and its siblings, in the order they were
+ * written
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @returns {ConversationMessage[]}
+ * @throws {Error} if the message does not exist
+ */
+export function siblingsOf(conversation, id) {
+    const {parentId} = findMessage(conversation, id);
+    return conversation.messages.filter(message => message.parentId === parentId);
+}
+
+/**
+ * selectSibling shows the branch of a message's sibling, following the
+ * latest reply at each step
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @param {number} offset - how many siblings to move by, such as -1 for the previous one
+ * @throws {Error} if the message does not exist
+ */
+export function selectSibling(conversation, id, offset) {
+    const siblings = siblingsOf(conversation, id);
+    const index = siblings.findIndex(message => message.id === id) + offset;
+    const sibling = siblings[Math.min(Math.max(index, 0), siblings.length - 1)];
+    conversation.current = latestLeaf(conversation, sibling.id);
+}
+
+/**
+ * branchOf returns a message and every message which follows it, in any
+ * branch
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @returns {ConversationMessage[]}
+ */
+export function branchOf(conversation, id) {
+    const ids = new Set([id]);
+    // parents are always written before their replies
+    return conversation.messages.filter(message => {
+        if (ids.has(message.id) || ids.has(message.parentId)) {
+            ids.add(message.id);
+            return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * deleteMessage removes a message and every message which follows it
+ *
+ * If the message has siblings, the branch of the latest one is shown;
+ * otherwise the branch ends at the message's parent.
+ *
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @throws {Error} if the message does not exist
+ */
+export function deleteMessage(conversation, id) {
+    const siblings = siblingsOf(conversation, id).filter(message => message.id !== id);
+    const {parentId} = findMessage(conversation, id);
+    const removed = new Set(branchOf(conversation, id).map(message => message.id));
+
+    conversation.messages = conversation.messages.filter(message => !removed.has(message.id));
+    if (removed.has(conversation.current)) {
+        conversation.current = siblings.length > 0
+            ? latestLeaf(conversation, siblings[siblings.length - 1].id)
+            : parentId;
+    }
+}
+
+/**
+ * migrateConversation converts a conversation saved in an earlier format
+ *
+ * Conversations were first saved as a list of messages, each following the
+ * one before; they become a tree with a single branch.
+ *
+ * @param {object} conversation
+ * @returns {Conversation}
+ */
+export function migrateConversation(conversation) {
+    if (conversation.format !== 1) {
+        return conversation;
+    }
+
+    const messages = (conversation.messages ?? []).map((message, i) => ({
+        ...message,
+        id: i + 1,
+        parentId: i === 0 ? null : i,
+    }));
+    return {...conversation, messages, current: messages.length > 0 ? messages.length : null, format: 2};
+}
+
+/**
+ * addMessage adds a message to the tree and shows the branch it ends
+ * @param {Conversation} conversation
+ * @param {ConversationMessage} message
+ * @param {number|null} parentId
+ * @returns {ConversationMessage}
+ */
+function addMessage(conversation, message, parentId) {
+    const id = conversation.messages.reduce((max, other) => Math.max(max, other.id), 0) + 1;
+    const added = {...message, id, parentId};
+    conversation.messages.push(added);
+    conversation.current = id;
+    return added;
+}
+
+/**
+ * findMessage returns a message of a conversation
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @returns {ConversationMessage}
+ * @throws {Error} if the message does not exist
+ */
+function findMessage(conversation, id) {
+    const message = conversation.messages.find(other => other.id === id);
+    if (!message) {
+        throw new Error(`Message not found: ${id}`);
+    }
+    return message;
+}
+
+/**
+ * latestLeaf returns the last message of a branch, following the latest
+ * reply at each step
+ * @param {Conversation} conversation
+ * @param {number} id
+ * @returns {number}
+ */
+function latestLeaf(conversation, id) {
+    for (;;) {
+        const replies = conversation.messages.filter(message => message.parentId === id);
+        if (replies.length === 0) {
+            return id;
+        }
+        id = replies[replies.length - 1].id;
+    }
+}
@@ -0,0 +1,133 @@
+import { Suite } from '../../test/quench';
+import {
+    activePath,
+    appendMessage,
+    branchOf,
+    deleteMessage,
+    editMessage,
+    migrateConversation,
+    selectSibling,
+    siblingsOf
+} from './tree';
+
+/**
+ * contents returns the content of each message of the branch being shown
+ * @param {Conversation} conversation
+ * @returns {string[]}
+ */
+const contents = conversation => activePath(conversation).map(message => message.content);
+
+Suite('conversation.tree', TreeTest);
+export default function TreeTest({describe, it, assert, beforeEach}) {
+    let conversation;
+
+    beforeEach(() => {
+        conversation = {id: 'abc', userId: 'user', messages: [], current: null, format: 2};
+        appendMessage(conversation, {role: 'user', content: 'Who owns the mill?', time: 1});
+        appendMessage(conversation, {role: 'assistant', content: 'Valeska.', time: 2});
+        appendMessage(conversation, {role: 'user', content: 'What does she want?', time: 3});
+        appendMessage(conversation, {role: 'assistant', content: 'The deed.', time: 4});
+    });
+
+    describe('branches', () => {
+        it('appends messages to the branch being shown', () => {
+            assert.deepEqual(contents(conversation),
+                ['Who owns the mill?', 'Valeska.', 'What does she want?', 'The deed.']);
+            assert.deepEqual(conversation.messages.map(({id, parentId}) => [id, parentId]),
+                [[1, null], [2, 1], [3, 2], [4, 3]]);
+        });
+
+        it('keeps the old branch when a message is edited', () => {
+            const edited = editMessage(conversation, 3, 'Who is her rival?', 5);
+            appendMessage(conversation, {role: 'assistant', content: 'Old Brannoc.', time: 6});
+
+            assert.equal(edited.parentId, 2);
+            assert.deepEqual(contents(conversation), ['Who owns the mill?', 'Valeska.', 'Who is her rival?', 'Old Brannoc.']);
+            assert.deepEqual(siblingsOf(conversation, 3).map(({id}) => id), [3, 5]);
+        });
+
+        it('moves between siblings, following the latest replies', () => {
+            editMessage(conversation, 3, 'Who is her rival?', 5);
+
+            selectSibling(conversation, 5, -1);
+            assert.deepEqual(contents(conversation), ['Who owns the mill?', 'Valeska.', 'What does she want?', 'The deed.']);
+
+            selectSibling(conversation, 3, -1);
+            assert.equal(conversation.current, 4);
+
+            selectSibling(conversation, 3, 1);
+            assert.deepEqual(contents(conversation), ['Who owns the mill?', 'Valeska.', 'Who is her rival?']);
+        });
+
+        it('edits the first message', () => {
+            editMessage(conversation, 1, 'Who built the mill?', 5);
+            assert.deepEqual(contents(conversation), ['Who built the mill?']);
+            assert.lengthOf(siblingsOf(conversation, 1), 2);
+        });
+
+        it('rejects unknown messages', () => {
+            assert.throws(() => editMessage(conversation, 42, 'Hello', 5), /Message not found: 42/);
+        });
+    });
+
+    describe('deletion', () => {
+        it('deletes a message and every branch which follows it', () => {
+            editMessage(conversation, 3, 'Who is her rival?', 5);
+            assert.deepEqual(branchOf(conversation, 2).map(({id}) => id), [2, 3, 4, 5]);
+
+            deleteMessage(conversation, 2);
+            assert.deepEqual(conversation.messages.map(({id}) => id), [1]);
+            assert.deepEqual(contents(conversation), ['Who owns the mill?']);
+        });
+
+        it('shows a sibling branch when the one shown is deleted', () => {
+            editMessage(conversation, 3, 'Who is her rival?', 5);
+            deleteMessage(conversation, 5);
+            assert.deepEqual(contents(conversation), ['Who owns the mill?', 'Valeska.', 'What does she want?', 'The deed.']);
+        });
+
+        it('keeps the branch shown when another is deleted', () => {
+            editMessage(conversation, 3, 'Who is her rival?', 5);
+            deleteMessage(conversation, 3);
+            assert.deepEqual(contents(conversation), ['Who owns the mill?', 'Valeska.', 'Who is her rival?']);
+        });
+
+        it('empties a conversation', () => {
+            deleteMessage(conversation, 1);
+            assert.deepEqual(conversation.messages, []);
+            assert.isNull(conversation.current);
+            appendMessage(conversation, {role: 'user', content: 'Hello', time: 5});
+            assert.deepEqual(contents(conversation), ['Hello']);
+        });
+    });
+
+    describe('migration', () => {
+        it('turns a list of messages into a single branch', () => {
+            const migrated = migrateConversation({
+                id: 'abc',
+                userId: 'user',
+                title: 'Mill',
+                messages: [
+                    {role: 'user', content: 'Who owns the mill?', time: 1},
+                    {role: 'assistant', content: 'Valeska.', time: 2},
+                ],
+                context: [],
+                format: 1,
+            });
+
+            assert.equal(migrated.format, 2);
+            assert.equal(migrated.current, 2);
+            assert.deepEqual(migrated.messages.map(({id, parentId, content}) => [id, parentId, content]),
+                [[1, null, 'Who owns the mill?'], [2, 1, 'Valeska.']]);
+        });
+
+        it('migrates empty conversations', () => {
+            const migrated = migrateConversation({id: 'abc', userId: 'user', messages: [], format: 1});
+            assert.deepEqual(migrated, {id: 'abc', userId: 'user', messages: [], current: null, format: 2});
+        });
+
+        it('leaves current conversations alone', () => {
+            assert.strictEqual(migrateConversation(conversation), conversation);
+        });
+    });
+}
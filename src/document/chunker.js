@@ -0,0 +1,376 @@
+import {decodeEntities, replaceEnrichers} from './text';
+import {countWordPieces} from './tokenizer';
+
+/**
+ * CHUNKER_VERSION identifies how documents are split into chunks; it is part
+ * of the index fingerprint, since chunks made differently embed differently
+ * @type {number}
+ */
+export const CHUNKER_VERSION = 4;
+
+/**
+ * BLOCK_TAGS are the elements which start and end a block of text
+ * @type {Set<string>}
+ */
+const BLOCK_TAGS = new Set([
+    'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure', 'hr',
+    'li', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'thead', 'tr', 'ul',
+]);
+
+/**
+ * CELL_TAGS are the elements holding one cell of a table row
+ * @type {Set<string>}
+ */
+const CELL_TAGS = new Set(['td', 'th']);
+
+/**
+ * TAG matches an HTML tag or comment
+ * @type {RegExp}
+ */
+const TAG = /<!--[\s\S]*?-->|<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+
+/**
+ * PATH_SEPARATOR joins the title and headings which prefix each chunk
+ * @type {string}
+ */
+const PATH_SEPARATOR = ' > ';
+
+/**
+ * Chunker splits documents into chunks small enough to embed
+ *
+ * @description
+ * Foundry content is HTML. Rather than cutting it every few characters, the
+ * chunker reads its structure: headings, paragraphs, list items and table
+ * rows each become a block of plain text, with content links and inline
+ * rolls replaced by their labels. Plain text is split into blocks by line.
+ *
+ * Blocks are grouped into sections by the headings above them, and each
+ * section is packed into chunks of whole sentences, starting a new chunk at a
+ * block boundary where it can. Each chunk begins with the document title and
+ * heading path, e.g. `Waterdeep > Wards > Dock Ward`, so that it can be
+ * understood on its own. Consecutive chunks share the trailing sentences of
+ * the first, up to the overlap.
+ *
+ * @example
+ * ```javascript
+ * const chunker = new Chunker({size: 512, overlap: 32});
+ * const chunks = chunker.chunk('<h2>Dock Ward</h2><p>The docks are busy.</p>', 'Waterdeep');
+ * // ['Waterdeep > Dock Ward\nThe docks are busy.']
+ * ```
+ */
+export class Chunker {
+    /** @type {number} */
+    #size;
+
+    /** @type {number} */
+    #overlap;
+
+    /** @type {(text: string) => number} */
+    #count;
+
+    /**
+     * @param {{size: number, overlap: number, count?: (text: string) => number}} options - the
+     *     size and overlap of chunks in tokens, and how to count the tokens in some text
+     */
+    constructor({size, overlap, count = countWordPieces}) {
+        this.#size = size;
+        this.#overlap = overlap;
+        this.#count = count;
+    }
+
+    /**
+     * chunk splits content into chunks
+     * @param {string} content - HTML or plain text
+     * @param {string} [title] - the name of the document, which prefixes every chunk
+     * @returns {Chunk[]}
+     */
+    chunk(content, title = '') {
+        return this.split(content, title).map(({header, text}) => header + text);
+    }
+
+    /**
+     * split splits content into chunks, keeping the header of each chunk
+     * apart from its text
+     *
+     * The chunks are those made by `chunk`, in the same order. `overlap` is
+     * the length of the text repeated from the end of the previous chunk, so
+     * that consecutive chunks can be joined without repeating it.
+     *
+     * @param {string} content - HTML or plain text
+     * @param {string} [title]
+     * @returns {{header: string, headings: string[], text: string, overlap: number}[]}
+     */
+    split(content, title = '') {
+        const chunks = [];
+        for (const {headings, blocks} of sections(parseBlocks(content))) {
+            const path = [title, ...headings].filter(Boolean).join(PATH_SEPARATOR);
+            const header = path ? `${path}\n` : '';
+            chunks.push(...this.#chunkSection(blocks, header).map(chunk => ({header, headings, ...chunk})));
+        }
+        return chunks;
+    }
+
+    /**
+     * chunkSection packs the sentences of a section into chunks
+     * @private
+     * @param {string[]} blocks
+     * @param {string} header
+     * @returns {{text: string, overlap: number}[]}
+     */
+    #chunkSection(blocks, header) {
+        // a long heading path may not take more than half of each chunk
+        const budget = Math.max(this.#size - this.#count(header), Math.ceil(this.#size / 2));
+        const units = blocks.flatMap((block, index) => this.#units(block, index, budget));
+
+        const chunks = [];
+        let current = [];
+        let overlap = 0;
+        let tokens = 0;
+        units.forEach((unit, i) => {
+            if (current.length > 0 && this.#shouldBreak(units, i, tokens, budget)) {
+                chunks.push({text: join(current), overlap});
+                current = this.#overlapOf(current, unit, budget);
+                overlap = current.length > 0 ? join(current).length : 0;
+                tokens = current.reduce((sum, {tokens: n}) => sum + n, 0);
+            }
+            current.push(unit);
+            tokens += unit.tokens;
+        });
+        if (current.length > 0) {
+            chunks.push({text: join(current), overlap});
+        }
+
+        return chunks;
+    }
+
+    /**
+     * shouldBreak returns whether a chunk should end before a unit
+     *
+     * A chunk ends when the unit does not fit, or, when the unit starts a
+     * block which does not fit, when the chunk is at least half full.
+     *
+     * @private
+     * @param {ChunkUnit[]} units
+     * @param {number} index
+     * @param {number} tokens - the size of the chunk so far
+     * @param {number} budget
+     * @returns {boolean}
+     */
+    #shouldBreak(units, index, tokens, budget) {
+        const unit = units[index];
+        if (tokens + unit.tokens > budget) {
+            return true;
+        }
+        if (!unit.first || tokens < budget / 2) {
+            return false;
+        }
+
+        let blockTokens = 0;
+        for (let i = index; i < units.length && units[i].block === unit.block; i++) {
+            blockTokens += units[i].tokens;
+        }
+        return tokens + blockTokens > budget && blockTokens <= budget;
+    }
+
+    /**
+     * overlapOf returns the trailing units of a chunk to repeat at the start
+     * of the next one
+     * @private
+     * @param {ChunkUnit[]} chunk
+     * @param {ChunkUnit} next - the first new unit of the next chunk
+     * @param {number} budget
+     * @returns {ChunkUnit[]}
+     */
+    #overlapOf(chunk, next, budget) {
+        const overlap = [];
+        let tokens = 0;
+        for (let i = chunk.length - 1; i >= 0 && tokens + chunk[i].tokens <= this.#overlap; i--) {
+            overlap.unshift(chunk[i]);
+            tokens += chunk[i].tokens;
+        }
+        return tokens + next.tokens <= budget ? overlap : [];
+    }
+
+    /**
+     * units splits a block into sentences, sentences which are too long for a
+     * chunk into runs of words, and words which are too long into runs of
+     * characters
+     * @private
+     * @param {string} block
+     * @param {number} index
+     * @param {number} budget
+     * @returns {ChunkUnit[]}
+     */
+    #units(block, index, budget) {
+        const pieces = splitSentences(block).flatMap(sentence => {
+            const tokens = this.#count(sentence);
+            return tokens <= budget ? [{text: sentence, tokens}] : this.#splitWords(sentence, budget);
+        });
+        return pieces.map((piece, i) => ({...piece, block: index, first: i === 0}));
+    }
+
+    /**
+     * @private
+     * @param {string} sentence
+     * @param {number} budget
+     * @returns {{text: string, tokens: number}[]}
+     */
+    #splitWords(sentence, budget) {
+        const pieces = [];
+        let words = [];
+        for (const word of sentence.split(' ').flatMap(word => this.#splitCharacters(word, budget))) {
+            if (words.length > 0 && this.#count([...words, word].join(' ')) > budget) {
+                pieces.push(words.join(' '));
+                words = [];
+            }
+            words.push(word);
+        }
+        pieces.push(words.join(' '));
+        return pieces.map(text => ({text, tokens: this.#count(text)}));
+    }
+
+    /**
+     * splitCharacters splits a word which is too long for a chunk, such as a
+     * long URL, into the longest runs of characters which fit
+     * @private
+     * @param {string} word
+     * @param {number} budget
+     * @returns {string[]}
+     */
+    #splitCharacters(word, budget) {
+        if (this.#count(word) <= budget) {
+            return [word];
+        }
+
+        const characters = Array.from(word);
+        const pieces = [];
+        let start = 0;
+        while (start < characters.length) {
+            // binary search for the longest run which fits, of at least one character
+            let low = start + 1;
+            let high = characters.length;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (this.#count(characters.slice(start, middle).join('')) <= budget) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            pieces.push(characters.slice(start, low).join(''));
+            start = low;
+        }
+        return pieces;
+    }
+}
+
+/**
+ * parseBlocks converts HTML or plain text into blocks of plain text, each
+ * with the headings it falls under
+ * @param {string} content
+ * @returns {{headings: string[], text: string}[]}
+ */
+export function parseBlocks(content) {
+    if (typeof content !== 'string') {
+        return [];
+    }
+
+    const html = replaceEnrichers(content);
+    const plain = !/<[a-z!/]/i.test(html);
+
+    const blocks = [];
+    const headings = [];
+    let heading = null;
+    let text = '';
+
+    const flush = () => {
+        const value = text.replace(/\s+/g, ' ').replace(/^[\s|]+|[\s|]+$/g, '');
+        text = '';
+        if (!value) {
+            return;
+        }
+        if (heading === null) {
+            blocks.push({headings: headings.filter(Boolean), text: value});
+        } else {
+            headings.length = heading - 1;
+            headings[heading - 1] = value;
+        }
+    };
+    const append = segment => {
+        const lines = decodeEntities(segment).split('\n');
+        lines.forEach((line, i) => {
+            if (plain && i > 0) {
+                flush();
+            }
+            text += i > 0 ? ` ${line}` : line;
+        });
+    };
+
+    let last = 0;
+    for (const match of html.matchAll(TAG)) {
+        append(html.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        const [, closing, name = ''] = match;
+        const tag = name.toLowerCase();
+        const level = /^h([1-6])$/.exec(tag)?.[1];
+        if (level) {
+            flush();
+            heading = closing ? null : Number(level);
+        } else if (CELL_TAGS.has(tag) && closing) {
+            text += ' | ';
+        } else if (BLOCK_TAGS.has(tag)) {
+            flush();
+        }
+    }
+    append(html.slice(last));
+    flush();
+
+    return blocks;
+}
+
+/**
+ * splitSentences splits text at the ends of sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+    return text.split(/(?<=[.!?…]['")\]]*)\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * sections groups consecutive blocks under the same headings
+ * @param {{headings: string[], text: string}[]} blocks
+ * @returns {{headings: string[], blocks: string[]}[]}
+ */
+function sections(blocks) {
+    const grouped = [];
+    for (const {headings, text} of blocks) {
+        const previous = grouped[grouped.length - 1];
+        if (previous && previous.headings.join(PATH_SEPARATOR) === headings.join(PATH_SEPARATOR)) {
+            previous.blocks.push(text);
+        } else {
+            grouped.push({headings, blocks: [text]});
+        }
+    }
+    return grouped;
+}
+
+/**
+ * join puts the units of a chunk back together, with a line break between
+ * blocks
+ * @param {ChunkUnit[]} units
+ * @returns {string}
+ */
+function join(units) {
+    return units
+        .map((unit, i) => {
+            if (i === 0) {
+                return unit.text;
+            }
+            return (unit.block === units[i - 1].block ? ' ' : '\n') + unit.text;
+        })
+        .join('');
+}
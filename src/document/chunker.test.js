@@ -0,0 +1,106 @@
+import { Suite } from '../../test/quench';
+import { Chunker, parseBlocks, splitSentences } from './chunker';
+
+/**
+ * words counts the words in some text, which keeps chunk sizes easy to follow
+ * @param {string} text
+ * @returns {number}
+ */
+const words = text => text.split(/\s+/).filter(Boolean).length;
+
+Suite('document.chunker', ChunkerTest);
+export default function ChunkerTest({describe, it, assert}) {
+    describe('parsing', () => {
+        it('splits paragraphs, list items and table rows into blocks', () => {
+            const blocks = parseBlocks('<p>One</p><ul><li>Two</li><li>Three</li></ul>'
+                + '<table><tr><th>Name</th><th>Cost</th></tr><tr><td>Ale</td><td>4 cp</td></tr></table>');
+            assert.deepEqual(blocks.map(block => block.text), ['One', 'Two', 'Three', 'Name | Cost', 'Ale | 4 cp']);
+        });
+
+        it('records the headings above each block', () => {
+            const blocks = parseBlocks('<h1>City</h1><p>a</p><h2>Wards</h2><p>b</p><h3>Docks</h3><p>c</p>'
+                + '<h2>Guilds</h2><p>d</p>');
+            assert.deepEqual(blocks.map(block => block.headings), [
+                ['City'],
+                ['City', 'Wards'],
+                ['City', 'Wards', 'Docks'],
+                ['City', 'Guilds'],
+            ]);
+        });
+
+        it('replaces content links and inline rolls with their labels', () => {
+            const [block] = parseBlocks('<p>Ask @UUID[Actor.abc]{Bob} to roll [[/r 1d20 + 5]] '
+                + 'for [[/r 2d6]]{damage} at @UUID[Scene.xyz].</p>');
+            assert.equal(block.text, 'Ask Bob to roll 1d20 + 5 for damage at Scene.xyz.');
+        });
+
+        it('decodes entities and drops inline markup', () => {
+            const [block] = parseBlocks('<p>Salt &amp; <strong>pepper</strong>&nbsp;<!-- note -->here</p>');
+            assert.equal(block.text, 'Salt & pepper here');
+        });
+
+        it('splits plain text by line', () => {
+            assert.deepEqual(parseBlocks('Name: Bob\nType: npc').map(block => block.text), ['Name: Bob', 'Type: npc']);
+        });
+    });
+
+    describe('sentences', () => {
+        it('splits at the ends of sentences', () => {
+            assert.deepEqual(splitSentences('It costs 1.5 gp. Really? "Yes." Fine'),
+                ['It costs 1.5 gp.', 'Really?', '"Yes."', 'Fine']);
+        });
+    });
+
+    describe('chunking', () => {
+        it('prefixes each chunk with the title and heading path', () => {
+            const chunker = new Chunker({size: 512, overlap: 32, count: words});
+            const chunks = chunker.chunk('<p>Intro.</p><h2>Dock Ward</h2><p>The docks are busy.</p>', 'Waterdeep');
+            assert.deepEqual(chunks, ['Waterdeep\nIntro.', 'Waterdeep > Dock Ward\nThe docks are busy.']);
+        });
+
+        it('keeps chunks to whole sentences and overlaps them', () => {
+            const chunker = new Chunker({size: 16, overlap: 5, count: words});
+            const chunks = chunker.chunk('<p>The docks are busy. Ships come and go all day. '
+                + 'Sailors drink in the taverns.</p><p>Guards patrol at night.</p>', 'Docks');
+            assert.deepEqual(chunks, [
+                'Docks\nThe docks are busy. Ships come and go all day. Sailors drink in the taverns.',
+                'Docks\nSailors drink in the taverns.\nGuards patrol at night.',
+            ]);
+        });
+
+        it('starts a chunk at a block which does not fit', () => {
+            const chunker = new Chunker({size: 6, overlap: 0, count: words});
+            const chunks = chunker.chunk('<p>First paragraph here.</p><p>Second one. It is longer.</p>');
+            assert.deepEqual(chunks, ['First paragraph here.', 'Second one. It is longer.']);
+        });
+
+        it('splits sentences which are longer than a chunk', () => {
+            const chunker = new Chunker({size: 3, overlap: 0, count: words});
+            const chunks = chunker.chunk('one two three four five six seven eight');
+            assert.deepEqual(chunks, ['one two three', 'four five six', 'seven eight']);
+        });
+
+        it('splits words which are longer than a chunk', () => {
+            const chunker = new Chunker({size: 4, overlap: 0, count: text => text.length});
+            const chunks = chunker.chunk('see https://x.io/abc');
+            assert.deepEqual(chunks, ['see', 'http', 's://', 'x.io', '/abc']);
+        });
+
+        it('keeps the header and overlap of each chunk apart', () => {
+            const chunker = new Chunker({size: 18, overlap: 5, count: words});
+            const chunks = chunker.split('<h2>Port</h2><p>The docks are busy. Ships come and go all day. '
+                + 'Sailors drink in the taverns.</p><p>Guards patrol at night.</p>', 'Docks');
+            assert.deepEqual(chunks.map(chunk => chunk.header), ['Docks > Port\n', 'Docks > Port\n']);
+            assert.deepEqual(chunks[1].headings, ['Port']);
+            assert.equal(chunks[0].overlap, 0);
+            assert.equal(chunks[1].text, 'Sailors drink in the taverns.\nGuards patrol at night.');
+            assert.equal(chunks[1].text.slice(chunks[1].overlap), '\nGuards patrol at night.');
+        });
+
+        it('returns nothing for empty content', () => {
+            const chunker = new Chunker({size: 32, overlap: 2, count: words});
+            assert.deepEqual(chunker.chunk(''), []);
+            assert.deepEqual(chunker.chunk('<p> </p>', 'Empty'), []);
+        });
+    });
+}
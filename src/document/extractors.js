@@ -0,0 +1,229 @@
+import {htmlToText} from './text';
+
+/**
+ * DESCRIPTIVE_FIELDS matches the names of system data fields which usually
+ * hold prose worth indexing, e.g. `details.biography.value` or `description`
+ * @type {RegExp}
+ */
+const DESCRIPTIVE_FIELDS = /^(appearance|background|biography|bio|description|notes|personality|publicNotes|summary)$/i;
+
+/**
+ * MAX_FIELD_DEPTH limits how deeply system data is searched for descriptive fields
+ * @type {number}
+ */
+const MAX_FIELD_DEPTH = 4;
+
+/**
+ * Extractors turns Foundry documents into text which can be indexed
+ *
+ * @description
+ * Each document type which AIde can index has an extractor, registered under
+ * its document name, which lists the documents of that type in the world and
+ * converts one of them to plain text. Other modules may register extractors
+ * for further document types from the `aide.registerExtractors` hook.
+ *
+ * @example
+ * ```javascript
+ * Hooks.on('aide.registerExtractors', extractors => {
+ *     extractors.register('Cards', {
+ *         documents: game => game.cards.contents,
+ *         extract: cards => `${cards.name}\n\n${cards.description}`,
+ *     });
+ * });
+ * ```
+ */
+export class Extractors {
+    /** @type {Map<string, Extractor>} */
+    #extractors = new Map();
+
+    /**
+     * documentNames returns the document types which have an extractor
+     * @returns {string[]}
+     */
+    get documentNames() {
+        return Array.from(this.#extractors.keys());
+    }
+
+    /**
+     * register adds or replaces the extractor for a document type
+     * @param {string} documentName
+     * @param {Extractor} extractor
+     */
+    register(documentName, extractor) {
+        this.#extractors.set(documentName, extractor);
+    }
+
+    /**
+     * has returns whether a document type has an extractor
+     * @param {string} documentName
+     * @returns {boolean}
+     */
+    has(documentName) {
+        return this.#extractors.has(documentName);
+    }
+
+    /**
+     * documents lists the world documents of a type
+     * @param {string} documentName
+     * @param {object} game
+     * @returns {object[]}
+     */
+    documents(documentName, game) {
+        const extractor = this.#extractors.get(documentName);
+        return extractor ? Array.from(extractor.documents(game) ?? []) : [];
+    }
+
+    /**
+     * extract returns the indexable text of a document, or an empty string if
+     * there is none
+     * @param {object} document
+     * @returns {string}
+     */
+    extract(document) {
+        const extractor = this.#extractors.get(documentNameOf(document));
+        if (!extractor) {
+            return '';
+        }
+        return extractor.extract(document) ?? '';
+    }
+}
+
+/**
+ * createDefaultExtractors returns the extractors for the core document types
+ * @returns {Extractors}
+ */
+export function createDefaultExtractors() {
+    const extractors = new Extractors();
+
+    extractors.register('JournalEntryPage', {
+        documents: game => game.journal.map(journal => journal.pages.contents).flat(),
+        extract: page => (page.type === 'text' ? page.text?.content ?? '' : ''),
+    });
+
+    extractors.register('Actor', {
+        documents: game => game.actors.contents,
+        extract: actor => lines([
+            `Name: ${actor.name}`,
+            `Type: ${actor.type}`,
+            ...systemFields(actor.system),
+            listOf('Items', actor.items),
+        ]),
+    });
+
+    extractors.register('Item', {
+        documents: game => game.items.contents,
+        // items owned by an actor are described with the actor instead
+        extract: item => (item.parent ? '' : lines([
+            `Name: ${item.name}`,
+            `Type: ${item.type}`,
+            ...systemFields(item.system),
+        ])),
+    });
+
+    extractors.register('Scene', {
+        documents: game => game.scenes.contents,
+        extract: scene => lines([
+            `Name: ${scene.name}`,
+            scene.navName && scene.navName !== scene.name ? `Navigation Name: ${scene.navName}` : '',
+            scene.journal ? `Journal: ${scene.journal.name}` : '',
+            listOf('Notes', scene.notes, note => note.label || note.text || note.entry?.name),
+        ]),
+    });
+
+    extractors.register('RollTable', {
+        documents: game => game.tables.contents,
+        extract: table => lines([
+            `Name: ${table.name}`,
+            table.formula ? `Formula: ${table.formula}` : '',
+            htmlToText(table.description),
+            listOf('Results', table.results, result => {
+                const text = htmlToText(result.text);
+                const range = result.range?.[0] === result.range?.[1]
+                    ? `${result.range?.[0]}`
+                    : result.range?.join('-');
+                return range ? `${range}: ${text}` : text;
+            }),
+        ]),
+    });
+
+    return extractors;
+}
+
+/**
+ * documentNameOf returns the document type of a Foundry document
+ *
+ * Documents without a document name are treated as journal pages, which were
+ * the only type indexed before extractors were introduced.
+ *
+ * @param {object} document
+ * @returns {string}
+ */
+export function documentNameOf(document) {
+    return document?.documentName ?? 'JournalEntryPage';
+}
+
+/**
+ * systemFields collects the descriptive fields of a document's system data
+ *
+ * Systems structure their data very differently, so rather than knowing each
+ * system's schema, fields are found by name and their HTML stripped.
+ *
+ * @param {object} system
+ * @param {number} [depth=0]
+ * @returns {string[]}
+ */
+export function systemFields(system, depth = 0) {
+    if (!system || typeof system !== 'object' || depth > MAX_FIELD_DEPTH) {
+        return [];
+    }
+
+    const fields = [];
+    for (const [key, value] of Object.entries(system)) {
+        if (typeof value === 'string' && DESCRIPTIVE_FIELDS.test(key)) {
+            const text = htmlToText(value);
+            if (text) {
+                fields.push(`${label(key)}: ${text}`);
+            }
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const nested = DESCRIPTIVE_FIELDS.test(key)
+                ? Object.values(value).filter(v => typeof v === 'string').map(htmlToText).filter(Boolean)
+                : [];
+            if (nested.length > 0) {
+                fields.push(`${label(key)}: ${nested.join('\n')}`);
+            } else {
+                fields.push(...systemFields(value, depth + 1));
+            }
+        }
+    }
+    return fields;
+}
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+function label(key) {
+    const words = key.replace(/([a-z])([A-Z])/g, '$1 $2');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @param {string} name
+ * @param {Iterable<object>} [collection]
+ * @param {(document: object) => string} [describe]
+ * @returns {string}
+ */
+function listOf(name, collection, describe = document => document.name) {
+    const entries = Array.from(collection ?? [])
+        .map(describe)
+        .filter(Boolean);
+    return entries.length > 0 ? `${name}:\n${entries.map(entry => `- ${entry}`).join('\n')}` : '';
+}
+
+/**
+ * @param {string[]} parts
+ * @returns {string}
+ */
+function lines(parts) {
+    return parts.filter(Boolean).join('\n');
+}
@@ -0,0 +1,128 @@
+import { Suite } from '../../test/quench';
+import { Extractors, createDefaultExtractors } from './extractors';
+
+Suite('document.extractors', ExtractorsTest);
+export default function ExtractorsTest({describe, it, assert}) {
+    const extractors = createDefaultExtractors();
+
+    describe('journal pages', () => {
+        it('extracts text page content', () => {
+            const page = {documentName: 'JournalEntryPage', type: 'text', text: {content: '<p>Hello</p>'}};
+            assert.equal(extractors.extract(page), '<p>Hello</p>');
+        });
+
+        it('ignores other page types', () => {
+            const page = {documentName: 'JournalEntryPage', type: 'image', src: 'map.webp'};
+            assert.equal(extractors.extract(page), '');
+        });
+
+        it('treats documents without a document name as pages', () => {
+            assert.equal(extractors.extract({type: 'text', text: {content: 'Hello'}}), 'Hello');
+        });
+    });
+
+    describe('actors', () => {
+        it('extracts name, type, descriptive fields and items', () => {
+            const actor = {
+                documentName: 'Actor',
+                name: 'Bob',
+                type: 'npc',
+                system: {
+                    attributes: {hp: {value: 7}},
+                    details: {
+                        biography: {value: '<p>A <strong>grumpy</strong> blacksmith.</p>', public: ''},
+                        alignment: 'Neutral',
+                    },
+                },
+                items: [{name: 'Hammer'}, {name: 'Apron'}],
+            };
+
+            assert.equal(extractors.extract(actor), [
+                'Name: Bob',
+                'Type: npc',
+                'Biography: A grumpy blacksmith.',
+                'Items:',
+                '- Hammer',
+                '- Apron',
+            ].join('\n'));
+        });
+    });
+
+    describe('items', () => {
+        it('extracts world items', () => {
+            const item = {
+                documentName: 'Item',
+                name: 'Sword of Dawn',
+                type: 'weapon',
+                parent: null,
+                system: {description: {value: '<p>Glows at sunrise.</p>'}},
+            };
+            assert.equal(extractors.extract(item), 'Name: Sword of Dawn\nType: weapon\nDescription: Glows at sunrise.');
+        });
+
+        it('skips items owned by an actor', () => {
+            const item = {documentName: 'Item', name: 'Hammer', type: 'weapon', parent: {name: 'Bob'}, system: {}};
+            assert.equal(extractors.extract(item), '');
+        });
+    });
+
+    describe('scenes', () => {
+        it('extracts names, journal and notes', () => {
+            const scene = {
+                documentName: 'Scene',
+                name: 'Forge Interior',
+                navName: 'The Forge',
+                journal: {name: 'Forge Notes'},
+                notes: [{label: 'Anvil'}, {text: '', entry: {name: 'Secret Door'}}],
+            };
+            assert.equal(extractors.extract(scene), [
+                'Name: Forge Interior',
+                'Navigation Name: The Forge',
+                'Journal: Forge Notes',
+                'Notes:',
+                '- Anvil',
+                '- Secret Door',
+            ].join('\n'));
+        });
+    });
+
+    describe('roll tables', () => {
+        it('extracts the formula, description and results', () => {
+            const table = {
+                documentName: 'RollTable',
+                name: 'Tavern Rumors',
+                formula: '1d4',
+                description: '<p>Overheard at the bar.</p>',
+                results: [
+                    {range: [1, 2], text: 'The mayor is a vampire.'},
+                    {range: [3, 3], text: 'The well is haunted.'},
+                ],
+            };
+            assert.equal(extractors.extract(table), [
+                'Name: Tavern Rumors',
+                'Formula: 1d4',
+                'Overheard at the bar.',
+                'Results:',
+                '- 1-2: The mayor is a vampire.',
+                '- 3: The well is haunted.',
+            ].join('\n'));
+        });
+    });
+
+    describe('registration', () => {
+        it('supports custom document types', () => {
+            const custom = new Extractors();
+            custom.register('Cards', {
+                documents: game => game.cards,
+                extract: cards => cards.name,
+            });
+
+            assert.deepEqual(custom.documentNames, ['Cards']);
+            assert.isTrue(custom.has('Cards'));
+            assert.deepEqual(custom.documents('Cards', {cards: [{name: 'Deck'}]}), [{name: 'Deck'}]);
+            assert.deepEqual(custom.documents('Actor', {}), []);
+            assert.equal(custom.extract({documentName: 'Cards', name: 'Deck'}), 'Deck');
+            assert.equal(custom.extract({documentName: 'Actor', name: 'Bob'}), '');
+        });
+    });
+}
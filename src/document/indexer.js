@@ -0,0 +1,305 @@
+import {Logger} from '../app/logger';
+
+/**
+ * QUEUE_KEY is the location in local storage of the indexing queue
+ *
+ * The world id is appended, since each world has its own index.
+ * @type {string}
+ */
+export const QUEUE_KEY = 'foundryvtt.aide.index_queue';
+
+/**
+ * Indexer embeds documents in the background, one at a time
+ *
+ * @description
+ * Documents are queued by UUID and each is committed to the store as soon as
+ * it has been embedded, so an interruption only loses the document in
+ * progress. The queue is saved in local storage after every document; an
+ * unfinished queue is picked up again after a reload, unless it was paused.
+ *
+ * Documents whose text has not changed since they were embedded are skipped
+ * by the document manager. Documents which fail are set aside with their
+ * error so that they can be retried, rather than stopping the queue.
+ *
+ * @example
+ * ```javascript
+ * const indexer = new Indexer(documentManager, vectorStore, `${QUEUE_KEY}.${game.world.id}`);
+ * indexer.subscribe(status => console.log(`${status.done} of ${status.total}`));
+ * indexer.initialize();
+ *
+ * await indexer.rebuild();
+ * ```
+ */
+export class Indexer {
+    /** @type {DocumentManager} */
+    #manager;
+
+    /** @type {VectorStore} */
+    #store;
+
+    /** @type {string} */
+    #key;
+
+    /** @type {string[]} */
+    #pending = [];
+
+    /** @type {Map<string, string>} */
+    #failed = new Map();
+
+    /** @type {number} */
+    #done = 0;
+
+    /** @type {number} */
+    #total = 0;
+
+    /** @type {boolean} */
+    #paused = false;
+
+    /** @type {Promise<void>|null} */
+    #running = null;
+
+    /** @type {Set<IndexerListener>} */
+    #listeners = new Set();
+
+    /**
+     * @param {DocumentManager} manager
+     * @param {VectorStore} store
+     * @param {string} [key] - where to save the queue in local storage
+     */
+    constructor(manager, store, key = QUEUE_KEY) {
+        this.#manager = manager;
+        this.#store = store;
+        this.#key = key;
+    }
+
+    /**
+     * initialize restores a queue saved by an earlier session and resumes it,
+     * unless it was paused
+     */
+    initialize() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.#key)) ?? {};
+        } catch (e) {
+            saved = {};
+        }
+
+        this.#pending = saved.pending ?? [];
+        this.#failed = new Map(saved.failed ?? []);
+        this.#done = saved.done ?? 0;
+        this.#total = saved.total ?? this.#pending.length;
+        this.#paused = saved.paused ?? false;
+        this.#start();
+    }
+
+    /**
+     * clear empties the queue, and forgets any queue saved by an earlier
+     * session; the document in progress is still finished
+     */
+    clear() {
+        this.#pending = [];
+        this.#failed.clear();
+        this.#done = 0;
+        this.#total = 0;
+        this.#paused = false;
+        this.#save();
+        this.#notify();
+    }
+
+    /**
+     * status describes the progress of the queue
+     * @returns {IndexerStatus}
+     */
+    status() {
+        let state = 'idle';
+        if (this.#paused && this.#pending.length > 0) {
+            state = 'paused';
+        } else if (this.#running) {
+            state = 'running';
+        }
+
+        return {
+            state,
+            done: this.#done,
+            remaining: this.#pending.length,
+            failed: Array.from(this.#failed, ([uuid, error]) => ({uuid, error})),
+            total: this.#total,
+        };
+    }
+
+    /**
+     * rebuild queues every document which should be indexed
+     *
+     * Unless the store is cleared first, documents which are no longer indexed
+     * are removed from it, and unchanged documents are skipped as they come up.
+     * A store built with other embedding settings is always cleared.
+     *
+     * @param {{clear?: boolean}} [options]
+     * @returns {Promise<void>} resolves once the documents are queued
+     */
+    async rebuild({clear = false} = {}) {
+        const sources = await this.#manager.sources();
+
+        if (clear || !this.#manager.indexMatches()) {
+            this.#store.clear();
+        } else {
+            const wanted = new Set(sources);
+            this.#store.ids()
+                .filter(id => !wanted.has(id) && !wanted.has(entryOf(id)))
+                .forEach(id => this.#store.delete(id));
+        }
+
+        this.enqueue(sources);
+    }
+
+    /**
+     * enqueue adds documents to the end of the queue and starts it, unless
+     * it is paused
+     * @param {string[]} uuids
+     */
+    enqueue(uuids) {
+        if (!this.#running && this.#pending.length === 0) {
+            this.#done = 0;
+            this.#total = 0;
+        }
+
+        const pending = new Set(this.#pending);
+        for (const uuid of uuids) {
+            if (pending.has(uuid)) {
+                continue;
+            }
+            pending.add(uuid);
+            this.#pending.push(uuid);
+            this.#failed.delete(uuid);
+            this.#total++;
+        }
+
+        this.#save();
+        this.#notify();
+        this.#start();
+    }
+
+    /**
+     * pause stops the queue after the document in progress
+     */
+    pause() {
+        if (this.#paused) {
+            return;
+        }
+        this.#paused = true;
+        this.#save();
+        this.#notify();
+    }
+
+    /**
+     * resume restarts a paused queue
+     */
+    resume() {
+        if (!this.#paused) {
+            return;
+        }
+        this.#paused = false;
+        this.#save();
+        this.#notify();
+        this.#start();
+    }
+
+    /**
+     * retryFailed queues the documents which failed again
+     */
+    retryFailed() {
+        this.enqueue(Array.from(this.#failed.keys()));
+    }
+
+    /**
+     * idle waits until the queue has stopped, because it is empty or paused
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        await this.#running;
+    }
+
+    /**
+     * subscribe registers a listener which is told about every change in the
+     * status of the queue
+     * @param {IndexerListener} listener
+     * @returns {() => void} a function which removes the listener
+     */
+    subscribe(listener) {
+        this.#listeners.add(listener);
+        return () => this.#listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    #start() {
+        if (this.#running || this.#paused || this.#pending.length === 0) {
+            return;
+        }
+
+        this.#running = this.#run().finally(() => {
+            this.#running = null;
+            this.#notify();
+        });
+        this.#notify();
+    }
+
+    /**
+     * run indexes queued documents until the queue is empty or paused
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #run() {
+        while (this.#pending.length > 0 && !this.#paused) {
+            const uuid = this.#pending[0];
+            try {
+                await this.#manager.indexSource(uuid);
+                this.#done++;
+            } catch (error) {
+                Logger.getLogger().error('Unable to index %s: %o', uuid, error);
+                this.#failed.set(uuid, error.message);
+            }
+
+            this.#pending.shift();
+            this.#save();
+            this.#notify();
+        }
+    }
+
+    /**
+     * @private
+     */
+    #save() {
+        if (this.#pending.length === 0 && this.#failed.size === 0 && !this.#paused) {
+            localStorage.removeItem(this.#key);
+            return;
+        }
+
+        localStorage.setItem(this.#key, JSON.stringify({
+            pending: this.#pending,
+            failed: Array.from(this.#failed),
+            done: this.#done,
+            total: this.#total,
+            paused: this.#paused,
+        }));
+    }
+
+    /**
+     * @private
+     */
+    #notify() {
+        const status = this.status();
+        this.#listeners.forEach(listener => listener(status));
+    }
+}
+
+/**
+ * entryOf returns the UUID of the journal entry holding a page, which is how
+ * compendium journals are queued
+ * @param {string} uuid
+ * @returns {string}
+ */
+function entryOf(uuid) {
+    return uuid.replace(/\.JournalEntryPage\.[^.]+$/, '');
+}
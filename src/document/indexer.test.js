@@ -0,0 +1,181 @@
+import { Suite } from '../../test/quench';
+import { Indexer } from './indexer';
+import { Logger, LogLevels } from '../app/logger';
+
+/**
+ * TEST_KEY keeps the tests away from the queue of the world being used
+ * @type {string}
+ */
+const TEST_KEY = 'foundryvtt.aide.index_queue.test';
+
+Suite('document.indexer', IndexerTest);
+export default function IndexerTest({describe, it, assert, beforeEach, afterEach}) {
+    let indexed;
+    let failing;
+    let matches;
+    let manager;
+    let store;
+
+    const createIndexer = () => new Indexer(manager, store, TEST_KEY);
+
+    beforeEach(() => {
+        Logger.getLogger('AIde', LogLevels.Error);
+        localStorage.removeItem(TEST_KEY);
+        indexed = [];
+        failing = new Set();
+        matches = true;
+
+        manager = {
+            sources: async () => ['JournalEntry.a.JournalEntryPage.b', 'Compendium.world.rules.JournalEntry.c'],
+            indexMatches: () => matches,
+            indexSource: async uuid => {
+                if (failing.has(uuid)) {
+                    throw new Error(`cannot embed ${uuid}`);
+                }
+                indexed.push(uuid);
+                return true;
+            },
+        };
+
+        const ids = new Set();
+        store = {
+            ids: () => Array.from(ids),
+            add: id => ids.add(id),
+            delete: id => ids.delete(id),
+            clear: () => ids.clear(),
+        };
+    });
+
+    afterEach(() => {
+        localStorage.removeItem(TEST_KEY);
+    });
+
+    describe('queue', () => {
+        it('indexes queued documents in order', async () => {
+            const indexer = createIndexer();
+            indexer.enqueue(['a', 'b', 'c']);
+            await indexer.idle();
+
+            assert.deepEqual(indexed, ['a', 'b', 'c']);
+            assert.deepEqual(indexer.status(), {state: 'idle', done: 3, remaining: 0, failed: [], total: 3});
+            assert.isNull(localStorage.getItem(TEST_KEY));
+        });
+
+        it('does not queue a document twice', async () => {
+            const indexer = createIndexer();
+            indexer.pause();
+            indexer.enqueue(['a', 'b']);
+            indexer.enqueue(['b', 'c']);
+
+            assert.equal(indexer.status().remaining, 3);
+        });
+
+        it('sets failed documents aside and carries on', async () => {
+            failing.add('b');
+            const indexer = createIndexer();
+            indexer.enqueue(['a', 'b', 'c']);
+            await indexer.idle();
+
+            assert.deepEqual(indexed, ['a', 'c']);
+            assert.deepEqual(indexer.status().failed, [{uuid: 'b', error: 'cannot embed b'}]);
+
+            failing.clear();
+            indexer.retryFailed();
+            await indexer.idle();
+
+            assert.deepEqual(indexed, ['a', 'c', 'b']);
+            assert.deepEqual(indexer.status().failed, []);
+        });
+
+        it('reports progress to listeners', async () => {
+            const states = [];
+            const indexer = createIndexer();
+            indexer.subscribe(status => states.push(`${status.state} ${status.done}/${status.total}`));
+            indexer.enqueue(['a', 'b']);
+            await indexer.idle();
+
+            assert.deepEqual(states, ['idle 0/2', 'running 0/2', 'running 1/2', 'running 2/2', 'idle 2/2']);
+        });
+    });
+
+    describe('pausing and resuming', () => {
+        it('stops after the document in progress', async () => {
+            const indexer = createIndexer();
+            const unsubscribe = indexer.subscribe(status => {
+                if (status.done === 1) {
+                    indexer.pause();
+                }
+            });
+            indexer.enqueue(['a', 'b', 'c']);
+            await indexer.idle();
+
+            assert.deepEqual(indexed, ['a']);
+            assert.equal(indexer.status().state, 'paused');
+
+            unsubscribe();
+            indexer.resume();
+            await indexer.idle();
+            assert.deepEqual(indexed, ['a', 'b', 'c']);
+        });
+
+        it('picks up an unfinished queue after a reload', async () => {
+            const first = createIndexer();
+            first.pause();
+            first.enqueue(['a', 'b']);
+
+            const second = createIndexer();
+            second.initialize();
+            assert.equal(second.status().state, 'paused');
+            assert.equal(second.status().remaining, 2);
+
+            second.resume();
+            await second.idle();
+            assert.deepEqual(indexed, ['a', 'b']);
+        });
+
+        it('forgets an unfinished queue when cleared', async () => {
+            const first = createIndexer();
+            first.pause();
+            first.enqueue(['a', 'b']);
+
+            const second = createIndexer();
+            second.clear();
+            assert.deepEqual(second.status(), {state: 'idle', done: 0, remaining: 0, failed: [], total: 0});
+            assert.isNull(localStorage.getItem(TEST_KEY));
+
+            createIndexer().initialize();
+            await second.idle();
+            assert.deepEqual(indexed, []);
+        });
+    });
+
+    describe('rebuilding', () => {
+        it('queues every source and removes documents no longer indexed', async () => {
+            store.add('JournalEntry.a.JournalEntryPage.b');
+            store.add('JournalEntry.x.JournalEntryPage.y');
+            store.add('Compendium.world.rules.JournalEntry.c.JournalEntryPage.d');
+
+            const indexer = createIndexer();
+            await indexer.rebuild();
+            await indexer.idle();
+
+            assert.deepEqual(store.ids(), [
+                'JournalEntry.a.JournalEntryPage.b',
+                'Compendium.world.rules.JournalEntry.c.JournalEntryPage.d',
+            ]);
+            assert.deepEqual(indexed, ['JournalEntry.a.JournalEntryPage.b', 'Compendium.world.rules.JournalEntry.c']);
+        });
+
+        it('clears an index built with other embedding settings', async () => {
+            store.add('JournalEntry.a.JournalEntryPage.b');
+            matches = false;
+
+            const indexer = createIndexer();
+            indexer.pause();
+            await indexer.rebuild();
+
+            assert.deepEqual(store.ids(), []);
+            assert.equal(indexer.status().remaining, 2);
+        });
+    });
+}
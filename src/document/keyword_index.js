@@ -0,0 +1,226 @@
+/**
+ * BM25_K1 controls how quickly repeating a term stops raising a document's score
+ * @type {number}
+ */
+const BM25_K1 = 1.2;
+
+/**
+ * BM25_B controls how much long documents are penalized
+ * @type {number}
+ */
+const BM25_B = 0.75;
+
+/**
+ * STOP_WORDS are common English words which say nothing about what a
+ * document is about
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+    'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+    'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would',
+    'you', 'your',
+]);
+
+/**
+ * KeywordIndex ranks documents by the words they share with a query
+ *
+ * @description
+ * Embeddings capture meaning but blur exact names: a question about Valeska
+ * may match any page about a merchant. The keyword index scores documents
+ * with BM25, which favors rare terms such as proper nouns, so that it can be
+ * combined with the semantic ranking.
+ *
+ * Documents are added as term frequencies rather than text, so that the
+ * index can be rebuilt from storage without loading the documents.
+ *
+ * @example
+ * ```javascript
+ * const index = new KeywordIndex();
+ * index.set('Actor.abc', termFrequencies('Valeska wants the deed to the mill.'));
+ *
+ * const results = index.search('What does Valeska want?', 5);
+ * // [{id: 'Actor.abc', score: 1.2}]
+ * ```
+ */
+export class KeywordIndex {
+    /** @type {Map<string, {terms: TermFrequencies, length: number}>} */
+    #documents = new Map();
+
+    /** @type {Map<string, number>} the number of documents holding each term */
+    #frequencies = new Map();
+
+    /** @type {number} */
+    #totalLength = 0;
+
+    /**
+     * size returns the number of documents in the index
+     * @returns {number}
+     */
+    get size() {
+        return this.#documents.size;
+    }
+
+    /**
+     * set adds a document, replacing any earlier version of it
+     * @param {string} id
+     * @param {TermFrequencies} terms
+     */
+    set(id, terms) {
+        this.delete(id);
+
+        const length = Object.values(terms).reduce((sum, count) => sum + count, 0);
+        this.#documents.set(id, {terms, length});
+        this.#totalLength += length;
+        for (const term of Object.keys(terms)) {
+            this.#frequencies.set(term, (this.#frequencies.get(term) ?? 0) + 1);
+        }
+    }
+
+    /**
+     * delete removes a document
+     * @param {string} id
+     */
+    delete(id) {
+        const document = this.#documents.get(id);
+        if (!document) {
+            return;
+        }
+
+        this.#documents.delete(id);
+        this.#totalLength -= document.length;
+        for (const term of Object.keys(document.terms)) {
+            const count = this.#frequencies.get(term) - 1;
+            if (count > 0) {
+                this.#frequencies.set(term, count);
+            } else {
+                this.#frequencies.delete(term);
+            }
+        }
+    }
+
+    /**
+     * clear removes every document
+     */
+    clear() {
+        this.#documents.clear();
+        this.#frequencies.clear();
+        this.#totalLength = 0;
+    }
+
+    /**
+     * termsOf returns the term frequencies of a document
+     * @param {string} id
+     * @returns {TermFrequencies|undefined}
+     */
+    termsOf(id) {
+        return this.#documents.get(id)?.terms;
+    }
+
+    /**
+     * search returns the documents which best match the terms of a query
+     * @param {string} query
+     * @param {number} limit
+     * @returns {SimilarityResult[]}
+     */
+    search(query, limit) {
+        const terms = Array.from(new Set(tokenize(query)))
+            .filter(term => this.#frequencies.has(term));
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const count = this.#documents.size;
+        const averageLength = this.#totalLength / count;
+        const weights = terms.map(term => {
+            const frequency = this.#frequencies.get(term);
+            return Math.log(1 + ((count - frequency + 0.5) / (frequency + 0.5)));
+        });
+
+        const results = [];
+        for (const [id, {terms: frequencies, length}] of this.#documents) {
+            let score = 0;
+            terms.forEach((term, i) => {
+                // terms such as "constructor" must not be read from the prototype
+                const tf = Object.hasOwn(frequencies, term) ? frequencies[term] : 0;
+                if (tf > 0) {
+                    const norm = BM25_K1 * (1 - BM25_B + (BM25_B * (length / averageLength)));
+                    score += weights[i] * ((tf * (BM25_K1 + 1)) / (tf + norm));
+                }
+            });
+            if (score > 0) {
+                results.push({id, score});
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+/**
+ * termFrequencies counts the terms in some text
+ *
+ * The counts have no prototype, so that terms such as "constructor" or
+ * "__proto__" are counted from zero like any other.
+ *
+ * @param {string} text
+ * @returns {TermFrequencies}
+ */
+export function termFrequencies(text) {
+    const terms = Object.create(null);
+    for (const term of tokenize(text)) {
+        terms[term] = (terms[term] ?? 0) + 1;
+    }
+    return terms;
+}
+
+/**
+ * tokenize splits text into lower case terms without accents, dropping stop
+ * words and possessives, so that "Valeska's" matches "valeska"
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text ?? '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * reciprocalRankFusion combines rankings of the same documents made in
+ * different ways
+ *
+ * Each document scores `weight / (k + rank)` in each ranking it appears in,
+ * so documents ranked well by both rise to the top, without having to
+ * compare similarities with BM25 scores. The chunk hits of a document are
+ * kept from the first ranking which has them.
+ *
+ * @param {{results: SimilarityResult[], weight: number}[]} rankings
+ * @param {number} [k=60] - dampens the advantage of the very first ranks
+ * @returns {SimilarityResult[]}
+ */
+export function reciprocalRankFusion(rankings, k = 60) {
+    const fused = new Map();
+    for (const {results, weight} of rankings) {
+        results.forEach(({id, chunks}, rank) => {
+            const result = fused.get(id) ?? {id, score: 0};
+            result.score += weight / (k + rank + 1);
+            if (chunks && !result.chunks) {
+                result.chunks = chunks;
+            }
+            fused.set(id, result);
+        });
+    }
+
+    return Array.from(fused.values())
+        .filter(({score}) => score > 0)
+        .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,103 @@
+import { Suite } from '../../test/quench';
+import { KeywordIndex, reciprocalRankFusion, termFrequencies, tokenize } from './keyword_index';
+
+Suite('document.keyword_index', KeywordIndexTest);
+export default function KeywordIndexTest({describe, it, assert, beforeEach}) {
+    describe('terms', () => {
+        it('lower cases terms and drops stop words, accents and possessives', () => {
+            assert.deepEqual(tokenize('What does Valeska\'s café want?'), ['valeska', 'cafe', 'want']);
+        });
+
+        it('counts the terms in some text', () => {
+            assert.deepEqual(termFrequencies('The mill, the MILL and the miller.'), {mill: 2, miller: 1});
+        });
+    });
+
+    describe('search', () => {
+        let index;
+
+        beforeEach(() => {
+            index = new KeywordIndex();
+            index.set('valeska', termFrequencies('Valeska is a merchant. Valeska wants the deed to the mill.'));
+            index.set('mill', termFrequencies('The mill sits on the river. The merchant guild owns the mill.'));
+            index.set('guild', termFrequencies('The merchant guild meets at the hall.'));
+        });
+
+        it('ranks documents which mention rare terms first', () => {
+            const results = index.search('What does Valeska want?', 3);
+            assert.deepEqual(results.map(result => result.id), ['valeska']);
+        });
+
+        it('ranks documents by how often they use the terms', () => {
+            const results = index.search('mill', 3);
+            assert.deepEqual(results.map(result => result.id), ['mill', 'valeska']);
+            assert.isAbove(results[0].score, results[1].score);
+        });
+
+        it('limits the number of results', () => {
+            assert.lengthOf(index.search('merchant', 2), 2);
+        });
+
+        it('finds nothing for unknown terms', () => {
+            assert.deepEqual(index.search('dragon', 3), []);
+        });
+
+        it('counts terms which name members of objects like any other', () => {
+            assert.deepEqual({...termFrequencies('The constructor of the tower')}, {constructor: 1, tower: 1});
+
+            index.set('tower', termFrequencies('The constructor of the tower. toString __proto__ hasOwnProperty'));
+            assert.deepEqual(index.search('Valeska', 3).map(result => result.id), ['valeska']);
+            assert.deepEqual(index.search('tower', 3).map(result => result.id), ['tower']);
+            assert.deepEqual(index.search('constructor', 3).map(result => result.id), ['tower']);
+        });
+
+        it('replaces and removes documents', () => {
+            index.set('valeska', termFrequencies('Valeska left town.'));
+            assert.deepEqual(index.search('mill', 3).map(result => result.id), ['mill']);
+
+            index.delete('valeska');
+            assert.equal(index.size, 2);
+            assert.deepEqual(index.search('valeska', 3), []);
+        });
+    });
+
+    describe('fusion', () => {
+        it('favors documents ranked well in every ranking', () => {
+            const fused = reciprocalRankFusion([
+                {results: [{id: 'a'}, {id: 'b'}, {id: 'c'}], weight: 1},
+                {results: [{id: 'b'}, {id: 'c'}], weight: 1},
+            ]);
+            assert.deepEqual(fused.map(result => result.id), ['b', 'c', 'a']);
+        });
+
+        it('weights each ranking', () => {
+            const rankings = [
+                {results: [{id: 'a'}, {id: 'b'}], weight: 0.9},
+                {results: [{id: 'b'}, {id: 'a'}], weight: 0.1},
+            ];
+            assert.equal(reciprocalRankFusion(rankings)[0].id, 'a');
+
+            rankings[0].weight = 0.1;
+            rankings[1].weight = 0.9;
+            assert.equal(reciprocalRankFusion(rankings)[0].id, 'b');
+        });
+
+        it('keeps the chunk hits of each document', () => {
+            const chunks = [{index: 2, score: 0.9}];
+            const fused = reciprocalRankFusion([
+                {results: [{id: 'a', chunks}], weight: 0.5},
+                {results: [{id: 'a'}, {id: 'b'}], weight: 0.5},
+            ]);
+            assert.deepEqual(fused[0].chunks, chunks);
+            assert.isUndefined(fused[1].chunks);
+        });
+
+        it('drops rankings without weight', () => {
+            const fused = reciprocalRankFusion([
+                {results: [{id: 'a'}], weight: 1},
+                {results: [{id: 'b'}], weight: 0},
+            ]);
+            assert.deepEqual(fused.map(result => result.id), ['a']);
+        });
+    });
+}
@@ -1,3 +1,53 @@
+import {CHUNKER_VERSION, Chunker} from './chunker';
+import {Logger} from '../app/logger';
+import {createDefaultExtractors, documentNameOf} from './extractors';
+import {contentLinks, hashText, htmlToText} from './text';
+import {reciprocalRankFusion, termFrequencies, tokenize} from './keyword_index';
+import {chunkLimit, countWordPieces, loadTokenizer} from './tokenizer';
+import {matchesFingerprint} from './vector_store';
+
+/**
+ * COMPENDIUM_TYPES are the kinds of compendium pack which can be indexed
+ * @type {string[]}
+ */
+export const COMPENDIUM_TYPES = ['JournalEntry', 'Item'];
+
+/**
+ * CANDIDATE_FACTOR is how many more documents than are wanted each ranking
+ * contributes to a search, so that a document ranked highly by only one of
+ * them can still be found
+ * @type {number}
+ */
+const CANDIDATE_FACTOR = 4;
+
+/**
+ * SHORT_DOCUMENT_TOKENS is the length below which a document is given to the
+ * chat model whole rather than as passages
+ * @type {number}
+ */
+const SHORT_DOCUMENT_TOKENS = 500;
+
+/**
+ * KEYWORD_HITS is the number of chunks picked by their keywords from a
+ * document which was found by keyword alone
+ * @type {number}
+ */
+const KEYWORD_HITS = 3;
+
+/**
+ * RERANK_QUERY_LENGTH is the number of characters at the end of a search
+ * text, where the latest question is, which reranking compares documents to
+ * @type {number}
+ */
+const RERANK_QUERY_LENGTH = 2000;
+
+/**
+ * OWNERSHIP are the levels of `CONST.DOCUMENT_OWNERSHIP_LEVELS` which decide
+ * whether players may see a document
+ * @type {{INHERIT: number, NONE: number, OBSERVER: number}}
+ */
+const OWNERSHIP = {INHERIT: -1, NONE: 0, OBSERVER: 2};
+
 /**
  * DocumentManager encapsulates document-related operations
  *
@@ -6,6 +56,23 @@
  * the lifecycle of document vectors and determines which documents can be
  * processed.
  *
+ * Journal pages, actors, items, scenes and roll tables can all be indexed;
+ * each is converted to text by its extractor, and only the document types
+ * enabled in the options are processed.
+ *
+ * Journal and item compendium packs may also be indexed. Packs are opted in
+ * one at a time, and their documents are only loaded while being indexed.
+ * Their vectors are stored under compendium UUIDs, which `fromUuid` resolves.
+ *
+ * Searches combine the semantic ranking of the vectors with a keyword ranking,
+ * so that exact names are found even when their embeddings are unremarkable.
+ * The keyword weight sets how much each ranking counts.
+ *
+ * Vectors from different embedding models cannot be compared, so the store is
+ * stamped with a fingerprint of the settings used to build it. While the store
+ * was built with other settings it is neither searched nor added to; it must
+ * be rebuilt first.
+ *
  * @example
  * ```javascript
  * const manager = new Manager(config, client, store);
@@ -16,8 +83,10 @@
  * // Get context for multiple documents
  * const context = await manager.contexts(['doc1', 'doc2']);
  *
- * // Rebuild vector store if needed
- * await manager.rebuildVectorStore();
+ * // Embed everything which should be indexed
+ * for (const uuid of await manager.sources()) {
+ *     await manager.indexSource(uuid);
+ * }
  * ```
  */
 export class DocumentManager {
@@ -28,8 +97,23 @@ export class DocumentManager {
         ChunkSize: 512,
         ChunkOverlap: 32,
         EmbeddingModel: '',
+        EmbeddingProvider: '',
+        DocumentTypes: ['JournalEntryPage'],
+        Compendiums: [],
+        KeywordSearchWeight: 0.5,
+        Lookups: 3,
+        ContextTokenBudget: 3000,
+        MinimumScore: 0,
+        RerankMethod: 'none',
+        RerankModel: '',
+        RerankCandidates: 10,
     };
 
+    /**
+     * @type {Extractors}
+     */
+    #extractors;
+
     /**
      * @type {VectorStore}
      */
@@ -40,6 +124,23 @@ export class DocumentManager {
      */
     #client;
 
+    /**
+     * @type {Chunker}
+     */
+    #chunker;
+
+    /**
+     * counts tokens as the embedding model does, once `initialize` has loaded
+     * its tokenizer
+     * @type {(text: string) => number}
+     */
+    #count = countWordPieces;
+
+    /**
+     * @type {Client|null}
+     */
+    #reranker;
+
     /**
      * @type {object}
      */
@@ -52,15 +153,46 @@ export class DocumentManager {
      * @param {ManagerConfiguration} options
      * @param {AIProvider} client
      * @param {VectorStore} store
+     * @param {Emitter} emitter
+     * @param {Extractors} [extractors]
+     * @param {Client|null} [reranker] - the client which reranks search results
      */
-    constructor(context, options, client, store, emitter) {
+    constructor(context, options, client, store, emitter, extractors = createDefaultExtractors(), reranker = null) {
         this.#context = context;
         this.#options = { ...this.#options, ...options };
         this.#client = client;
         this.#store = store;
         this.#emitter = emitter;
+        this.#extractors = extractors;
+        this.#reranker = reranker;
+        this.#chunker = this.#createChunker();
+    }
 
-        this.#emitter.on('document.update', (doc, changed) => this.updateDocumentVectors(doc, changed));
+    /**
+     * initialize loads the tokenizer of the embedding model
+     *
+     * Until it has been loaded, tokens are estimated by counting word pieces,
+     * so documents should not be chunked before then.
+     *
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        this.#count = await loadTokenizer(this.#options.EmbeddingModel);
+        this.#chunker = this.#createChunker();
+    }
+
+    /**
+     * @private
+     * @returns {Chunker}
+     */
+    #createChunker() {
+        // chunks may not be longer than the embedding model accepts
+        const size = Math.min(this.#options.ChunkSize, chunkLimit(this.#options.EmbeddingModel) ?? Infinity);
+        return new Chunker({
+            size,
+            overlap: Math.min(this.#options.ChunkOverlap, Math.floor(size / 2)),
+            count: this.#count,
+        });
     }
 
     /**
@@ -76,7 +208,7 @@ export class DocumentManager {
         if (!this.#indexable(doc)) {
             return [];
         }
-        return this.calculateChunks(doc.text.content);
+        return this.calculateChunks(this.#extractors.extract(doc), titleOf(doc));
     }
 
     /**
@@ -88,12 +220,221 @@ export class DocumentManager {
     async contexts(ids) {
         const docs = await Promise.all(ids.map(id => this.getDocument(id)));
         return docs.flat()
-            .filter(this.#indexable)
-            .filter(doc => doc.text.content.length > 0)
-            .map(doc => ({
-                uuid: doc.uuid,
-                content: `<JournalEntry title="${doc.name}">${doc.text.content}</JournalEntry>`,
-            }));
+            .filter(doc => this.#indexable(doc))
+            .map(doc => ({uuid: doc.uuid, name: titleOf(doc), content: wrap(doc, this.#extractors.extract(doc))}));
+    }
+
+    /**
+     * attachments returns the context documents linked from a message
+     *
+     * A document linked from a message was chosen for it by the user, so
+     * unlike a search result it need not be of an indexed type, as long as
+     * the user can see it and its text can be read. A linked journal entry
+     * stands for all of its pages.
+     *
+     * @param {string} text
+     * @returns {Promise<ContextDocument[]>}
+     */
+    async attachments(text) {
+        const docs = await Promise.all(contentLinks(text).map(id => this.getDocument(id)));
+        return docs
+            .filter(doc => doc !== undefined && doc !== null)
+            .flatMap(doc => (documentNameOf(doc) === 'JournalEntry' ? Array.from(doc.pages ?? []) : [doc]))
+            .filter(doc => this.#readable(doc))
+            .map(doc => ({uuid: doc.uuid, name: titleOf(doc), content: wrap(doc, this.#extractors.extract(doc))}));
+    }
+
+    /**
+     * passages returns the context documents for search results, keeping to
+     * the context token budget
+     *
+     * A short document is given whole. From a longer one, the chunks which
+     * matched the search are given with the chunks either side of them, so
+     * that each passage reads on from what comes before; a document found by
+     * keyword alone has its chunks picked by the query terms they hold.
+     * Results are taken best first until the budget runs out. Tokens are
+     * counted by the embedding model's tokenizer, as an estimate of the chat
+     * model's.
+     *
+     * @param {SimilarityResult[]} results
+     * @param {string} query
+     * @returns {Promise<ContextDocument[]>}
+     */
+    async passages(results, query) {
+        const contexts = [];
+        let budget = this.#options.ContextTokenBudget;
+        for (const result of results) {
+            const doc = await this.getDocument(result.id);
+            if (!this.#indexable(doc)) {
+                continue;
+            }
+
+            const content = this.#extractors.extract(doc);
+            let context = wrap(doc, content);
+            let tokens = this.#count(context);
+            if (tokens > SHORT_DOCUMENT_TOKENS || tokens > budget) {
+                const chunks = this.#chunker.split(content, titleOf(doc));
+                const selected = selectChunks(chunks, hitsOf(result, chunks, query),
+                    budget - this.#count(wrap(doc, '')), this.#count);
+                if (selected.length === 0) {
+                    continue;
+                }
+                context = wrap(doc, joinPassages(chunks, selected));
+                tokens = this.#count(context);
+            }
+
+            contexts.push({uuid: doc.uuid, name: titleOf(doc), content: context, score: result.score});
+            budget -= tokens;
+        }
+        return contexts;
+    }
+
+    /**
+     * indexes returns whether documents of a type are indexed
+     * @param {string} documentName
+     * @returns {boolean}
+     */
+    indexes(documentName) {
+        return this.#options.DocumentTypes.includes(documentName) && this.#extractors.has(documentName);
+    }
+
+    /**
+     * fingerprint describes the embeddings this manager makes
+     * @returns {IndexFingerprint}
+     */
+    fingerprint() {
+        return {
+            provider: this.#options.EmbeddingProvider,
+            model: this.#options.EmbeddingModel,
+            chunkSize: this.#options.ChunkSize,
+            chunkOverlap: this.#options.ChunkOverlap,
+            chunker: CHUNKER_VERSION,
+        };
+    }
+
+    /**
+     * indexMatches returns whether the store holds embeddings made the way
+     * this manager makes them, so that they can be searched and added to
+     *
+     * An empty store always matches. A store built before fingerprints were
+     * recorded never does, since its settings are unknown.
+     *
+     * @returns {boolean}
+     */
+    indexMatches() {
+        return this.#store.size() === 0 || matchesFingerprint(this.#store.getFingerprint(), this.fingerprint());
+    }
+
+    /**
+     * search finds the documents most relevant to a piece of text
+     *
+     * The documents most similar in meaning and those sharing the most
+     * keywords are fused by reciprocal rank, weighted by the keyword weight.
+     * Documents less similar in meaning than the minimum score are dropped,
+     * including those found by keyword alone, unless only keywords are
+     * searched. When several queries are given, such as the
+     * sub-queries of a question, each is ranked on its own and all of the
+     * rankings are fused, so that no query drowns out the others. When a
+     * rerank method is chosen, the best candidates are then reordered by the
+     * reranker, judging the best matching chunk of each; if reranking fails,
+     * the fused order is kept. Excluded documents are never found. Nothing is
+     * found while the store must be rebuilt.
+     *
+     * @param {string|string[]} queries
+     * @param {string[]} [exclude=[]] - the IDs of documents to leave out
+     * @returns {Promise<SimilarityResult[]>}
+     */
+    async search(queries, exclude = []) {
+        if (!this.indexMatches()) {
+            return [];
+        }
+
+        queries = [queries].flat().filter(query => query?.trim());
+        const chunked = queries.map(query => this.calculateChunks(query));
+        if (chunked.every(chunks => chunks.length === 0)) {
+            return [];
+        }
+
+        const candidates = this.#options.Lookups * CANDIDATE_FACTOR;
+        const weight = this.#options.KeywordSearchWeight;
+
+        let semantic = queries.map(() => []);
+        if (weight < 1) {
+            // every query is embedded in one request, then split apart again
+            const embeddings = await this.#client.embed(this.#options.EmbeddingModel, 'search', chunked.flat());
+            let offset = 0;
+            semantic = chunked.map(chunks => {
+                const vectors = embeddings.vectors.slice(offset, offset + chunks.length);
+                offset += chunks.length;
+                if (vectors.length === 0) {
+                    return [];
+                }
+                return this.#store.findSimilar(vectors, candidates)
+                    .filter(({score}) => score >= this.#options.MinimumScore);
+            });
+        }
+
+        const excluded = new Set(exclude);
+        const similar = new Set(semantic.flat().map(({id}) => id));
+        const thresholded = weight < 1 && this.#options.MinimumScore > 0;
+        const fused = reciprocalRankFusion(queries.flatMap((query, i) => [
+            {results: semantic[i], weight: (1 - weight) / queries.length},
+            {results: weight > 0 ? this.#store.findKeywords(query, candidates) : [], weight: weight / queries.length},
+        ])).filter(({id}) => !excluded.has(id) && (!thresholded || similar.has(id)));
+        if (!this.#reranker || this.#options.RerankMethod === 'none' || !this.#options.RerankModel) {
+            return fused.slice(0, this.#options.Lookups);
+        }
+        return this.#rerank(queries.join('\n'),
+            fused.slice(0, Math.max(this.#options.RerankCandidates, this.#options.Lookups)));
+    }
+
+    /**
+     * rerank reorders search results by the reranker's scores
+     * @private
+     * @param {string} text
+     * @param {SimilarityResult[]} results
+     * @returns {Promise<SimilarityResult[]>}
+     */
+    async #rerank(text, results) {
+        const query = text.slice(-RERANK_QUERY_LENGTH);
+        const passages = await Promise.all(results.map(result => this.#bestPassage(result, query)));
+        const candidates = results.filter((_, i) => passages[i] !== null);
+
+        let scores;
+        try {
+            scores = await this.#reranker.rerank(this.#options.RerankModel, query,
+                passages.filter(passage => passage !== null), this.#options.RerankMethod);
+        } catch (error) {
+            Logger.getLogger().warn('Unable to rerank the search results: %o', error);
+            return results.slice(0, this.#options.Lookups);
+        }
+
+        return candidates
+            .map((result, i) => ({...result, score: scores[i] ?? 0}))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.#options.Lookups);
+    }
+
+    /**
+     * bestPassage returns the chunk of a document which best matched a
+     * search, or null if the document cannot be read
+     * @private
+     * @param {SimilarityResult} result
+     * @param {string} query
+     * @returns {Promise<string|null>}
+     */
+    async #bestPassage(result, query) {
+        const doc = await this.getDocument(result.id);
+        if (!this.#indexable(doc)) {
+            return null;
+        }
+
+        const chunks = this.#chunker.split(this.#extractors.extract(doc), titleOf(doc));
+        if (chunks.length === 0) {
+            return null;
+        }
+        const {header, text} = chunks[hitsOf(result, chunks, query)[0]];
+        return header + text;
     }
 
     /**
@@ -105,148 +446,525 @@ export class DocumentManager {
         return await this.#context.fromUuid(id);
     }
 
+    /**
+     * indexable returns whether a document is of an indexed type, visible to
+     * the user and has text
+     * @param {object} document
+     * @returns {boolean}
+     */
     #indexable(document) {
-        return (
-            document.type === 'text'
-            && document.text !== null && document.text !== undefined
-            && document.text.content !== undefined && document.text.content !== null
-            && document.text.content.length > 0
-        );
+        if (document === undefined || document === null || !this.#tracked(document)) {
+            return false;
+        }
+
+        // never index what the user could not open themselves; compendium
+        // visibility is decided per pack
+        return this.#readable(document);
     }
 
     /**
-     * rebuildVectorStore clears and rebuilds the store for all documents
+     * readable returns whether a document is visible to the user and has text
+     * @private
+     * @param {object} document
+     * @returns {boolean}
      */
-    async rebuildVectorStore() {
-        const documents = this.#context.game.journal.map(j => j.pages.contents).flat().filter(this.#indexable);
-        let allDocumentVectors = [];
-        for (const doc of documents) {
-            const chunks = await this.chunks(doc.uuid);
-            if (chunks.length === 0) {
-                continue;
-            }
-            const vectors = await this.#client.embed(this.#options.EmbeddingModel, doc.uuid, chunks);
-            allDocumentVectors.push(vectors);
+    #readable(document) {
+        if (!packOf(document) && document.testUserPermission?.(this.#context.game.user, 'OBSERVER') === false) {
+            return false;
         }
 
-        await this.#store.clear();
-        await this.#store.addBatch(allDocumentVectors);
+        return this.#extractors.extract(document).length > 0;
     }
 
     /**
-     * deleteDocumentVectors removes vectors for a given document
+     * tracked returns whether a document is of an indexed type, or belongs to
+     * an indexed compendium pack
+     * @private
+     * @param {object} document
+     * @returns {boolean}
+     */
+    #tracked(document) {
+        const pack = packOf(document);
+        if (pack) {
+            return this.#options.Compendiums.includes(pack) && this.#extractors.has(documentNameOf(document));
+        }
+        return this.indexes(documentNameOf(document));
+    }
+
+    /**
+     * shareable returns whether every player may see a document, so that its
+     * vectors and terms may be shared with them
      *
-     * This method is called by the preDeleteJournalEntryPage hook.
-     * @param {JournalEntryPage} document
-     * @param {object} options
-     * @param {string} id
+     * Players see what a document's default ownership allows them to, which a
+     * journal page may inherit from its entry. The documents of a compendium
+     * pack may be seen by everyone when players may observe the pack.
+     *
+     * @param {string} uuid
+     * @returns {boolean}
+     */
+    shareable(uuid) {
+        const [scope, ...rest] = uuid.split('.');
+        if (scope === 'Compendium') {
+            const pack = this.#context.game.packs.get(`${rest[0]}.${rest[1]}`);
+            return ['OBSERVER', 'OWNER'].includes(pack?.ownership?.PLAYER);
+        }
+        return defaultOwnership(this.#context.fromUuidSync(uuid)) >= OWNERSHIP.OBSERVER;
+    }
+
+    /**
+     * sources returns the UUIDs of everything which should be in the store
+     *
+     * World documents are listed individually. Compendium packs are listed by
+     * their entries, read from the pack index so that no documents are loaded;
+     * a journal entry stands for all of its pages.
+     *
+     * @returns {Promise<string[]>}
+     */
+    async sources() {
+        const uuids = this.#options.DocumentTypes
+            .flatMap(documentName => this.#extractors.documents(documentName, this.#context.game))
+            .filter(doc => this.#indexable(doc))
+            .map(doc => doc.uuid);
+
+        for (const collection of this.#options.Compendiums) {
+            uuids.push(...await this.#compendiumSources(collection));
+        }
+        return uuids;
+    }
+
+    /**
+     * addCompendium starts indexing a compendium pack
+     *
+     * The pack is added to the indexed compendiums, so that changes to its
+     * documents are indexed from now on.
+     *
+     * @param {string} collection - the pack's collection id, e.g. "dnd5e.rules"
+     * @returns {Promise<string[]>} the UUIDs of the pack's entries, to be indexed
+     */
+    async addCompendium(collection) {
+        if (!this.#options.Compendiums.includes(collection)) {
+            this.#options.Compendiums = [...this.#options.Compendiums, collection];
+        }
+        return this.#compendiumSources(collection);
+    }
+
+    /**
+     * removeCompendium removes the vectors of a compendium pack from the store
+     * and stops indexing it
+     *
+     * @param {string} collection
      * @returns {Promise<void>}
      */
-    async deleteDocumentVectors(document, { id }) {
-        if (document === undefined || !this.#indexable(document)) {
-            return;
+    async removeCompendium(collection) {
+        this.#options.Compendiums = this.#options.Compendiums.filter(c => c !== collection);
+
+        const prefix = `Compendium.${collection}.`;
+        for (const id of this.#store.ids()) {
+            if (id.startsWith(prefix)) {
+                await this.#store.delete(id);
+            }
         }
+    }
 
-        if (typeof document.uuid !== 'string') {
-            return;
+    /**
+     * compendiumSources lists the entries of an indexable pack
+     * @private
+     * @param {string} collection
+     * @returns {Promise<string[]>}
+     */
+    async #compendiumSources(collection) {
+        const pack = this.#context.game.packs.get(collection);
+        if (!pack || !COMPENDIUM_TYPES.includes(pack.documentName)) {
+            return [];
         }
 
-        await this.#store.delete(document.uuid);
+        const index = await pack.getIndex();
+        return index.map(entry => entry.uuid);
     }
 
     /**
-     * updateDocumentVectors updates vector store for a given document
+     * indexSource indexes one of the UUIDs returned by `sources`
      *
-     * This method is called by the preUpdateJournalEntryPage hook.
+     * A journal entry is indexed page by page. A source which no longer
+     * exists is removed from the store.
      *
-     * @param {JournalEntryPage} document
-     * @param {JournalEntryPage} changed
-     * @returns {Promise<void>}
+     * @param {string} uuid
+     * @returns {Promise<boolean>} whether anything was embedded
      */
-    async updateDocumentVectors(document, changed) {
-        if (!this.#indexable(document)) {
-            return;
+    async indexSource(uuid) {
+        const doc = await this.getDocument(uuid);
+        if (!doc) {
+            await this.#store.delete(uuid);
+            return false;
         }
 
-        if (deepEquals(document, changed)) {
-            return;
+        if (documentNameOf(doc) !== 'JournalEntry') {
+            return this.indexDocument(doc);
+        }
+
+        let embedded = false;
+        for (const page of doc.pages.contents) {
+            embedded = await this.indexDocument(page) || embedded;
         }
+        return embedded;
+    }
 
-        const chunks = this.calculateChunks(changed.text.content);
+    /**
+     * indexDocument embeds the current content of a document and stores it
+     *
+     * This method is called by the create and update hooks for actors, items,
+     * scenes and roll tables, and for each document while indexing. A document
+     * whose text is unchanged since it was embedded is skipped, and one which
+     * no longer has any indexable text is removed from the store.
+     *
+     * Only chunks whose text has changed are sent to the embedding service;
+     * the vectors of the others are reused. The terms of the document are
+     * stored with its vectors for keyword search; a document indexed before
+     * terms were recorded is stored again, without embedding anything.
+     *
+     * @param {object} document
+     * @returns {Promise<boolean>} whether the document was embedded
+     */
+    async indexDocument(document) {
+        if (typeof document?.uuid !== 'string' || !this.#tracked(document) || !this.indexMatches()) {
+            return false;
+        }
+
+        // the title prefixes every chunk, so renaming a document changes them all
+        const title = titleOf(document);
+        const text = this.#extractors.extract(document);
+        const hash = contentHash(`${title}\n${text}`);
+        if (this.#store.hashOf(document.uuid) === hash && this.#store.termsOf(document.uuid)) {
+            return false;
+        }
+
+        const chunks = this.calculateChunks(text, title);
         if (chunks.length === 0) {
-            return;
+            await this.#store.delete(document.uuid);
+            return false;
+        }
+
+        const chunkHashes = chunks.map(contentHash);
+        const previous = new Map();
+        const previousVectors = this.#store.vectorsOf(document.uuid) ?? [];
+        (this.#store.chunkHashesOf(document.uuid) ?? []).forEach((chunkHash, i) => {
+            if (previousVectors[i]) {
+                previous.set(chunkHash, previousVectors[i]);
+            }
+        });
+
+        const changed = chunks.filter((chunk, i) => !previous.has(chunkHashes[i]));
+        let embedded = [];
+        if (changed.length > 0) {
+            ({vectors: embedded} = await this.#client.embed(this.#options.EmbeddingModel, document.uuid, changed));
         }
 
-        const vectors = await this.#client.embed(this.#options.EmbeddingModel, changed.uuid, chunks);
-        await this.#store.add(vectors);
+        let next = 0;
+        const vectors = chunkHashes.map(chunkHash => previous.get(chunkHash) ?? embedded[next++]);
+        const terms = termFrequencies(`${title}\n${htmlToText(text)}`);
+        await this.#store.add({id: document.uuid, vectors, hash, chunkHashes, terms});
+        this.#stamp();
+        return true;
     }
 
-    calculateChunks(content) {
-        const tokens = this.#tokenize(content);
-        const chunks = [];
+    /**
+     * deleteDocumentVectors removes vectors for a given document
+     *
+     * This method is called by the delete hooks for each indexed document type.
+     * Deleting a journal entry also removes its pages, since Foundry does not
+     * call the delete hooks of the pages of a deleted entry.
+     *
+     * @param {object} document
+     * @returns {Promise<void>}
+     */
+    async deleteDocumentVectors(document) {
+        if (typeof document?.uuid !== 'string') {
+            return;
+        }
 
-        for (let i = 0; i < tokens.length; i += this.#options.ChunkSize - this.#options.ChunkOverlap) {
-            let start = i;
-            while (start > 0 && !/\s|[.,!?]/.test(tokens[start - 1])) {
-                start--;
+        const prefix = `${document.uuid}.`;
+        for (const id of this.#store.ids()) {
+            if (id === document.uuid || id.startsWith(prefix)) {
+                await this.#store.delete(id);
             }
+        }
+    }
 
-            let end = i + this.#options.ChunkSize;
-            while (end < tokens.length && end > i && !/\s|[.,!?]/.test(tokens[end - 1])) {
-                end--;
+    /**
+     * sweep removes the vectors of documents which no longer exist, or are no
+     * longer indexed
+     *
+     * This catches documents deleted while this client was not listening, or
+     * in ways which do not call the delete hooks, and the documents of types
+     * or compendium packs which have since been left out of the index. World
+     * documents are looked up with `fromUuid`; compendium documents are
+     * checked against the index of their pack, so that the pack's documents
+     * are not loaded.
+     *
+     * @returns {Promise<string[]>} the ids which were removed
+     */
+    async sweep() {
+        const removed = [];
+        for (const id of this.#store.ids()) {
+            if (await this.#kept(id)) {
+                continue;
             }
-            chunks.push(tokens.slice(start, end).join(''));
+            await this.#store.delete(id);
+            removed.push(id);
+        }
+        return removed;
+    }
+
+    /**
+     * kept returns whether a stored document still exists and is still tracked
+     * @private
+     * @param {string} uuid
+     * @returns {Promise<boolean>}
+     */
+    async #kept(uuid) {
+        const [scope, ...rest] = uuid.split('.');
+        if (scope !== 'Compendium') {
+            const document = await this.getDocument(uuid);
+            return document !== undefined && document !== null && this.#tracked(document);
         }
 
-        return chunks;
+        // Compendium.<package>.<pack>.<type>.<id>[.<embedded type>.<id>]
+        const pack = this.#context.game.packs.get(`${rest[0]}.${rest[1]}`);
+        if (!pack || !this.#options.Compendiums.includes(pack.collection)) {
+            return false;
+        }
+        return this.#extractors.has(rest[rest.length - 2]) && pack.index.has(rest[3]);
     }
 
     /**
-     * tokenize breaks text into tokens
-     * For now, this naively splits at every 4 characters or on a word boundary.
+     * updateDocumentVectors updates vector store for a given document
      *
-     * todo: implement a more sophisticated tokenizer
+     * This method is called by the preUpdateJournalEntryPage hook, before the
+     * change is applied, so the change is merged into the document to find
+     * the text it will have afterwards.
      *
-     * @param {string} text
-     * @returns {string[]}
+     * @param {JournalEntryPage} document
+     * @param {object} changed - the changes being made, which may use dotted keys
+     * @returns {Promise<boolean>} whether the document was embedded
      */
-    #tokenize(text) {
-        const tokens = [];
-        let token = '';
-
-        for (let i = 0; i < text.length; i++) {
-            token += text[i];
-            if (token.length >= 4 || /\s|[.,!?]/.test(text[i])) {
-                tokens.push(token);
-                token = '';
-            }
+    async updateDocumentVectors(document, changed) {
+        if (typeof document?.uuid !== 'string') {
+            return false;
+        }
+        if (document.testUserPermission?.(this.#context.game.user, 'OBSERVER') === false) {
+            return false;
         }
 
-        if (token.length > 0) {
-            tokens.push(token);
+        const source = typeof document.toObject === 'function' ? document.toObject() : document;
+        const updated = mergeChanges(source, changed ?? {});
+        return this.indexDocument({
+            ...updated,
+            uuid: document.uuid,
+            documentName: document.documentName,
+            parent: document.parent,
+            pack: document.pack,
+        });
+    }
+
+    /**
+     * stamp records the fingerprint of a store which does not have one yet,
+     * because it was empty until now
+     * @private
+     */
+    #stamp() {
+        if (this.#store.getFingerprint() === null) {
+            this.#store.setFingerprint({
+                ...this.fingerprint(),
+                dimension: this.#store.stats().vectorDimensions,
+            });
         }
+    }
 
-        return tokens;
+    /**
+     * calculateChunks splits text into chunks, each prefixed by the title and
+     * the headings it falls under
+     *
+     * @param {string} content - HTML or plain text
+     * @param {string} [title]
+     * @returns {Chunk[]}
+     */
+    calculateChunks(content, title = '') {
+        return this.#chunker.chunk(content, title);
     }
 }
 
-function deepEquals(a, b) {
-    if (a === b) return true;
+/**
+ * packOf returns the collection id of the compendium pack holding a document
+ * @param {object} document
+ * @returns {string|null}
+ */
+function packOf(document) {
+    return document.pack ?? document.parent?.pack ?? null;
+}
 
-    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
-        return false;
+/**
+ * defaultOwnership returns the ownership level players have of a document,
+ * following inherited ownership up to its parent
+ * @param {object|null|undefined} document
+ * @returns {number}
+ */
+function defaultOwnership(document) {
+    const level = document?.ownership?.default ?? OWNERSHIP.NONE;
+    return level === OWNERSHIP.INHERIT ? defaultOwnership(document.parent) : level;
+}
+
+/**
+ * titleOf returns the title which prefixes the chunks of a document; a
+ * journal page is titled with its entry as well
+ * @param {object} document
+ * @returns {string}
+ */
+function titleOf(document) {
+    const entry = documentNameOf(document) === 'JournalEntryPage' ? document.parent?.name : null;
+    return [entry, document.name].filter(Boolean).join(' > ');
+}
+
+/**
+ * wrap wraps the text of a document in a tag naming its type and title
+ * @param {object} document
+ * @param {string} text
+ * @returns {string}
+ */
+function wrap(document, text) {
+    const documentName = documentNameOf(document);
+    const tag = documentName === 'JournalEntryPage' ? 'JournalEntry' : documentName;
+    return `<${tag} title="${document.name}">${text}</${tag}>`;
+}
+
+/**
+ * hitsOf returns the positions of the chunks of a document which matched a
+ * search, best first
+ *
+ * A document found by keyword alone has no chunk hits; its chunks holding
+ * the most query terms are taken instead, or else its first chunk.
+ *
+ * @param {SimilarityResult} result
+ * @param {{text: string}[]} chunks
+ * @param {string} query
+ * @returns {number[]}
+ */
+function hitsOf(result, chunks, query) {
+    const hits = (result.chunks ?? [])
+        .map(({index}) => index)
+        .filter(index => index < chunks.length);
+    if (hits.length > 0) {
+        return hits;
     }
 
-    const keysA = Object.keys(a);
-    const keysB = Object.keys(b);
+    const terms = new Set(tokenize(query));
+    const matches = chunks
+        .map((chunk, index) => ({
+            index,
+            score: new Set(tokenize(chunk.text).filter(term => terms.has(term))).size,
+        }))
+        .filter(({score}) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, KEYWORD_HITS)
+        .map(({index}) => index);
+    return matches.length > 0 ? matches : [0];
+}
 
-    if (keysA.length !== keysB.length) return false;
+/**
+ * selectChunks picks the chunks to give from a document: its hits, best
+ * first, and then the chunks either side of them, as long as they fit
+ * @param {{header: string, text: string}[]} chunks
+ * @param {number[]} hits
+ * @param {number} budget - the most tokens the chunks may take
+ * @param {(text: string) => number} count - counts the tokens in some text
+ * @returns {number[]} the positions of the chunks, in document order
+ */
+function selectChunks(chunks, hits, budget, count) {
+    const candidates = [...hits, ...hits.flatMap(index => [index - 1, index + 1])];
+    const selected = new Set();
+    let tokens = 0;
+    for (const index of candidates) {
+        if (index < 0 || index >= chunks.length || selected.has(index)) {
+            continue;
+        }
+        // the header overstates the heading line a passage starts with
+        const cost = count(chunks[index].header + chunks[index].text);
+        if (tokens + cost <= budget) {
+            selected.add(index);
+            tokens += cost;
+        }
+    }
+    return Array.from(selected).sort((a, b) => a - b);
+}
 
-    for (let key of keysA) {
-        if (!keysB.includes(key) || !deepEquals(a[key], b[key])) {
-            return false;
+/**
+ * joinPassages joins the chosen chunks of a document into passages
+ *
+ * Consecutive chunks are joined without the text they share, each passage
+ * starts with the headings it falls under, and passages are separated by an
+ * ellipsis.
+ *
+ * @param {{headings: string[], text: string, overlap: number}[]} chunks
+ * @param {number[]} selected - the positions of the chunks, in document order
+ * @returns {string}
+ */
+function joinPassages(chunks, selected) {
+    let text = '';
+    selected.forEach((index, i) => {
+        const {headings, text: chunkText, overlap} = chunks[index];
+        const path = headings.join(' > ');
+        const follows = i > 0 && selected[i - 1] === index - 1;
+        const sameSection = follows && chunks[index - 1].headings.join(' > ') === path;
+
+        if (sameSection) {
+            text += overlap > 0 ? chunkText.slice(overlap) : `\n${chunkText}`;
+            return;
+        }
+        if (i > 0) {
+            text += follows ? '\n' : '\n…\n';
+        }
+        text += path ? `${path}\n${chunkText}` : chunkText;
+    });
+    return text;
+}
+
+/**
+ * contentHash returns the hash of some text, ignoring differences in
+ * whitespace which do not change its meaning
+ * @param {string} text
+ * @returns {string}
+ */
+function contentHash(text) {
+    return hashText(text.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * mergeChanges returns a copy of a document's data with an update applied
+ *
+ * Updates may nest objects, use dotted keys such as `text.content`, or both.
+ *
+ * @param {object} source
+ * @param {object} changed
+ * @returns {object}
+ */
+function mergeChanges(source, changed) {
+    const merged = {...source};
+    for (const [key, value] of Object.entries(changed)) {
+        const [head, ...rest] = key.split('.');
+        if (rest.length > 0) {
+            merged[head] = mergeChanges(merged[head] ?? {}, {[rest.join('.')]: value});
+        } else if (isPlainObject(value) && isPlainObject(merged[head])) {
+            merged[head] = mergeChanges(merged[head], value);
+        } else {
+            merged[head] = value;
         }
     }
+    return merged;
+}
 
-    return true;
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
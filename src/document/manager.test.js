@@ -4,6 +4,11 @@ import { MockAIProvider } from '../ai/provider/provider.mock';
 import { MockVectorStore } from './vector_store.mock';
 import { MockContext } from '../foundry/context.mock';
 import { MockGame } from '../foundry/game.mock';
+import { hashText } from './text';
+import { CHUNKER_VERSION } from './chunker';
+import { countWordPieces } from './tokenizer';
+import { termFrequencies } from './keyword_index';
+import { Logger, LogLevels } from '../app/logger';
 
 import jsmock from '../../test/jsmock';
 const { MockController } = jsmock;
@@ -17,8 +22,10 @@ export default function DocumentManagerTest(quench) {
     let mockStore;
     let mockContext;
     let manager;
+    let stored;
 
     beforeEach(() => {
+        stored = {};
         ctrl = new MockController(quench);
         mockAI = new MockAIProvider(ctrl);
         mockStore = new MockVectorStore(ctrl);
@@ -31,9 +38,24 @@ export default function DocumentManagerTest(quench) {
             ChunkOverlap: 2,
             EmbeddingModel: 'test-model'
         };
-        manager = new DocumentManager(mockContext, managerOptions, mockAI, mockStore);
+        manager = new DocumentManager(mockContext, managerOptions, mockAI, mockStore, {on: () => {}});
     });
 
+    /**
+     * useIndex sets the size and fingerprint of the store; the documents
+     * already in it are read from `stored`
+     * @param {number} size
+     * @param {IndexFingerprint|null} fingerprint
+     */
+    const useIndex = (size, fingerprint) => {
+        mockStore.EXPECT().size().Return(size).AnyTimes();
+        mockStore.EXPECT().getFingerprint().Return(fingerprint).AnyTimes();
+        mockStore.EXPECT().hashOf(jsmock.AnyString).DoAndReturn(id => stored[id]?.hash).AnyTimes();
+        mockStore.EXPECT().chunkHashesOf(jsmock.AnyString).DoAndReturn(id => stored[id]?.chunkHashes).AnyTimes();
+        mockStore.EXPECT().vectorsOf(jsmock.AnyString).DoAndReturn(id => stored[id]?.vectors).AnyTimes();
+        mockStore.EXPECT().termsOf(jsmock.AnyString).DoAndReturn(id => stored[id]?.terms).AnyTimes();
+    };
+
     describe('document retrieval', () => {
         it('retrieves document by ID', async () => {
             const mockDoc = {
@@ -73,8 +95,21 @@ export default function DocumentManagerTest(quench) {
 
             const chunks = await manager.chunks('test-id');
             assert(chunks.length > 0);
-            assert.equal(chunks[0], 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. Nullam feugiat condimentum ultricies. Class ');
-            assert.equal(chunks[1], 'Class aptent taciti sociosqu ad litora torquent per conubia nostra, per inceptos himenaeos. Donec ');
+            assert.equal(chunks[0], 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. Nullam feugiat condimentum ultricies.');
+            assert.equal(chunks[1], 'Class aptent taciti sociosqu ad litora torquent per conubia nostra, per inceptos himenaeos. Donec ornare lacus orci.');
+        });
+
+        it('keeps chunks within the input limit of the embedding model', () => {
+            const clip = new DocumentManager(mockContext, {
+                ChunkSize: 512,
+                ChunkOverlap: 32,
+                EmbeddingModel: 'sentence-transformers/clip-ViT-B-32',
+            }, mockAI, mockStore, {on: () => {}});
+            const text = 'The quick brown fox jumps over the lazy dog. '.repeat(40);
+
+            const chunks = clip.calculateChunks(text);
+            assert.isAbove(chunks.length, 1);
+            chunks.forEach(chunk => assert.isAtMost(countWordPieces(chunk), 61));
         });
 
         it('handles empty documents', async () => {
@@ -119,6 +154,7 @@ export default function DocumentManagerTest(quench) {
             assert.equal(contexts.length, 2);
             assert.equal(contexts[0].uuid, 'doc1');
             assert.equal(contexts[1].uuid, 'doc2');
+            assert.equal(contexts[1].name, 'Doc 2');
             assert.equal(contexts[0].content, '<JournalEntry title="Doc 1">Content 1</JournalEntry>');
             assert.equal(contexts[1].content, '<JournalEntry title="Doc 2">Content 2</JournalEntry>');
         });
@@ -150,8 +186,126 @@ export default function DocumentManagerTest(quench) {
         });
     });
 
+    describe('attachments', () => {
+        it('reads the documents linked from a message', async () => {
+            mockContext.EXPECT().fromUuid('Actor.bob').Return({
+                uuid: 'Actor.bob', documentName: 'Actor', name: 'Bob', type: 'npc', system: {}, items: [],
+            });
+            mockContext.EXPECT().fromUuid('JournalEntry.mill').Return({
+                uuid: 'JournalEntry.mill',
+                documentName: 'JournalEntry',
+                name: 'Mill',
+                pages: [{
+                    uuid: 'JournalEntry.mill.JournalEntryPage.a',
+                    documentName: 'JournalEntryPage',
+                    type: 'text',
+                    name: 'Owner',
+                    parent: {name: 'Mill'},
+                    text: {content: 'Valeska owns the mill.'},
+                }],
+            });
+            mockContext.EXPECT().fromUuid('Actor.gone').Return(null);
+
+            const attachments = await manager.attachments('Write @UUID[Actor.bob]{Bob}\'s backstory, who works at '
+                + '@UUID[JournalEntry.mill]{Mill} for @UUID[Actor.gone]{Gone}. Ask @UUID[Actor.bob]{him}. @Check[dex]');
+            assert.deepEqual(attachments.map(({uuid, name}) => [uuid, name]), [
+                ['Actor.bob', 'Bob'],
+                ['JournalEntry.mill.JournalEntryPage.a', 'Mill > Owner'],
+            ]);
+            assert.equal(attachments[1].content, '<JournalEntry title="Owner">Valeska owns the mill.</JournalEntry>');
+        });
+
+        it('reads documents which are not indexed', async () => {
+            mockContext.EXPECT().fromUuid('Scene.market').Return({
+                uuid: 'Scene.market', documentName: 'Scene', name: 'Market', notes: [], navName: '',
+            });
+
+            const attachments = await manager.attachments('Describe @UUID[Scene.market]{Market}');
+            assert.deepEqual(attachments.map(({uuid}) => uuid), ['Scene.market']);
+        });
+    });
+
+    describe('passages', () => {
+        /**
+         * rooms returns a journal page long enough to be given as passages,
+         * each room making one chunk
+         * @param {string} uuid
+         * @returns {object}
+         */
+        const rooms = uuid => ({
+            uuid,
+            type: 'text',
+            name: 'Keep',
+            text: {
+                content: Array.from({length: 40}, (_, i) => `<h2>Room ${i + 1}</h2>`
+                    + `<p>Room ${i + 1} holds ${i === 29 ? 'an anvil' : 'old crates'} under dust and cobwebs.</p>`)
+                    .join(''),
+                format: 1,
+            },
+        });
+
+        it('gives short documents whole', async () => {
+            mockContext.EXPECT().fromUuid('doc1').Return({
+                uuid: 'doc1', type: 'text', name: 'Doc 1', text: {content: 'Content 1', format: 1},
+            });
+
+            const contexts = await manager.passages([{id: 'doc1', score: 1, chunks: [{index: 0, score: 1}]}], 'q');
+            assert.deepEqual(contexts, [{
+                uuid: 'doc1',
+                name: 'Doc 1',
+                content: '<JournalEntry title="Doc 1">Content 1</JournalEntry>',
+                score: 1,
+            }]);
+        });
+
+        it('gives the chunks which matched long documents, with their neighbors', async () => {
+            mockContext.EXPECT().fromUuid('keep').Return(rooms('keep'));
+
+            const [context] = await manager.passages([
+                {id: 'keep', score: 1, chunks: [{index: 9, score: 0.9}, {index: 19, score: 0.5}]},
+            ], 'crates');
+            assert.equal(context.content, '<JournalEntry title="Keep">'
+                + 'Room 9\nRoom 9 holds old crates under dust and cobwebs.\n'
+                + 'Room 10\nRoom 10 holds old crates under dust and cobwebs.\n'
+                + 'Room 11\nRoom 11 holds old crates under dust and cobwebs.\n…\n'
+                + 'Room 19\nRoom 19 holds old crates under dust and cobwebs.\n'
+                + 'Room 20\nRoom 20 holds old crates under dust and cobwebs.\n'
+                + 'Room 21\nRoom 21 holds old crates under dust and cobwebs.'
+                + '</JournalEntry>');
+        });
+
+        it('picks chunks by their keywords when none matched by meaning', async () => {
+            mockContext.EXPECT().fromUuid('keep').Return(rooms('keep'));
+
+            const [context] = await manager.passages([{id: 'keep', score: 1}], 'Where is the anvil?');
+            assert.include(context.content, 'Room 30 holds an anvil');
+            assert.notInclude(context.content, 'Room 1\n');
+        });
+
+        it('keeps to the token budget', async () => {
+            const small = new DocumentManager(mockContext, {
+                ChunkSize: 32,
+                ChunkOverlap: 2,
+                EmbeddingModel: 'test-model',
+                ContextTokenBudget: 40,
+            }, mockAI, mockStore, {on: () => {}});
+            mockContext.EXPECT().fromUuid('keep').Return(rooms('keep'));
+            mockContext.EXPECT().fromUuid('other').Return(rooms('other'));
+
+            const contexts = await small.passages([
+                {id: 'keep', score: 1, chunks: [{index: 9, score: 0.9}]},
+                {id: 'other', score: 0.5, chunks: [{index: 0, score: 0.9}]},
+            ], 'crates');
+            assert.deepEqual(contexts.map(context => context.uuid), ['keep']);
+            assert.include(contexts[0].content, 'Room 10 holds');
+            assert.notInclude(contexts[0].content, 'Room 11 holds');
+        });
+    });
+
     describe('vector store management', () => {
-        it('rebuilds vector store for all documents', async () => {
+        beforeEach(() => useIndex(1, {provider: '', model: 'test-model', chunkSize: 32, chunkOverlap: 2, chunker: CHUNKER_VERSION}));
+
+        it('lists the documents to index', async () => {
             const pages1 = new Collection();
             pages1.set('Page1', {
                 uuid: 'Doc1.Page1',
@@ -192,34 +346,260 @@ export default function DocumentManagerTest(quench) {
             docs.set('Doc2', {pages: pages2});
 
             mockContext.game.EXPECT().journal.Return(docs).AnyTimes();
-            mockContext.EXPECT().fromUuid(jsmock.AnyString).DoAndReturn(id => {
-                const [doc, page] = id.split('.');
-                return docs.get(doc)?.pages.get(page);
-            }).Times(3);
 
-            const embed1 = mockAI.EXPECT().embed('test-model', 'Doc1.Page1', ['Content 1']).Return({
+            assert.deepEqual(await manager.sources(), ['Doc1.Page1', 'Doc1.Page2', 'Doc2.Page1']);
+        });
+
+        it('indexes a document by UUID', async () => {
+            const page = {
+                uuid: 'Doc1.Page1',
+                type: 'text',
+                name: 'Doc 1',
+                text: {content: 'Content 1', format: 1}
+            };
+            mockContext.EXPECT().fromUuid('Doc1.Page1').Return(page);
+            mockAI.EXPECT().embed('test-model', 'Doc1.Page1', ['Doc 1\nContent 1']).Return({
                 id: 'Doc1.Page1',
-                vectors: [
-                    [1, 2, 3],
-                    [4, 5, 6]
-                ]
-            });
-            const embed2 = mockAI.EXPECT().embed('test-model', 'Doc1.Page2', ['Content 2']).Return({
-                id: 'Doc1.Page2',
-                vectors: [[4, 5, 6]]
-            });
-            const embed3 = mockAI.EXPECT().embed('test-model', 'Doc2.Page1', ['Content 3']).Return({
-                id: 'Doc2.Page1',
-                vectors: [[7, 8, 9]]
-            });
-            mockStore.EXPECT().clear().After(embed1).After(embed2).After(embed3);
-            mockStore.EXPECT().addBatch([
-                { id: 'Doc1.Page1', vectors: [[1, 2, 3], [4, 5, 6]] },
-                { id: 'Doc1.Page2', vectors: [[4, 5, 6]] },
-                { id: 'Doc2.Page1', vectors: [[7, 8, 9]] }
-            ]);
+                vectors: [[1, 2, 3]]
+            });
+            mockStore.EXPECT().add({
+                id: 'Doc1.Page1',
+                vectors: [[1, 2, 3]],
+                hash: hashText('Doc 1 Content 1'),
+                chunkHashes: [hashText('Doc 1 Content 1')],
+                terms: termFrequencies('Doc 1 Content 1')
+            });
+
+            assert.isTrue(await manager.indexSource('Doc1.Page1'));
+        });
+
+        it('skips documents whose text has not changed', async () => {
+            const page = {
+                uuid: 'Doc1.Page1',
+                type: 'text',
+                name: 'Doc 1',
+                text: {content: 'Content 1', format: 1}
+            };
+            stored['Doc1.Page1'] = {hash: hashText('Doc 1 Content 1'), terms: termFrequencies('Doc 1 Content 1')};
+
+            assert.isFalse(await manager.indexDocument(page));
+        });
+
+        it('adds the terms of a document indexed before terms were recorded', async () => {
+            const page = {
+                uuid: 'Doc1.Page1',
+                type: 'text',
+                name: 'Doc 1',
+                text: {content: 'Content 1', format: 1}
+            };
+            stored['Doc1.Page1'] = {
+                hash: hashText('Doc 1 Content 1'),
+                chunkHashes: [hashText('Doc 1 Content 1')],
+                vectors: [[1, 2, 3]],
+            };
+            mockStore.EXPECT().add({
+                id: 'Doc1.Page1',
+                vectors: [[1, 2, 3]],
+                hash: hashText('Doc 1 Content 1'),
+                chunkHashes: [hashText('Doc 1 Content 1')],
+                terms: {doc: 1, content: 1}
+            });
 
-            await manager.rebuildVectorStore();
+            assert.isTrue(await manager.indexDocument(page));
+        });
+
+        describe('search', () => {
+            it('fuses the semantic and keyword rankings', async () => {
+                mockAI.EXPECT().embed('test-model', 'search', ['What does Valeska want?']).Return({
+                    id: 'search',
+                    vectors: [[1, 2, 3]]
+                });
+                mockStore.EXPECT().findSimilar([[1, 2, 3]], 12).Return([
+                    {id: 'Actor.merchant', score: 0.9},
+                    {id: 'Actor.valeska', score: 0.8},
+                    {id: 'Scene.market', score: 0.7},
+                    {id: 'Item.deed', score: 0.6},
+                ]);
+                mockStore.EXPECT().findKeywords('What does Valeska want?', 12).Return([
+                    {id: 'Actor.valeska', score: 4.2},
+                ]);
+
+                const results = await manager.search('What does Valeska want?');
+                assert.deepEqual(results.map(result => result.id), ['Actor.valeska', 'Actor.merchant', 'Scene.market']);
+            });
+
+            it('only searches keywords when they have all the weight', async () => {
+                manager = new DocumentManager(mockContext, {
+                    ChunkSize: 32,
+                    ChunkOverlap: 2,
+                    EmbeddingModel: 'test-model',
+                    KeywordSearchWeight: 1,
+                    Lookups: 1,
+                }, mockAI, mockStore, {on: () => {}});
+                mockStore.EXPECT().findKeywords('valeska', 4).Return([{id: 'Actor.valeska', score: 4.2}]);
+
+                const results = await manager.search('valeska');
+                assert.deepEqual(results.map(result => result.id), ['Actor.valeska']);
+            });
+
+            it('drops documents below the minimum score', async () => {
+                manager = new DocumentManager(mockContext, {
+                    ChunkSize: 32,
+                    ChunkOverlap: 2,
+                    EmbeddingModel: 'test-model',
+                    KeywordSearchWeight: 0,
+                    MinimumScore: 0.5,
+                }, mockAI, mockStore, {on: () => {}});
+                mockAI.EXPECT().embed('test-model', 'search', ['mill']).Return({id: 'search', vectors: [[1, 2, 3]]});
+                mockStore.EXPECT().findSimilar([[1, 2, 3]], 12).Return([
+                    {id: 'JournalEntry.mill.JournalEntryPage.a', score: 0.8},
+                    {id: 'Actor.stranger', score: 0.2},
+                ]);
+
+                const results = await manager.search('mill');
+                assert.deepEqual(results.map(result => result.id), ['JournalEntry.mill.JournalEntryPage.a']);
+            });
+
+            it('drops documents found by keyword alone below the minimum score', async () => {
+                manager = new DocumentManager(mockContext, {
+                    ChunkSize: 32,
+                    ChunkOverlap: 2,
+                    EmbeddingModel: 'test-model',
+                    KeywordSearchWeight: 0.5,
+                    MinimumScore: 0.5,
+                }, mockAI, mockStore, {on: () => {}});
+                mockAI.EXPECT().embed('test-model', 'search', ['mill']).Return({id: 'search', vectors: [[1, 2, 3]]});
+                mockStore.EXPECT().findSimilar([[1, 2, 3]], 12).Return([
+                    {id: 'JournalEntry.mill.JournalEntryPage.a', score: 0.8},
+                    {id: 'Actor.stranger', score: 0.2},
+                ]);
+                mockStore.EXPECT().findKeywords('mill', 12).Return([
+                    {id: 'Actor.stranger', score: 4.2},
+                    {id: 'JournalEntry.mill.JournalEntryPage.a', score: 1.3},
+                ]);
+
+                const results = await manager.search('mill');
+                assert.deepEqual(results.map(result => result.id), ['JournalEntry.mill.JournalEntryPage.a']);
+            });
+
+            it('leaves out excluded documents', async () => {
+                mockAI.EXPECT().embed('test-model', 'search', ['mill']).Return({id: 'search', vectors: [[1, 2, 3]]});
+                mockStore.EXPECT().findSimilar([[1, 2, 3]], 12).Return([
+                    {id: 'Actor.merchant', score: 0.9},
+                    {id: 'Actor.valeska', score: 0.8},
+                ]);
+                mockStore.EXPECT().findKeywords('mill', 12).Return([{id: 'Actor.merchant', score: 4.2}]);
+
+                const results = await manager.search('mill', ['Actor.merchant']);
+                assert.deepEqual(results.map(result => result.id), ['Actor.valeska']);
+            });
+
+            it('fuses the rankings of every query', async () => {
+                manager = new DocumentManager(mockContext, {
+                    ChunkSize: 32,
+                    ChunkOverlap: 2,
+                    EmbeddingModel: 'test-model',
+                    KeywordSearchWeight: 0.5,
+                    Lookups: 2,
+                }, mockAI, mockStore, {on: () => {}});
+                mockAI.EXPECT().embed('test-model', 'search', ['Valeska goals', 'mill owner']).Return({
+                    id: 'search',
+                    vectors: [[1, 0, 0], [0, 1, 0]]
+                });
+                mockStore.EXPECT().findSimilar([[1, 0, 0]], 8).Return([{id: 'Actor.valeska', score: 0.9}]);
+                mockStore.EXPECT().findSimilar([[0, 1, 0]], 8).Return([{id: 'Item.deed', score: 0.8}]);
+                mockStore.EXPECT().findKeywords('Valeska goals', 8).Return([{id: 'Actor.valeska', score: 3}]);
+                mockStore.EXPECT().findKeywords('mill owner', 8).Return([{id: 'Scene.mill', score: 2}]);
+
+                const results = await manager.search(['Valeska goals', 'mill owner']);
+                assert.deepEqual(results.map(result => result.id), ['Actor.valeska', 'Item.deed']);
+            });
+
+            describe('reranking', () => {
+                const pages = {
+                    'Page.river': {uuid: 'Page.river', type: 'text', name: 'River', text: {content: 'The river.'}},
+                    'Page.mill': {uuid: 'Page.mill', type: 'text', name: 'Mill', text: {content: 'Valeska owns the mill.'}},
+                };
+
+                /**
+                 * reranking returns a manager which reranks with a client
+                 * @param {object} reranker
+                 * @param {object} [options]
+                 * @returns {DocumentManager}
+                 */
+                const reranking = (reranker, options = {}) => new DocumentManager(mockContext, {
+                    ChunkSize: 32,
+                    ChunkOverlap: 2,
+                    EmbeddingModel: 'test-model',
+                    KeywordSearchWeight: 0,
+                    Lookups: 1,
+                    RerankMethod: 'llm',
+                    RerankModel: 'chat-model',
+                    ...options,
+                }, mockAI, mockStore, {on: () => {}}, undefined, reranker);
+
+                beforeEach(() => {
+                    mockAI.EXPECT().embed('test-model', 'search', ['Who owns the mill?'])
+                        .Return({id: 'search', vectors: [[1, 2, 3]]});
+                    mockStore.EXPECT().findSimilar([[1, 2, 3]], 4).Return([
+                        {id: 'Page.river', score: 0.9, chunks: [{index: 0, score: 0.9}]},
+                        {id: 'Page.mill', score: 0.8, chunks: [{index: 0, score: 0.8}]},
+                    ]);
+                    mockContext.EXPECT().fromUuid(jsmock.AnyString).DoAndReturn(uuid => pages[uuid]).AnyTimes();
+                });
+
+                it('reorders the candidates by the reranker\'s scores', async () => {
+                    let reranked;
+                    const manager = reranking({
+                        rerank: async (model, query, documents, method) => {
+                            reranked = {model, query, documents, method};
+                            return [0.1, 0.9];
+                        },
+                    });
+
+                    const results = await manager.search('Who owns the mill?');
+                    assert.deepEqual(results, [{id: 'Page.mill', score: 0.9, chunks: [{index: 0, score: 0.8}]}]);
+                    assert.deepEqual(reranked, {
+                        model: 'chat-model',
+                        query: 'Who owns the mill?',
+                        documents: ['River\nThe river.', 'Mill\nValeska owns the mill.'],
+                        method: 'llm',
+                    });
+                });
+
+                it('does not rerank without a rerank model', async () => {
+                    let reranked = false;
+                    const manager = reranking({
+                        rerank: async () => {
+                            reranked = true;
+                            return [0.1, 0.9];
+                        },
+                    }, {RerankMethod: 'cross-encoder', RerankModel: ''});
+
+                    const results = await manager.search('Who owns the mill?');
+                    assert.deepEqual(results.map(result => result.id), ['Page.river']);
+                    assert.isFalse(reranked);
+                });
+
+                it('keeps the search order when reranking fails', async () => {
+                    Logger.getLogger('AIde', LogLevels.Error);
+                    const manager = reranking({
+                        rerank: async () => {
+                            throw new Error('The chat model did not rate the documents');
+                        },
+                    });
+
+                    const results = await manager.search('Who owns the mill?');
+                    assert.deepEqual(results.map(result => result.id), ['Page.river']);
+                });
+            });
+        });
+
+        it('removes documents which no longer exist', async () => {
+            mockContext.EXPECT().fromUuid('Doc1.Page9').Return(undefined);
+            mockStore.EXPECT().delete('Doc1.Page9');
+
+            assert.isFalse(await manager.indexSource('Doc1.Page9'));
         });
 
         it('updates vectors for changed document', async () => {
@@ -243,21 +623,91 @@ export default function DocumentManagerTest(quench) {
                 }
             };
 
-            mockAI.EXPECT().embed('test-model', 'test-id', ['New content']).Return({
+            mockAI.EXPECT().embed('test-model', 'test-id', ['Test Doc\nNew content']).Return({
                 id: 'test-id',
                 vectors: [[1, 2, 3]]
             });
 
             mockStore.EXPECT().add({
                 id: 'test-id',
-                vectors: [[1, 2, 3]]
+                vectors: [[1, 2, 3]],
+                hash: hashText('Test Doc New content'),
+                chunkHashes: [hashText('Test Doc New content')],
+                terms: termFrequencies('Test Doc New content')
             });
 
             await manager.updateDocumentVectors(oldDoc, newDoc);
         });
 
+        it('merges a partial change into the document', async () => {
+            const page = {
+                uuid: 'test-id',
+                type: 'text',
+                name: 'Test Doc',
+                text: {content: 'Old content', format: 1},
+                toObject() {
+                    return {type: this.type, name: this.name, text: {...this.text}};
+                }
+            };
+
+            mockAI.EXPECT().embed('test-model', 'test-id', ['Test Doc\nNew content']).Return({
+                id: 'test-id',
+                vectors: [[1, 2, 3]]
+            });
+            mockStore.EXPECT().add({
+                id: 'test-id',
+                vectors: [[1, 2, 3]],
+                hash: hashText('Test Doc New content'),
+                chunkHashes: [hashText('Test Doc New content')],
+                terms: termFrequencies('Test Doc New content')
+            });
+
+            assert.isTrue(await manager.updateDocumentVectors(page, {'text.content': 'New content'}));
+        });
+
+        it('skips changes which leave the text the same', async () => {
+            const page = {uuid: 'test-id', type: 'text', name: 'Test Doc', text: {content: 'Same content'}};
+            stored['test-id'] = {hash: hashText('Test Doc Same content'), terms: termFrequencies('Test Doc Same content')};
+
+            assert.isFalse(await manager.updateDocumentVectors(page, {'text.content': 'Same  content'}));
+        });
+
+        it('only embeds the chunks which changed', async () => {
+            const history = 'The village of Hommlet lies at a crossroads, a day south of Verbobonc. '
+                + 'It grew up around an inn in the years after the Temple of Elemental Evil fell. ';
+            const before = `${history}Its inn, the Welcome Wench, is run by Ostler Gundigoot.`;
+            const after = `${history}Its inn, the Welcome Wench, has burned down.`;
+            const page = {uuid: 'test-id', type: 'text', name: 'Hommlet', text: {content: before}};
+
+            const oldChunks = manager.calculateChunks(before, 'Hommlet');
+            const newChunks = manager.calculateChunks(after, 'Hommlet');
+            const hash = chunk => hashText(chunk.replace(/\s+/g, ' ').trim());
+            assert.equal(oldChunks[0], newChunks[0]);
+
+            stored['test-id'] = {
+                hash: hash(`Hommlet\n${before}`),
+                chunkHashes: oldChunks.map(hash),
+                vectors: oldChunks.map((chunk, i) => [i, i, i]),
+            };
+
+            const changed = newChunks.filter(chunk => !oldChunks.includes(chunk));
+            mockAI.EXPECT().embed('test-model', 'test-id', changed).Return({
+                id: 'test-id',
+                vectors: changed.map(() => [9, 9, 9])
+            });
+            mockStore.EXPECT().add({
+                id: 'test-id',
+                vectors: newChunks.map((chunk, i) => (oldChunks.includes(chunk) ? [i, i, i] : [9, 9, 9])),
+                hash: hash(`Hommlet\n${after}`),
+                chunkHashes: newChunks.map(hash),
+                terms: termFrequencies(`Hommlet ${after}`)
+            });
+
+            await manager.updateDocumentVectors(page, {text: {content: after}});
+        });
+
         describe('document deletion', () => {
-            it('removes vectors for deleted document', () => {
+            it('removes vectors for deleted document', async () => {
                 const doc = {
                     uuid: 'test-id',
                     type: 'text',
@@ -268,11 +718,23 @@ export default function DocumentManagerTest(quench) {
                     }
                 };
 
+                mockStore.EXPECT().ids().Return(['test-id', 'test-id-2']);
                 mockStore.EXPECT().delete('test-id');
-                manager.deleteDocumentVectors(doc, {}, 'someId');
+                await manager.deleteDocumentVectors(doc);
             });
 
-            it('handles document without uuid', () => {
+            it('removes the pages of a deleted journal entry', async () => {
+                mockStore.EXPECT().ids().Return([
+                    'JournalEntry.a.JournalEntryPage.b',
+                    'JournalEntry.a.JournalEntryPage.c',
+                    'JournalEntry.ab.JournalEntryPage.d',
+                ]);
+                mockStore.EXPECT().delete('JournalEntry.a.JournalEntryPage.b');
+                mockStore.EXPECT().delete('JournalEntry.a.JournalEntryPage.c');
+                await manager.deleteDocumentVectors({documentName: 'JournalEntry', uuid: 'JournalEntry.a'});
+            });
+
+            it('handles document without uuid', async () => {
                 const doc = {
                     type: 'text',
                     name: 'Test Doc',
@@ -283,12 +745,207 @@ export default function DocumentManagerTest(quench) {
                 };
 
                 // Should not trigger store removal when no uuid
-                manager.deleteDocumentVectors(doc, {}, 'someId');
+                await manager.deleteDocumentVectors(doc);
             });
 
-            it('handles undefined document', () => {
+            it('handles undefined document', async () => {
                 // Should not trigger store removal for undefined doc
-                manager.deleteDocumentVectors(undefined, {}, 'someId');
+                await manager.deleteDocumentVectors(undefined);
+            });
+        });
+
+        describe('consistency sweep', () => {
+            beforeEach(() => {
+                const packs = new Collection();
+                packs.set('world.rules', {
+                    collection: 'world.rules',
+                    index: new Map([['a', {}]]),
+                });
+                mockContext.game.EXPECT().packs.Return(packs).AnyTimes();
+            });
+
+            it('removes documents which no longer exist', async () => {
+                mockStore.EXPECT().ids().Return(['JournalEntry.a.JournalEntryPage.b', 'JournalEntry.a.JournalEntryPage.c']);
+                mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.b')
+                    .Return({uuid: 'JournalEntry.a.JournalEntryPage.b'});
+                mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.c').Return(null);
+                mockStore.EXPECT().delete('JournalEntry.a.JournalEntryPage.c');
+
+                assert.deepEqual(await manager.sweep(), ['JournalEntry.a.JournalEntryPage.c']);
+            });
+
+            it('removes documents of types which are no longer indexed', async () => {
+                mockStore.EXPECT().ids().Return(['JournalEntry.a.JournalEntryPage.b', 'Actor.bob']);
+                mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.b')
+                    .Return({uuid: 'JournalEntry.a.JournalEntryPage.b', documentName: 'JournalEntryPage'});
+                mockContext.EXPECT().fromUuid('Actor.bob').Return({uuid: 'Actor.bob', documentName: 'Actor'});
+                mockStore.EXPECT().delete('Actor.bob');
+
+                assert.deepEqual(await manager.sweep(), ['Actor.bob']);
+            });
+
+            it('checks compendium documents against the pack index', async () => {
+                await manager.addCompendium('world.rules');
+                mockStore.EXPECT().ids().Return([
+                    'Compendium.world.rules.JournalEntry.a.JournalEntryPage.b',
+                    'Compendium.world.rules.JournalEntry.gone.JournalEntryPage.c',
+                    'Compendium.world.other.JournalEntry.a.JournalEntryPage.d',
+                ]);
+                mockStore.EXPECT().delete('Compendium.world.rules.JournalEntry.gone.JournalEntryPage.c');
+                mockStore.EXPECT().delete('Compendium.world.other.JournalEntry.a.JournalEntryPage.d');
+
+                assert.deepEqual(await manager.sweep(), [
+                    'Compendium.world.rules.JournalEntry.gone.JournalEntryPage.c',
+                    'Compendium.world.other.JournalEntry.a.JournalEntryPage.d',
+                ]);
+            });
+        });
+
+        describe('sharing', () => {
+            it('shares documents which every player may observe', () => {
+                const entry = {ownership: {default: 2}};
+                mockContext.EXPECT().fromUuidSync('JournalEntry.a.JournalEntryPage.b')
+                    .Return({parent: entry, ownership: {default: -1}});
+                mockContext.EXPECT().fromUuidSync('JournalEntry.a.JournalEntryPage.c')
+                    .Return({parent: entry, ownership: {default: 0, player: 3}});
+                mockContext.EXPECT().fromUuidSync('Actor.bob').Return({ownership: {default: 1}});
+                mockContext.EXPECT().fromUuidSync('Actor.gone').Return(null);
+
+                assert.isTrue(manager.shareable('JournalEntry.a.JournalEntryPage.b'));
+                assert.isFalse(manager.shareable('JournalEntry.a.JournalEntryPage.c'));
+                assert.isFalse(manager.shareable('Actor.bob'));
+                assert.isFalse(manager.shareable('Actor.gone'));
+            });
+
+            it('shares compendium documents by the ownership of their pack', () => {
+                const packs = new Collection();
+                packs.set('world.rules', {ownership: {PLAYER: 'OBSERVER'}});
+                packs.set('world.secrets', {ownership: {PLAYER: 'LIMITED', ASSISTANT: 'OWNER'}});
+                mockContext.game.EXPECT().packs.Return(packs).AnyTimes();
+
+                assert.isTrue(manager.shareable('Compendium.world.rules.JournalEntry.a.JournalEntryPage.b'));
+                assert.isFalse(manager.shareable('Compendium.world.secrets.JournalEntry.a.JournalEntryPage.b'));
+                assert.isFalse(manager.shareable('Compendium.world.gone.Item.a'));
+            });
+        });
+
+        describe('other document types', () => {
+            const actor = {
+                documentName: 'Actor',
+                uuid: 'Actor.bob',
+                name: 'Bob',
+                type: 'npc',
+                system: {details: {biography: {value: '<p>A blacksmith.</p>'}}},
+                items: [],
+            };
+
+            beforeEach(() => {
+                manager = new DocumentManager(mockContext, {
+                    ChunkSize: 32,
+                    ChunkOverlap: 2,
+                    EmbeddingModel: 'test-model',
+                    DocumentTypes: ['JournalEntryPage', 'Actor'],
+                }, mockAI, mockStore, {on: () => {}});
+            });
+
+            it('indexes enabled document types', async () => {
+                const chunks = manager.calculateChunks('Name: Bob\nType: npc\nBiography: A blacksmith.', 'Bob');
+                mockAI.EXPECT().embed('test-model', 'Actor.bob', chunks).Return({
+                    id: 'Actor.bob',
+                    vectors: [[1, 2, 3]]
+                });
+                mockStore.EXPECT().add({
+                    id: 'Actor.bob',
+                    vectors: [[1, 2, 3]],
+                    hash: hashText('Bob Name: Bob Type: npc Biography: A blacksmith.'),
+                    chunkHashes: chunks.map(chunk => hashText(chunk.replace(/\s+/g, ' ').trim())),
+                    terms: termFrequencies('Bob Name: Bob Type: npc Biography: A blacksmith.')
+                });
+
+                await manager.indexDocument(actor);
+            });
+
+            it('ignores disabled document types', async () => {
+                assert.isTrue(manager.indexes('Actor'));
+                assert.isFalse(manager.indexes('Item'));
+                await manager.indexDocument({...actor, documentName: 'Item', uuid: 'Item.sword'});
+            });
+
+            it('removes documents which no longer have any text', async () => {
+                const page = {documentName: 'JournalEntryPage', uuid: 'JournalEntry.a.JournalEntryPage.b', type: 'image'};
+                mockStore.EXPECT().delete(page.uuid);
+                await manager.indexDocument(page);
+            });
+
+            it('formats context by document type', async () => {
+                mockContext.EXPECT().fromUuid('Actor.bob').Return(actor);
+                const contexts = await manager.contexts(['Actor.bob']);
+                assert.equal(contexts[0].content,
+                    '<Actor title="Bob">Name: Bob\nType: npc\nBiography: A blacksmith.</Actor>');
+            });
+        });
+
+        describe('compendium packs', () => {
+            const page = {
+                documentName: 'JournalEntryPage',
+                uuid: 'Compendium.world.rules.JournalEntry.a.JournalEntryPage.b',
+                parent: {pack: 'world.rules'},
+                type: 'text',
+                name: 'Grappling',
+                text: {content: 'Grapple rules'}
+            };
+
+            beforeEach(() => {
+                const packs = new Collection();
+                packs.set('world.rules', {
+                    documentName: 'JournalEntry',
+                    getIndex: async () => [{uuid: 'Compendium.world.rules.JournalEntry.a'}],
+                });
+                packs.set('world.scenes', {
+                    documentName: 'Scene',
+                    getIndex: async () => assert.fail('Scene packs should not be read'),
+                });
+                mockContext.game.EXPECT().packs.Return(packs).AnyTimes();
+            });
+
+            it('lists the entries of a pack', async () => {
+                assert.deepEqual(await manager.addCompendium('world.rules'), ['Compendium.world.rules.JournalEntry.a']);
+            });
+
+            it('indexes each page of a compendium journal', async () => {
+                await manager.addCompendium('world.rules');
+                mockContext.EXPECT().fromUuid('Compendium.world.rules.JournalEntry.a').Return({
+                    documentName: 'JournalEntry',
+                    pages: {contents: [page]},
+                });
+                mockAI.EXPECT().embed('test-model', page.uuid, ['Grappling\nGrapple rules']).Return({
+                    id: page.uuid,
+                    vectors: [[1, 2, 3]]
+                });
+                mockStore.EXPECT().add({
+                    id: page.uuid,
+                    vectors: [[1, 2, 3]],
+                    hash: hashText('Grappling Grapple rules'),
+                    chunkHashes: [hashText('Grappling Grapple rules')],
+                    terms: termFrequencies('Grappling Grapple rules')
+                });
+
+                assert.isTrue(await manager.indexSource('Compendium.world.rules.JournalEntry.a'));
+            });
+
+            it('ignores packs of other document types', async () => {
+                assert.deepEqual(await manager.addCompendium('world.scenes'), []);
+            });
+
+            it('ignores documents from packs which are not indexed', async () => {
+                await manager.indexDocument(page);
+            });
+
+            it('removes the documents of a pack', async () => {
+                mockStore.EXPECT().ids().Return([page.uuid, 'JournalEntry.c.JournalEntryPage.d']);
+                mockStore.EXPECT().delete(page.uuid);
+
+                await manager.removeCompendium('world.rules');
             });
         });
 
@@ -302,8 +959,77 @@ export default function DocumentManagerTest(quench) {
                     format: 1
                 }
             };
+            stored['test-id'] = {hash: hashText('Test Doc Same content'), terms: termFrequencies('Test Doc Same content')};
 
             await manager.updateDocumentVectors(doc, doc);
         });
     });
+
+    describe('embedding fingerprint', () => {
+        const page = {
+            uuid: 'JournalEntry.a.JournalEntryPage.b',
+            documentName: 'JournalEntryPage',
+            type: 'text',
+            name: 'Rules',
+            text: {content: 'Grapple rules', format: 1},
+        };
+
+        it('describes how embeddings are made', () => {
+            assert.deepEqual(manager.fingerprint(), {
+                provider: '',
+                model: 'test-model',
+                chunkSize: 32,
+                chunkOverlap: 2,
+                chunker: CHUNKER_VERSION,
+            });
+        });
+
+        it('matches an empty store', () => {
+            useIndex(0, null);
+            assert.isTrue(manager.indexMatches());
+        });
+
+        it('does not match a store built before fingerprints were recorded', () => {
+            useIndex(3, null);
+            assert.isFalse(manager.indexMatches());
+        });
+
+        it('does not match a store built with another model', () => {
+            useIndex(3, {provider: '', model: 'other-model', dimension: 3, chunkSize: 32, chunkOverlap: 2, chunker: CHUNKER_VERSION});
+            assert.isFalse(manager.indexMatches());
+        });
+
+        it('does not search or add to a store built with other settings', async () => {
+            useIndex(3, {provider: '', model: 'test-model', dimension: 3, chunkSize: 64, chunkOverlap: 2});
+
+            assert.deepEqual(await manager.search('grapple'), []);
+            await manager.indexDocument(page);
+        });
+
+        it('stamps the store when the first document is added', async () => {
+            useIndex(0, null);
+            mockAI.EXPECT().embed('test-model', page.uuid, ['Rules\nGrapple rules']).Return({
+                id: page.uuid,
+                vectors: [[1, 2, 3]]
+            });
+            mockStore.EXPECT().add({
+                id: page.uuid,
+                vectors: [[1, 2, 3]],
+                hash: hashText('Rules Grapple rules'),
+                chunkHashes: [hashText('Rules Grapple rules')],
+                terms: termFrequencies('Rules Grapple rules')
+            });
+            mockStore.EXPECT().stats().Return({vectorDimensions: 3});
+            mockStore.EXPECT().setFingerprint({
+                provider: '',
+                model: 'test-model',
+                chunkSize: 32,
+                chunkOverlap: 2,
+                chunker: CHUNKER_VERSION,
+                dimension: 3,
+            });
+
+            await manager.indexDocument(page);
+        });
+    });
 }
@@ -0,0 +1,356 @@
+import {Logger} from '../app/logger';
+import {matchesFingerprint} from './vector_store';
+
+/**
+ * SHARED_FORMAT_VERSION is a version number for the shared index file format
+ *
+ * Format 1 held only the vectors of each document; format 2 holds their
+ * vectors and terms.
+ *
+ * @type {number}
+ */
+const SHARED_FORMAT_VERSION = 2;
+
+/**
+ * UPLOAD_DELAY is how long, in milliseconds, to wait after a change before
+ * uploading the index, so that bursts of changes are uploaded together
+ * @type {number}
+ */
+const UPLOAD_DELAY = 5000;
+
+/**
+ * SharedIndex shares one vector index between every client in a world
+ *
+ * @description
+ * Without sharing, each browser embeds the whole world itself. Instead, the
+ * active GM's client publishes its index to the world data folder, and every
+ * other client downloads it when the world is ready. While the GM is online,
+ * changes the GM makes to the index are sent to the other clients through
+ * the module socket, so they never need to embed documents themselves.
+ *
+ * The file records the fingerprint of the embeddings in it; a client
+ * configured with a different model or chunking ignores it and builds its own
+ * index, as does a client which cannot download it. Such a client receives
+ * the shared index again once the publisher asks it to reload and the
+ * download succeeds.
+ *
+ * The GM's client indexes documents which players cannot see, and the file can
+ * be fetched by anyone who knows its URL, so only documents every player may
+ * observe are uploaded or sent to other clients. The rest stay in the GM's
+ * own index.
+ *
+ * @example
+ * ```javascript
+ * const shared = new SharedIndex(window, vectorStore, emitter, documentManager.fingerprint(),
+ *     id => documentManager.shareable(id));
+ * await shared.initialize();
+ *
+ * if (shared.receiving) {
+ *     // another client is responsible for embedding changes
+ * }
+ * ```
+ */
+export class SharedIndex {
+    /** @type {object} */
+    #context;
+
+    /** @type {VectorStore} */
+    #store;
+
+    /** @type {Emitter} */
+    #emitter;
+
+    /** @type {IndexFingerprint} */
+    #fingerprint;
+
+    /** @type {(id: string) => boolean} */
+    #shareable;
+
+    /** @type {number} */
+    #delay;
+
+    /** @type {number|null} */
+    #timer = null;
+
+    /** @type {boolean} */
+    #reload = false;
+
+    /** @type {boolean} */
+    #applying = false;
+
+    /** @type {boolean} whether this client found no shared index it can use */
+    #separate = false;
+
+    /**
+     * @param {object} context - typically `window`, but may be a test context
+     * @param {VectorStore} store
+     * @param {Emitter} emitter
+     * @param {IndexFingerprint} fingerprint - how this client makes embeddings
+     * @param {(id: string) => boolean} shareable - whether every player may see a document
+     * @param {number} [delay]
+     */
+    constructor(context, store, emitter, fingerprint, shareable, delay = UPLOAD_DELAY) {
+        this.#context = context;
+        this.#store = store;
+        this.#emitter = emitter;
+        this.#fingerprint = fingerprint;
+        this.#shareable = shareable;
+        this.#delay = delay;
+    }
+
+    /**
+     * publisher returns whether this client maintains the shared index
+     * @returns {boolean}
+     */
+    get publisher() {
+        return this.#context.game.users.activeGM?.isSelf ?? false;
+    }
+
+    /**
+     * receiving returns whether another client maintains the shared index,
+     * in which case this client should not embed changes itself
+     *
+     * A client which found no shared index it can use is not receiving, so
+     * that it indexes for itself.
+     *
+     * @returns {boolean}
+     */
+    get receiving() {
+        return !this.publisher && !this.#separate && Boolean(this.#context.game.users.activeGM);
+    }
+
+    /**
+     * initialize listens for changes from the publisher and, on other
+     * clients, downloads the shared index
+     *
+     * If the shared index has not been uploaded yet, the publisher uploads
+     * it and asks the other clients to reload; until then, they index for
+     * themselves.
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} if the publisher cannot create the index directory
+     */
+    async initialize() {
+        this.#emitter.on('index.update', (fingerprint, id, vectors, terms) => this.#apply(fingerprint, () =>
+            this.#store.add({id, vectors: vectors.map(decodeVector), terms})));
+        this.#emitter.on('index.delete', (fingerprint, id) => this.#apply(fingerprint, () =>
+            this.#store.delete(id)));
+        this.#emitter.on('index.reload', () => this.download());
+
+        this.#store.subscribe(change => this.#onChange(change));
+
+        if (this.publisher) {
+            const published = await this.#createDirectoryIfMissing();
+            this.#reload = !published;
+            if (!published && this.#store.size() > 0) {
+                this.#scheduleUpload();
+            }
+        } else {
+            await this.download();
+        }
+    }
+
+    /**
+     * download replaces the local index with the shared index, if the shared
+     * index was built the same way and is newer
+     *
+     * When the shared index is missing, cannot be read, or was built another
+     * way, this client stops receiving and indexes for itself.
+     *
+     * @returns {Promise<boolean>} whether the local index was replaced
+     */
+    async download() {
+        let data;
+        try {
+            const response = await this.#context.fetch(`/${this.#filePath}`, {cache: 'no-store'});
+            data = response.ok ? await response.json() : null;
+        } catch (error) {
+            Logger.getLogger().warn('Unable to download the shared index: %o', error);
+            data = null;
+        }
+
+        this.#separate = data === null || ![1, SHARED_FORMAT_VERSION].includes(data.format)
+            || !matchesFingerprint(data.fingerprint, this.#fingerprint);
+        if (this.#separate) {
+            return false;
+        }
+
+        const lastUpdated = this.#store.getLastUpdated();
+        if (lastUpdated !== null && data.updated <= lastUpdated.getTime()) {
+            return false;
+        }
+
+        const documents = Object.entries(data.documents).map(([id, document]) => {
+            const {vectors, terms} = data.format === 1 ? {vectors: document} : document;
+            return {id, vectors: vectors.map(decodeVector), terms};
+        });
+        this.#applying = true;
+        try {
+            this.#store.clear();
+            this.#store.addBatch(documents);
+            this.#store.setFingerprint(data.fingerprint);
+        } finally {
+            this.#applying = false;
+        }
+        return true;
+    }
+
+    /**
+     * upload writes the documents of the local index which every player may
+     * see to the world data folder
+     * @returns {Promise<void>}
+     * @throws {Error} if the upload fails
+     */
+    async upload() {
+        const documents = Object.fromEntries(this.#store.entries()
+            .filter(({id}) => this.#shareable(id))
+            .map(({id, vectors, terms}) => [id, {vectors: vectors.map(encodeVector), terms}]));
+        const data = {
+            format: SHARED_FORMAT_VERSION,
+            fingerprint: this.#store.getFingerprint(),
+            updated: Date.now(),
+            documents,
+        };
+
+        const file = new File([JSON.stringify(data)], this.#fileName, {type: 'application/json'});
+        const response = await this.#context.FilePicker.upload(this.#source, this.#storagePath, file, {},
+            {notify: false});
+        if (!response?.path) {
+            throw new Error('Failed to save the shared index');
+        }
+    }
+
+    /**
+     * onChange publishes changes made to the local index
+     *
+     * A document players may not see is deleted from their indexes instead,
+     * in case it was hidden from them after they received it.
+     *
+     * @private
+     * @param {VectorStoreChange} change
+     */
+    #onChange(change) {
+        if (this.#applying || !this.publisher) {
+            return;
+        }
+
+        switch (change.type) {
+            case 'add':
+                if (!this.#shareable(change.id)) {
+                    this.#emitter.emit('index.delete', this.#fingerprint, change.id);
+                    break;
+                }
+                this.#emitter.emit('index.update', this.#fingerprint, change.id, change.vectors.map(encodeVector),
+                    change.terms);
+                break;
+            case 'delete':
+                this.#emitter.emit('index.delete', this.#fingerprint, change.id);
+                break;
+            default:
+                // whole-index changes are too large for the socket
+                this.#reload = true;
+        }
+
+        this.#scheduleUpload();
+    }
+
+    /**
+     * apply makes a change sent by the publisher to the local index
+     * @private
+     * @param {IndexFingerprint} fingerprint
+     * @param {() => void} change
+     */
+    #apply(fingerprint, change) {
+        if (!matchesFingerprint(fingerprint, this.#fingerprint)) {
+            return;
+        }
+
+        this.#applying = true;
+        try {
+            change();
+        } finally {
+            this.#applying = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    #scheduleUpload() {
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(async () => {
+            this.#timer = null;
+            const reload = this.#reload;
+            this.#reload = false;
+
+            try {
+                await this.upload();
+                if (reload) {
+                    this.#emitter.emit('index.reload');
+                }
+            } catch (error) {
+                Logger.getLogger().error('Unable to share the index: %o', error);
+            }
+        }, this.#delay);
+    }
+
+    /**
+     * @private
+     * @returns {Promise<boolean>} whether the shared index has been uploaded
+     */
+    async #createDirectoryIfMissing() {
+        try {
+            const {files} = await this.#context.FilePicker.browse(this.#source, this.#storagePath);
+            return files.includes(this.#filePath);
+        } catch (err) {
+            if (!await this.#context.FilePicker.createDirectory(this.#source, this.#storagePath, {})) {
+                throw new Error('Failed to create index directory');
+            }
+            return false;
+        }
+    }
+
+    get #fileName() {
+        return 'index.json';
+    }
+
+    get #filePath() {
+        return `${this.#storagePath}/${this.#fileName}`;
+    }
+
+    get #storagePath() {
+        return `worlds/${this.#context.game.world.id}/aide`;
+    }
+
+    get #source() {
+        return 'data';
+    }
+}
+
+/**
+ * encodeVector packs a vector into base64, which is far smaller than JSON numbers
+ * @param {Float32Array} vector
+ * @returns {string}
+ */
+export function encodeVector(vector) {
+    const bytes = new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * decodeVector unpacks a vector encoded by encodeVector
+ * @param {string} encoded
+ * @returns {Float32Array}
+ */
+export function decodeVector(encoded) {
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Float32Array(bytes.buffer);
+}
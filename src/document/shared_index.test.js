@@ -0,0 +1,321 @@
+import { Suite } from '../../test/quench';
+import { SharedIndex, decodeVector, encodeVector } from './shared_index';
+import { VectorStore } from './vector_store';
+import { VectorStorage } from './vector_storage';
+import { MockContext } from '../foundry/context.mock';
+import { MockFilePicker } from '../foundry/file_picker.mock';
+import { MockGame } from '../foundry/game.mock';
+import { Logger, LogLevels } from '../app/logger';
+import jsmock from '../../test/jsmock';
+
+const { MockController } = jsmock;
+
+/**
+ * TEST_DATABASE keeps the tests away from the index of the world being used
+ * @type {string}
+ */
+const TEST_DATABASE = 'aide.test.shared';
+
+const INDEX_PATH = 'worlds/test-world/aide';
+
+const FINGERPRINT = {provider: 'openai', model: 'embed-model', chunkSize: 512, chunkOverlap: 32};
+const OTHER_MODEL = {...FINGERPRINT, model: 'other-model'};
+
+Suite('document.shared_index', SharedIndexTest);
+export default function SharedIndexTest(quench) {
+    const { describe, it, assert, beforeEach, afterEach } = quench;
+
+    let ctrl;
+    let mockContext;
+    let mockFilePicker;
+    let mockGame;
+    let storage;
+    let store;
+    let emitter;
+    let handlers;
+    let emitted;
+    let activeGM;
+
+    const createIndex = () => new SharedIndex(mockContext, store, emitter, FINGERPRINT,
+        id => !id.startsWith('secret'), 0);
+
+    const indexFile = data => ({
+        ok: true,
+        json: async () => ({
+            format: 2,
+            fingerprint: {...FINGERPRINT, dimension: 3},
+            updated: Date.now() + 1000,
+            documents: {},
+            ...data,
+        }),
+    });
+
+    const waitForUpload = () => new Promise(resolve => {
+        setTimeout(resolve, 10);
+    });
+
+    beforeEach(async () => {
+        ctrl = new MockController(quench);
+        mockContext = new MockContext(ctrl);
+        mockFilePicker = new MockFilePicker(ctrl);
+        mockGame = new MockGame(ctrl);
+
+        activeGM = {isSelf: false};
+        mockContext.game = mockGame;
+        mockContext.FilePicker = mockFilePicker;
+        mockGame.EXPECT().world.Return({ id: 'test-world' }).AnyTimes();
+        mockGame.EXPECT().users.Do(() => ({ activeGM })).AnyTimes();
+
+        handlers = new Map();
+        emitted = [];
+        emitter = {
+            on: (name, listener) => handlers.set(name, listener),
+            emit: (...args) => emitted.push(args),
+        };
+
+        storage = new VectorStorage(TEST_DATABASE);
+        store = new VectorStore(3, 0.7, 'cosine', storage);
+        await store.initialize();
+    });
+
+    afterEach(async () => {
+        await store.flush();
+        storage.close();
+        await new Promise(resolve => {
+            indexedDB.deleteDatabase(TEST_DATABASE).onsuccess = resolve;
+        });
+    });
+
+    describe('vector encoding', () => {
+        it('round trips vectors through base64', () => {
+            const vector = new Float32Array([0.25, -1.5, 3]);
+            assert.deepEqual(Array.from(decodeVector(encodeVector(vector))), [0.25, -1.5, 3]);
+        });
+    });
+
+    describe('roles', () => {
+        it('publishes when this client is the active GM', () => {
+            activeGM = {isSelf: true};
+            const index = createIndex();
+            assert.isTrue(index.publisher);
+            assert.isFalse(index.receiving);
+        });
+
+        it('receives when another client is the active GM', () => {
+            const index = createIndex();
+            assert.isFalse(index.publisher);
+            assert.isTrue(index.receiving);
+        });
+
+        it('neither publishes nor receives without a GM', () => {
+            activeGM = null;
+            const index = createIndex();
+            assert.isFalse(index.publisher);
+            assert.isFalse(index.receiving);
+        });
+    });
+
+    describe('download', () => {
+        it('replaces the local index with a newer shared index', async () => {
+            store.add({id: 'stale', vectors: [[1, 0, 0]]});
+            mockContext.EXPECT().fetch(`/${INDEX_PATH}/index.json`, {cache: 'no-store'})
+                .Return(indexFile({documents: {
+                    page: {vectors: [encodeVector(new Float32Array([0, 1, 0]))], terms: {valeska: 1}},
+                }}));
+
+            await createIndex().initialize();
+
+            assert.deepEqual(store.ids(), ['page']);
+            assert.deepEqual(Array.from(store.entries()[0].vectors[0]), [0, 1, 0]);
+            assert.deepEqual(store.termsOf('page'), {valeska: 1});
+            assert.deepEqual(store.getFingerprint(), {...FINGERPRINT, dimension: 3});
+        });
+
+        it('reads an index shared without terms', async () => {
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject).Return(indexFile({
+                format: 1,
+                documents: {page: [encodeVector(new Float32Array([0, 1, 0]))]},
+            }));
+
+            assert.isTrue(await createIndex().download());
+            assert.deepEqual(store.ids(), ['page']);
+            assert.isUndefined(store.termsOf('page'));
+        });
+
+        it('ignores an index built with a different model', async () => {
+            store.add({id: 'local', vectors: [[1, 0, 0]]});
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject)
+                .Return(indexFile({fingerprint: OTHER_MODEL, documents: {page: []}}));
+
+            assert.isFalse(await createIndex().download());
+            assert.deepEqual(store.ids(), ['local']);
+        });
+
+        it('ignores an index older than the local one', async () => {
+            store.add({id: 'local', vectors: [[1, 0, 0]]});
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject)
+                .Return(indexFile({updated: 0, documents: {page: []}}));
+
+            assert.isFalse(await createIndex().download());
+            assert.deepEqual(store.ids(), ['local']);
+        });
+
+        it('ignores a missing index', async () => {
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject).Return({ok: false});
+            assert.isFalse(await createIndex().download());
+        });
+    });
+
+    describe('falling back', () => {
+        it('indexes for itself when there is no shared index', async () => {
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject).Return({ok: false});
+
+            const index = createIndex();
+            await index.initialize();
+            assert.isFalse(index.receiving);
+        });
+
+        it('indexes for itself when the shared index cannot be downloaded', async () => {
+            Logger.getLogger('AIde', LogLevels.Error);
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject).DoAndReturn(async (url, options) => {
+                throw new TypeError('Failed to fetch');
+            });
+
+            const index = createIndex();
+            await index.initialize();
+            assert.isFalse(index.receiving);
+        });
+
+        it('indexes for itself when the shared index was built with a different model', async () => {
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject)
+                .Return(indexFile({fingerprint: OTHER_MODEL}));
+
+            const index = createIndex();
+            await index.initialize();
+            assert.isFalse(index.receiving);
+
+            handlers.get('index.update')(OTHER_MODEL, 'page', [encodeVector(new Float32Array([0, 0, 1]))]);
+            assert.deepEqual(store.ids(), []);
+        });
+
+        it('receives again once the publisher shares a usable index', async () => {
+            let file = {ok: false};
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject)
+                .DoAndReturn(async (url, options) => file).Times(2);
+
+            const index = createIndex();
+            await index.initialize();
+            assert.isFalse(index.receiving);
+
+            file = indexFile({documents: {page: {vectors: [encodeVector(new Float32Array([0, 1, 0]))]}}});
+            await handlers.get('index.reload')();
+            assert.isTrue(index.receiving);
+            assert.deepEqual(store.ids(), ['page']);
+        });
+    });
+
+    describe('publishing', () => {
+        beforeEach(() => {
+            activeGM = {isSelf: true};
+        });
+
+        const published = () => mockFilePicker.EXPECT().browse('data', INDEX_PATH)
+            .Return({files: [`${INDEX_PATH}/index.json`]});
+
+        it('sends document changes to other clients and uploads the index', async () => {
+            let uploaded = null;
+            mockFilePicker.EXPECT().upload('data', INDEX_PATH, jsmock.AnyObject, {})
+                .Do(async (source, path, file, options) => {
+                    uploaded = JSON.parse(await file.text());
+                    return {path: `${path}/${file.name}`};
+                });
+
+            published();
+            await createIndex().initialize();
+            store.add({id: 'page', vectors: [[1, 0, 0]], terms: {valeska: 1}});
+            store.setFingerprint({...FINGERPRINT, dimension: 3});
+            store.delete('other');
+            await waitForUpload();
+
+            assert.deepEqual(emitted, [
+                ['index.update', FINGERPRINT, 'page', [encodeVector(new Float32Array([1, 0, 0]))], {valeska: 1}],
+                ['index.delete', FINGERPRINT, 'other'],
+            ]);
+            assert.deepEqual(uploaded.fingerprint, {...FINGERPRINT, dimension: 3});
+            assert.deepEqual(uploaded.documents, {
+                page: {vectors: [encodeVector(new Float32Array([1, 0, 0]))], terms: {valeska: 1}},
+            });
+        });
+
+        it('keeps documents players may not see to itself', async () => {
+            let uploaded = null;
+            mockFilePicker.EXPECT().upload('data', INDEX_PATH, jsmock.AnyObject, {})
+                .Do(async (source, path, file, options) => {
+                    uploaded = JSON.parse(await file.text());
+                    return {path: `${path}/${file.name}`};
+                });
+
+            published();
+            await createIndex().initialize();
+            store.add({id: 'page', vectors: [[1, 0, 0]], terms: {valeska: 1}});
+            store.add({id: 'secret', vectors: [[0, 1, 0]], terms: {villain: 1}});
+            await waitForUpload();
+
+            assert.deepEqual(emitted.map(([name, , id]) => [name, id]),
+                [['index.update', 'page'], ['index.delete', 'secret']]);
+            assert.deepEqual(Object.keys(uploaded.documents), ['page']);
+            assert.deepEqual(store.ids().sort(), ['page', 'secret']);
+        });
+
+        it('uploads an index which was never shared', async () => {
+            mockFilePicker.EXPECT().upload('data', INDEX_PATH, jsmock.AnyObject, {})
+                .Return({path: `${INDEX_PATH}/index.json`});
+
+            store.add({id: 'page', vectors: [[1, 0, 0]]});
+            mockFilePicker.EXPECT().browse('data', INDEX_PATH).Return({files: []});
+            await createIndex().initialize();
+            await waitForUpload();
+
+            assert.deepEqual(emitted, [['index.reload']]);
+        });
+
+        it('asks other clients to reload after a rebuild', async () => {
+            mockFilePicker.EXPECT().upload('data', INDEX_PATH, jsmock.AnyObject, {})
+                .Return({path: `${INDEX_PATH}/index.json`});
+
+            published();
+            await createIndex().initialize();
+            store.clear();
+            store.addBatch([{id: 'page', vectors: [[1, 0, 0]]}]);
+            await waitForUpload();
+
+            assert.deepEqual(emitted, [['index.reload']]);
+        });
+    });
+
+    describe('receiving', () => {
+        beforeEach(() => {
+            mockContext.EXPECT().fetch(jsmock.AnyString, jsmock.AnyObject).Return({ok: false});
+        });
+
+        it('applies changes sent by the publisher without echoing them', async () => {
+            await createIndex().initialize();
+
+            handlers.get('index.update')(FINGERPRINT, 'page', [encodeVector(new Float32Array([0, 0, 1]))],
+                {valeska: 1});
+            assert.deepEqual(store.ids(), ['page']);
+            assert.deepEqual(store.termsOf('page'), {valeska: 1});
+
+            handlers.get('index.delete')(FINGERPRINT, 'page');
+            assert.deepEqual(store.ids(), []);
+            assert.deepEqual(emitted, []);
+        });
+
+        it('ignores changes for a different model', async () => {
+            await createIndex().initialize();
+
+            handlers.get('index.update')(OTHER_MODEL, 'page', [encodeVector(new Float32Array([0, 0, 1]))]);
+            assert.deepEqual(store.ids(), []);
+        });
+    });
+}
@@ -0,0 +1,109 @@
+/**
+ * ENRICHER matches Foundry's content links, e.g. `@UUID[Actor.abc]{Bob}` or
+ * `@Check[dex]`
+ * @type {RegExp}
+ */
+const ENRICHER = /@(\w+)\[([^\]]*)\](?:\{([^}]*)\})?/g;
+
+/**
+ * INLINE_ROLL matches Foundry's inline rolls, e.g. `[[/r 1d20 + 5]]{Attack}`
+ * or `[[2d6]]`
+ * @type {RegExp}
+ */
+const INLINE_ROLL = /\[\[(?:\/\w+\s+)?(.*?)\]\](?:\{([^}]*)\})?/g;
+
+/**
+ * htmlToText converts HTML, as stored in Foundry descriptions, to plain text
+ *
+ * Block-level elements become line breaks so that paragraphs and list items
+ * stay separate; all other markup is dropped and common entities decoded.
+ * Content links and inline rolls are replaced by the text Foundry shows.
+ *
+ * @param {string} [html]
+ * @returns {string}
+ */
+export function htmlToText(html = '') {
+    if (typeof html !== 'string') {
+        return '';
+    }
+
+    const text = replaceEnrichers(html)
+        .replace(/<(br|hr)\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|blockquote|section|table)>/gi, '\n')
+        .replace(/<[^>]*>/g, '');
+
+    return decodeEntities(text)
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * replaceEnrichers replaces content links and inline rolls with their labels
+ *
+ * A link without a label becomes its target, since the name of the linked
+ * document cannot be looked up here; a roll without a label becomes its
+ * formula.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function replaceEnrichers(text) {
+    return text
+        .replace(INLINE_ROLL, (match, formula, label) => label || formula.trim())
+        .replace(ENRICHER, (match, type, target, label) => label || target);
+}
+
+/**
+ * contentLinks returns the targets of the `@UUID` content links in some text,
+ * in the order they first appear
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function contentLinks(text) {
+    const targets = Array.from((text ?? '').matchAll(ENRICHER))
+        .filter(([, type, target]) => type === 'UUID' && target)
+        .map(([, , target]) => target);
+    return Array.from(new Set(targets));
+}
+
+/**
+ * decodeEntities decodes the HTML entities which commonly appear in Foundry
+ * content
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * hashText returns a short fingerprint of some text, used to tell whether a
+ * document has changed since it was embedded
+ *
+ * This is the 53-bit cyrb53 hash; it is not cryptographic, but it is fast and
+ * works without a secure context, unlike `crypto.subtle`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashText(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return ((4294967296 * (2097151 & h2)) + (h1 >>> 0)).toString(16);
+}
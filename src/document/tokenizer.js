@@ -0,0 +1,104 @@
+import {Logger} from '../app/logger';
+
+/**
+ * INPUT_MARGIN is the number of tokens kept free below a model's input limit,
+ * for the special tokens the model adds and the separators between joined
+ * sentences, which are not counted exactly
+ * @type {number}
+ */
+const INPUT_MARGIN = 16;
+
+/**
+ * EMBEDDING_MODELS describes how embedding models tokenize their input and
+ * the most tokens each accepts, matched against the model name in order
+ * @type {{pattern: RegExp, tokenizer: 'bpe'|'wordpiece', maxInput: number}[]}
+ */
+export const EMBEDDING_MODELS = [
+    {pattern: /text-embedding-(3-small|3-large|ada-002)/i, tokenizer: 'bpe', maxInput: 8191},
+    {pattern: /bge-m3/i, tokenizer: 'wordpiece', maxInput: 8192},
+    {pattern: /nomic-embed-text/i, tokenizer: 'wordpiece', maxInput: 8192},
+    {pattern: /clip-vit/i, tokenizer: 'wordpiece', maxInput: 77},
+    {pattern: /(all|paraphrase)-minilm/i, tokenizer: 'wordpiece', maxInput: 256},
+    {pattern: /all-mpnet-base/i, tokenizer: 'wordpiece', maxInput: 384},
+    {pattern: /(bge|e5|gte|mpnet|mxbai-embed|snowflake-arctic-embed|text2vec)/i, tokenizer: 'wordpiece', maxInput: 512},
+];
+
+/**
+ * DEFAULT_MODEL describes models which are not listed; word pieces are
+ * counted since they overestimate the tokens of most other tokenizers
+ * @type {{tokenizer: 'wordpiece', maxInput: null}}
+ */
+const DEFAULT_MODEL = {tokenizer: 'wordpiece', maxInput: null};
+
+/**
+ * modelInfo returns how an embedding model tokenizes its input and the most
+ * tokens it accepts, or null if that is unknown
+ * @param {string} model
+ * @returns {{tokenizer: 'bpe'|'wordpiece', maxInput: number|null}}
+ */
+export function modelInfo(model) {
+    const {tokenizer, maxInput} = EMBEDDING_MODELS.find(({pattern}) => pattern.test(model ?? '')) ?? DEFAULT_MODEL;
+    return {tokenizer, maxInput};
+}
+
+/**
+ * loadTokenizer returns the function which counts tokens as an embedding
+ * model does, without special tokens
+ *
+ * The byte pair encoding of OpenAI's models is large, so it is only loaded
+ * for models which use it. If it cannot be loaded, word pieces are counted
+ * instead, which errs on the high side.
+ *
+ * @param {string} model
+ * @param {() => Promise<{countTokens: (text: string) => number}>} [load] - loads the byte pair encoding
+ * @returns {Promise<(text: string) => number>}
+ */
+export async function loadTokenizer(model, load = () => import('gpt-tokenizer/encoding/cl100k_base')) {
+    if (modelInfo(model).tokenizer !== 'bpe') {
+        return countWordPieces;
+    }
+
+    try {
+        const {countTokens} = await load();
+        return text => (text ? countTokens(text) : 0);
+    } catch (error) {
+        Logger.getLogger().warn('Unable to load the tokenizer of %s, so its tokens are estimated: %o', model, error);
+        return countWordPieces;
+    }
+}
+
+/**
+ * chunkLimit returns the largest chunk, in tokens, which an embedding model
+ * accepts without truncating it, or null if there is no known limit
+ * @param {string} model
+ * @returns {number|null}
+ */
+export function chunkLimit(model) {
+    const {maxInput} = modelInfo(model);
+    return maxInput === null ? null : maxInput - INPUT_MARGIN;
+}
+
+/**
+ * countWordPieces estimates the tokens a BERT-style word piece tokenizer, as
+ * used by BGE, E5 and similar models, makes of some text
+ *
+ * Without the model's vocabulary this is an approximation: text is split
+ * into words, punctuation and CJK characters as BERT does, and each word
+ * is assumed to become one piece for its first six characters and another
+ * for every four after that. This errs on the high side for English prose.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWordPieces(text) {
+    const words = text?.toLowerCase().match(/[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu) ?? [];
+    return words.reduce((tokens, word) => {
+        if (/\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul}/u.test(word)) {
+            return tokens + Array.from(word).length;
+        }
+        if (/^\p{N}+$/u.test(word)) {
+            return tokens + Math.ceil(word.length / 3);
+        }
+        return tokens + 1 + Math.ceil(Math.max(0, word.length - 6) / 4);
+    }, 0);
+}
@@ -0,0 +1,67 @@
+import { Suite } from '../../test/quench';
+import { chunkLimit, countWordPieces, loadTokenizer, modelInfo } from './tokenizer';
+import { Logger, LogLevels } from '../app/logger';
+
+Suite('document.tokenizer', TokenizerTest);
+export default function TokenizerTest({describe, it, assert}) {
+    describe('models', () => {
+        it('knows the tokenizer and input limit of common models', () => {
+            assert.deepEqual(modelInfo('text-embedding-3-small'), {tokenizer: 'bpe', maxInput: 8191});
+            assert.deepEqual(modelInfo('BAAI/bge-base-en-v1.5'), {tokenizer: 'wordpiece', maxInput: 512});
+            assert.deepEqual(modelInfo('intfloat/multilingual-e5-large'), {tokenizer: 'wordpiece', maxInput: 512});
+            assert.deepEqual(modelInfo('sentence-transformers/all-MiniLM-L6-v2'), {tokenizer: 'wordpiece', maxInput: 256});
+            assert.deepEqual(modelInfo('nomic-embed-text:latest'), {tokenizer: 'wordpiece', maxInput: 8192});
+        });
+
+        it('counts word pieces for unknown models, without a limit', async () => {
+            assert.deepEqual(modelInfo('my-embedder'), {tokenizer: 'wordpiece', maxInput: null});
+            assert.isNull(chunkLimit('my-embedder'));
+            assert.equal(await loadTokenizer('my-embedder'), countWordPieces);
+        });
+
+        it('leaves room below the input limit', () => {
+            assert.isBelow(chunkLimit('BAAI/bge-large-en-v1.5'), 512);
+        });
+    });
+
+    describe('byte pairs', () => {
+        it('counts tokens as OpenAI models do', async () => {
+            const count = await loadTokenizer('text-embedding-3-small');
+            assert.equal(count(''), 0);
+            assert.equal(count('hello world'), 2);
+        });
+
+        it('only loads the encoding for models which use it', async () => {
+            let loaded = false;
+            await loadTokenizer('BAAI/bge-base-en-v1.5', async () => {
+                loaded = true;
+                return {countTokens: () => 0};
+            });
+            assert.isFalse(loaded);
+        });
+
+        it('estimates tokens when the encoding cannot be loaded', async () => {
+            Logger.getLogger('AIde', LogLevels.Error);
+            const count = await loadTokenizer('text-embedding-3-small', async () => {
+                throw new Error('Failed to fetch dynamically imported module');
+            });
+            assert.equal(count, countWordPieces);
+        });
+    });
+
+    describe('word pieces', () => {
+        it('counts short words and punctuation as one piece each', () => {
+            assert.equal(countWordPieces(''), 0);
+            assert.equal(countWordPieces('The cat sat.'), 4);
+        });
+
+        it('splits long words and numbers into several pieces', () => {
+            assert.equal(countWordPieces('extraordinarily'), 4);
+            assert.equal(countWordPieces('1234567'), 3);
+        });
+
+        it('counts each CJK character', () => {
+            assert.equal(countWordPieces('東京タワー'), 5);
+        });
+    });
+}
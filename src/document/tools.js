@@ -0,0 +1,138 @@
+import {htmlToText} from './text';
+import {systemFields} from './extractors';
+
+/**
+ * EXCERPT_LENGTH is the number of characters of each page shown in search results
+ * @type {number}
+ */
+const EXCERPT_LENGTH = 300;
+
+/**
+ * createDocumentTools returns the tools which let a chat model look up
+ * Foundry documents while it answers
+ *
+ * @description
+ * Only documents the current user is allowed to see are returned, so the
+ * model cannot reveal anything the user could not have opened themselves.
+ *
+ * @param {object} context - typically `window`, but may be a test context
+ * @param {DocumentManager} manager
+ * @returns {Tool[]}
+ */
+export function createDocumentTools(context, manager) {
+    return [
+        {
+            name: 'search_journals',
+            description: 'Search the journals in this world for pages relevant to a question. '
+                + 'Returns the best matching pages with their UUIDs and a short excerpt.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: {type: 'string', description: 'What to search for'}
+                },
+                required: ['query']
+            },
+            status: ({query}) => `Searching journals for "${query}"`,
+            handler: async ({query}) => {
+                const results = await manager.search(String(query ?? ''));
+                const pages = [];
+                for (const {id, score} of results) {
+                    const page = await context.fromUuid(id);
+                    if (!canView(context, page)) {
+                        continue;
+                    }
+                    pages.push({
+                        uuid: page.uuid,
+                        name: page.name,
+                        journal: page.parent?.name,
+                        score: Math.round(score * 1000) / 1000,
+                        excerpt: htmlToText(page.text?.content).slice(0, EXCERPT_LENGTH),
+                    });
+                }
+                return pages;
+            }
+        },
+        {
+            name: 'get_journal_page',
+            description: 'Read the full text of a journal page by its UUID.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    uuid: {type: 'string', description: 'The UUID of the page, e.g. JournalEntry.abc.JournalEntryPage.def'}
+                },
+                required: ['uuid']
+            },
+            status: () => 'Reading a journal page',
+            handler: async ({uuid}) => {
+                const page = await context.fromUuid(String(uuid ?? ''));
+                if (page?.documentName !== 'JournalEntryPage' || !canView(context, page)) {
+                    throw new Error(`no journal page found with UUID ${uuid}`);
+                }
+                return `<JournalEntry title="${page.name}">${page.text?.content ?? ''}</JournalEntry>`;
+            }
+        },
+        {
+            name: 'get_actor',
+            description: 'Look up an actor (a character, creature or NPC) by name, including its description and items.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    name: {type: 'string', description: 'The name of the actor'}
+                },
+                required: ['name']
+            },
+            status: ({name}) => `Looking up ${name}`,
+            handler: async ({name}) => {
+                const wanted = String(name ?? '').trim().toLowerCase();
+                if (!wanted) {
+                    throw new Error('the name of an actor is required');
+                }
+
+                // an actor the user may not see must not hide one they may
+                const actor = context.game.actors.find(a => a.name.toLowerCase() === wanted && canView(context, a))
+                    ?? context.game.actors.find(a => a.name.toLowerCase().includes(wanted) && canView(context, a));
+                if (!actor) {
+                    throw new Error(`no actor found named ${name}`);
+                }
+                return {
+                    uuid: actor.uuid,
+                    name: actor.name,
+                    type: actor.type,
+                    details: systemFields(actor.system),
+                    items: actor.items.map(item => ({name: item.name, type: item.type})),
+                };
+            }
+        },
+        {
+            name: 'list_scenes',
+            description: 'List the scenes in this world, noting which one is active.',
+            parameters: {
+                type: 'object',
+                properties: {}
+            },
+            status: () => 'Looking up scenes',
+            handler: async () => context.game.scenes
+                .filter(scene => scene.visible)
+                .map(scene => ({
+                    uuid: scene.uuid,
+                    name: scene.navName || scene.name,
+                    active: scene.active,
+                })),
+        },
+    ];
+}
+
+/**
+ * @param {object} context
+ * @param {foundry.abstract.Document | undefined} document
+ * @returns {boolean}
+ */
+function canView(context, document) {
+    if (!document) {
+        return false;
+    }
+    if (typeof document.testUserPermission !== 'function') {
+        return true;
+    }
+    return document.testUserPermission(context.game.user, 'OBSERVER');
+}
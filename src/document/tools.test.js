@@ -0,0 +1,168 @@
+import { Suite } from '../../test/quench';
+import { createDocumentTools } from './tools';
+import { MockContext } from '../foundry/context.mock';
+
+import jsmock from '../../test/jsmock';
+const { MockController } = jsmock;
+
+Suite('document.tools', DocumentToolsTest);
+export default function DocumentToolsTest(quench) {
+    const {describe, it, assert, beforeEach} = quench;
+
+    let ctrl;
+    let mockContext;
+    let searched;
+    let tools;
+
+    /**
+     * visible returns a document which the user may observe, or not
+     * @param {object} data
+     * @param {boolean} [observable]
+     * @returns {object}
+     */
+    const visible = (data, observable = true) => ({
+        ...data,
+        testUserPermission: (user, level) => observable && user.id === 'player' && level === 'OBSERVER',
+    });
+
+    /**
+     * run calls the handler of a tool
+     * @param {string} name
+     * @param {object} args
+     * @returns {Promise<*>}
+     */
+    const run = (name, args) => tools.find(tool => tool.name === name).handler(args);
+
+    /**
+     * failure returns the message of the error a tool throws, or null
+     * @param {string} name
+     * @param {object} args
+     * @returns {Promise<string|null>}
+     */
+    const failure = async (name, args) => {
+        try {
+            await run(name, args);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+
+    beforeEach(() => {
+        ctrl = new MockController(quench);
+        mockContext = new MockContext(ctrl);
+        mockContext.game = {
+            user: {id: 'player'},
+            actors: [
+                visible({uuid: 'Actor.hidden', name: 'Valeska', type: 'npc', system: {}, items: []}, false),
+                visible({
+                    uuid: 'Actor.valeska',
+                    name: 'Valeska',
+                    type: 'npc',
+                    system: {details: {biography: '<p>A merchant.</p>'}, attributes: {hp: {value: 7}}},
+                    items: [{name: 'Dagger', type: 'weapon'}],
+                }),
+                visible({uuid: 'Actor.bob', name: 'Bob the Miller', type: 'npc', system: {}, items: []}),
+            ],
+            scenes: [
+                {uuid: 'Scene.mill', name: 'Mill', navName: 'The Mill', active: true, visible: true},
+                {uuid: 'Scene.lair', name: 'Lair', navName: '', active: false, visible: false},
+            ],
+        };
+
+        searched = [];
+        const manager = {
+            search: async query => {
+                searched.push(query);
+                return [
+                    {id: 'JournalEntry.a.JournalEntryPage.secret', score: 0.9},
+                    {id: 'JournalEntry.a.JournalEntryPage.mill', score: 0.81234},
+                ];
+            },
+        };
+        tools = createDocumentTools(mockContext, manager);
+    });
+
+    it('offers the document tools', () => {
+        assert.deepEqual(tools.map(tool => tool.name),
+            ['search_journals', 'get_journal_page', 'get_actor', 'list_scenes']);
+        assert.equal(tools[0].status({query: 'mill'}), 'Searching journals for "mill"');
+    });
+
+    describe('search_journals', () => {
+        it('returns the pages the user may see, with an excerpt', async () => {
+            mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.secret')
+                .Return(visible({uuid: 'JournalEntry.a.JournalEntryPage.secret', name: 'Secret'}, false));
+            mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.mill').Return(visible({
+                uuid: 'JournalEntry.a.JournalEntryPage.mill',
+                name: 'Mill',
+                parent: {name: 'Places'},
+                text: {content: '<p>The mill sits on the river.</p>'},
+            }));
+
+            const pages = await run('search_journals', {query: 'mill'});
+            assert.deepEqual(searched, ['mill']);
+            assert.deepEqual(pages, [{
+                uuid: 'JournalEntry.a.JournalEntryPage.mill',
+                name: 'Mill',
+                journal: 'Places',
+                score: 0.812,
+                excerpt: 'The mill sits on the river.',
+            }]);
+        });
+    });
+
+    describe('get_journal_page', () => {
+        it('returns the text of a page the user may see', async () => {
+            mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.mill').Return(visible({
+                documentName: 'JournalEntryPage',
+                name: 'Mill',
+                text: {content: '<p>The mill sits on the river.</p>'},
+            }));
+
+            assert.equal(await run('get_journal_page', {uuid: 'JournalEntry.a.JournalEntryPage.mill'}),
+                '<JournalEntry title="Mill"><p>The mill sits on the river.</p></JournalEntry>');
+        });
+
+        it('refuses pages the user may not see, and other documents', async () => {
+            mockContext.EXPECT().fromUuid('JournalEntry.a.JournalEntryPage.secret')
+                .Return(visible({documentName: 'JournalEntryPage', name: 'Secret'}, false));
+            mockContext.EXPECT().fromUuid('Actor.valeska').Return(visible({documentName: 'Actor', name: 'Valeska'}));
+
+            assert.match(await failure('get_journal_page', {uuid: 'JournalEntry.a.JournalEntryPage.secret'}),
+                /no journal page found/);
+            assert.match(await failure('get_journal_page', {uuid: 'Actor.valeska'}), /no journal page found/);
+        });
+    });
+
+    describe('get_actor', () => {
+        it('finds an actor the user may see, even after one they may not', async () => {
+            const actor = await run('get_actor', {name: 'valeska'});
+            assert.deepEqual(actor, {
+                uuid: 'Actor.valeska',
+                name: 'Valeska',
+                type: 'npc',
+                details: ['Biography: A merchant.'],
+                items: [{name: 'Dagger', type: 'weapon'}],
+            });
+        });
+
+        it('finds an actor by part of their name', async () => {
+            assert.equal((await run('get_actor', {name: 'miller'})).uuid, 'Actor.bob');
+        });
+
+        it('refuses a blank name', async () => {
+            assert.match(await failure('get_actor', {name: '  '}), /name of an actor is required/);
+        });
+
+        it('reports an actor which cannot be found', async () => {
+            assert.match(await failure('get_actor', {name: 'Tharizdun'}), /no actor found named Tharizdun/);
+        });
+    });
+
+    describe('list_scenes', () => {
+        it('lists the scenes the user may see', async () => {
+            assert.deepEqual(await run('list_scenes', {}), [{uuid: 'Scene.mill', name: 'The Mill', active: true}]);
+        });
+    });
+}
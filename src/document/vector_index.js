@@ -0,0 +1,621 @@
+/**
+ * REBUILD_RATIO is the share of deleted nodes above which the graph is
+ * rebuilt, since deleted nodes are only skipped, not unlinked
+ * @type {number}
+ */
+const REBUILD_RATIO = 0.5;
+
+/**
+ * QUANTIZED_MAX is the largest value a quantized component takes
+ * @type {number}
+ */
+const QUANTIZED_MAX = 127;
+
+/**
+ * HnswIndex finds the chunk vectors most similar to a query without
+ * comparing the query to every one of them
+ *
+ * @description
+ * Chunks are nodes of a hierarchical navigable small world graph (Malkov and
+ * Yashunin, 2016). Each node links to its nearest neighbors on the bottom
+ * layer and, with falling probability, on the sparser layers above. A search
+ * walks greedily down from the top layer, then explores the bottom layer
+ * around the best node found, keeping the `ef` most similar nodes seen. The
+ * graph is built incrementally as documents are set, so it never has to be
+ * trained or rebuilt from scratch.
+ *
+ * Vectors are normalized when they are set, so that cosine similarity is a
+ * single dot product; their lengths are kept beside them. With `quantize`,
+ * each component is stored in one byte rather than four, at a small cost in
+ * precision.
+ *
+ * Deleted documents leave their nodes in the graph to be walked through, but
+ * never returned; the graph is rebuilt when more than half its nodes are
+ * deleted.
+ *
+ * @example
+ * ```javascript
+ * const index = new HnswIndex({quantize: true});
+ * index.set('doc1', [Float32Array.of(1, 0, 0), Float32Array.of(0, 1, 0)]);
+ *
+ * const {vector} = normalize([0.9, 0.1, 0]);
+ * const hits = index.search(vector, 5);
+ * // [{id: 'doc1', chunk: 0, similarity: 0.99}, {id: 'doc1', chunk: 1, similarity: 0.11}]
+ * ```
+ */
+export class HnswIndex {
+    /** @type {number} */
+    #m;
+
+    /** @type {number} */
+    #efConstruction;
+
+    /** @type {number} */
+    #efSearch;
+
+    /** @type {boolean} */
+    #quantize;
+
+    /** @type {number} */
+    #levelFactor;
+
+    /** @type {() => number} */
+    #random;
+
+    /** @type {(Float32Array|Int8Array)[]} the normalized vector of each node */
+    #vectors = [];
+
+    /** @type {number[]} the factor each stored component is multiplied by */
+    #scales = [];
+
+    /** @type {number[]} the length of each vector before it was normalized */
+    #norms = [];
+
+    /** @type {number[][][]} the neighbors of each node on each of its layers */
+    #links = [];
+
+    /** @type {(string|null)[]} the document of each node, or null once deleted */
+    #owners = [];
+
+    /** @type {number[]} the position of each node in its document */
+    #chunks = [];
+
+    /** @type {Map<string, number[]>} the nodes of each document */
+    #documents = new Map();
+
+    /** @type {number} */
+    #entry = -1;
+
+    /** @type {number} */
+    #top = -1;
+
+    /** @type {number} */
+    #deleted = 0;
+
+    /**
+     * @param {{m?: number, efConstruction?: number, efSearch?: number, quantize?: boolean,
+     *     random?: () => number}} [options] - the links per node, the breadth of the searches
+     *     made while building and querying, whether to store vectors in bytes, and the source
+     *     of the random layers of nodes
+     */
+    constructor({m = 16, efConstruction = 100, efSearch = 64, quantize = false, random = seededRandom(1)} = {}) {
+        this.#m = m;
+        this.#efConstruction = efConstruction;
+        this.#efSearch = efSearch;
+        this.#quantize = quantize;
+        this.#levelFactor = 1 / Math.log(m);
+        this.#random = random;
+    }
+
+    /**
+     * size returns the number of documents in the index
+     * @returns {number}
+     */
+    get size() {
+        return this.#documents.size;
+    }
+
+    /**
+     * chunkCount returns the number of chunk vectors in the index
+     * @returns {number}
+     */
+    get chunkCount() {
+        return this.#owners.length - this.#deleted;
+    }
+
+    /**
+     * quantized returns whether vectors are stored in bytes
+     * @returns {boolean}
+     */
+    get quantized() {
+        return this.#quantize;
+    }
+
+    /**
+     * ids returns the ids of the documents in the index
+     * @returns {string[]}
+     */
+    ids() {
+        return Array.from(this.#documents.keys());
+    }
+
+    /**
+     * has returns whether a document is in the index
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.#documents.has(id);
+    }
+
+    /**
+     * set adds the chunk vectors of a document, replacing any earlier ones
+     * @param {string} id
+     * @param {(Float32Array|Vector)[]} vectors
+     */
+    set(id, vectors) {
+        this.delete(id);
+        const nodes = vectors.map((vector, chunk) => {
+            const {vector: normalized, norm} = normalize(vector);
+            const {vector: stored, scale} = this.#quantize ? quantize(normalized) : {vector: normalized, scale: 1};
+            return this.#insert(id, chunk, stored, scale, norm);
+        });
+        this.#documents.set(id, nodes);
+    }
+
+    /**
+     * delete removes the vectors of a document
+     * @param {string} id
+     */
+    delete(id) {
+        const nodes = this.#documents.get(id);
+        if (!nodes) {
+            return;
+        }
+
+        this.#documents.delete(id);
+        nodes.forEach(node => {
+            this.#owners[node] = null;
+        });
+        this.#deleted += nodes.length;
+        if (this.#deleted > this.#owners.length * REBUILD_RATIO) {
+            this.#rebuild();
+        }
+    }
+
+    /**
+     * clear removes every vector
+     */
+    clear() {
+        this.#vectors = [];
+        this.#scales = [];
+        this.#norms = [];
+        this.#links = [];
+        this.#owners = [];
+        this.#chunks = [];
+        this.#documents.clear();
+        this.#entry = -1;
+        this.#top = -1;
+        this.#deleted = 0;
+    }
+
+    /**
+     * vectorsOf returns the chunk vectors of a document as they were set;
+     * quantized vectors come back approximately
+     * @param {string} id
+     * @returns {Float32Array[]|undefined}
+     */
+    vectorsOf(id) {
+        return this.#documents.get(id)?.map(node => {
+            const factor = this.#scales[node] * this.#norms[node];
+            return Float32Array.from(this.#vectors[node], value => value * factor);
+        });
+    }
+
+    /**
+     * normsOf returns the lengths of the chunk vectors of a document
+     * @param {string} id
+     * @returns {number[]|undefined}
+     */
+    normsOf(id) {
+        return this.#documents.get(id)?.map(node => this.#norms[node]);
+    }
+
+    /**
+     * similarities returns the cosine similarity of a query to every chunk of
+     * a document, in order
+     * @param {string} id
+     * @param {Float32Array} query - a normalized vector
+     * @returns {number[]}
+     */
+    similarities(id, query) {
+        return (this.#documents.get(id) ?? []).map(node => this.#similarity(query, 1, node));
+    }
+
+    /**
+     * search returns the chunks most similar to a query, most similar first
+     *
+     * The result is approximate: a larger `ef` finds more of the true nearest
+     * chunks, at the cost of comparing the query to more of them.
+     *
+     * @param {Float32Array} query - a normalized vector
+     * @param {number} k - the number of chunks to return
+     * @param {number} [ef] - the number of candidates to keep while searching
+     * @returns {{id: string, chunk: number, similarity: number}[]}
+     */
+    search(query, k, ef = Math.max(this.#efSearch, k)) {
+        if (this.#entry < 0) {
+            return [];
+        }
+
+        const entry = this.#descend(query, 1, 0);
+        return this.#searchLayer(query, 1, [entry], ef, 0)
+            .filter(({node}) => this.#owners[node] !== null)
+            .slice(0, k)
+            .map(({node, similarity}) => ({id: this.#owners[node], chunk: this.#chunks[node], similarity}));
+    }
+
+    /**
+     * insert adds a node and links it into the graph
+     * @private
+     * @param {string} id
+     * @param {number} chunk
+     * @param {Float32Array|Int8Array} vector
+     * @param {number} scale
+     * @param {number} norm
+     * @returns {number} the node
+     */
+    #insert(id, chunk, vector, scale, norm) {
+        const node = this.#owners.length;
+        const level = Math.floor(-Math.log(this.#random() || Number.MIN_VALUE) * this.#levelFactor);
+        this.#vectors.push(vector);
+        this.#scales.push(scale);
+        this.#norms.push(norm);
+        this.#owners.push(id);
+        this.#chunks.push(chunk);
+        this.#links.push(Array.from({length: level + 1}, () => []));
+
+        if (this.#entry < 0) {
+            this.#entry = node;
+            this.#top = level;
+            return node;
+        }
+
+        let entry = this.#descend(vector, scale, level + 1);
+        for (let layer = Math.min(level, this.#top); layer >= 0; layer--) {
+            const found = this.#searchLayer(vector, scale, [entry], this.#efConstruction, layer);
+            const neighbors = this.#selectNeighbors(found, this.#m);
+            this.#links[node][layer] = neighbors.map(neighbor => neighbor.node);
+            neighbors.forEach(neighbor => this.#link(neighbor.node, node, layer));
+            entry = found[0];
+        }
+
+        if (level > this.#top) {
+            this.#entry = node;
+            this.#top = level;
+        }
+        return node;
+    }
+
+    /**
+     * link adds a node to the neighbors of another, dropping the least useful
+     * neighbor when there are too many
+     * @private
+     * @param {number} node
+     * @param {number} neighbor
+     * @param {number} layer
+     */
+    #link(node, neighbor, layer) {
+        const links = this.#links[node][layer];
+        links.push(neighbor);
+
+        const max = layer === 0 ? this.#m * 2 : this.#m;
+        if (links.length > max) {
+            const candidates = links
+                .map(other => ({node: other, similarity: this.#between(node, other)}))
+                .sort((a, b) => b.similarity - a.similarity);
+            this.#links[node][layer] = this.#selectNeighbors(candidates, max).map(({node: other}) => other);
+        }
+    }
+
+    /**
+     * descend walks greedily from the entry point down to a layer, returning
+     * the node most similar to a vector found on the way
+     * @private
+     * @param {Float32Array|Int8Array} vector
+     * @param {number} scale
+     * @param {number} layer - the lowest layer to walk
+     * @returns {{node: number, similarity: number}}
+     */
+    #descend(vector, scale, layer) {
+        let best = {node: this.#entry, similarity: this.#similarity(vector, scale, this.#entry)};
+        for (let current = this.#top; current >= layer; current--) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (const neighbor of this.#links[best.node][current] ?? []) {
+                    const similarity = this.#similarity(vector, scale, neighbor);
+                    if (similarity > best.similarity) {
+                        best = {node: neighbor, similarity};
+                        improved = true;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * searchLayer explores one layer from some entry nodes, returning the
+     * `ef` most similar nodes it finds, most similar first
+     * @private
+     * @param {Float32Array|Int8Array} vector
+     * @param {number} scale
+     * @param {{node: number, similarity: number}[]} entries
+     * @param {number} ef
+     * @param {number} layer
+     * @returns {{node: number, similarity: number}[]}
+     */
+    #searchLayer(vector, scale, entries, ef, layer) {
+        const visited = new Set(entries.map(({node}) => node));
+        const candidates = new Heap((a, b) => a.similarity > b.similarity);
+        const found = new Heap((a, b) => a.similarity < b.similarity);
+        entries.forEach(entry => {
+            candidates.push(entry);
+            found.push(entry);
+        });
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            if (found.size >= ef && current.similarity < found.peek().similarity) {
+                break;
+            }
+
+            for (const neighbor of this.#links[current.node][layer] ?? []) {
+                if (visited.has(neighbor)) {
+                    continue;
+                }
+                visited.add(neighbor);
+
+                const similarity = this.#similarity(vector, scale, neighbor);
+                if (found.size < ef || similarity > found.peek().similarity) {
+                    candidates.push({node: neighbor, similarity});
+                    found.push({node: neighbor, similarity});
+                    if (found.size > ef) {
+                        found.pop();
+                    }
+                }
+            }
+        }
+
+        return found.values().sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * selectNeighbors picks up to `m` neighbors from candidates sorted most
+     * similar first
+     *
+     * A candidate closer to an already picked neighbor than to the node is
+     * passed over at first, so that links spread out in every direction
+     * rather than bunching in one cluster; passed over candidates fill any
+     * places left.
+     *
+     * @private
+     * @param {{node: number, similarity: number}[]} candidates
+     * @param {number} m
+     * @returns {{node: number, similarity: number}[]}
+     */
+    #selectNeighbors(candidates, m) {
+        const selected = [];
+        const skipped = [];
+        for (const candidate of candidates) {
+            if (selected.length >= m) {
+                break;
+            }
+            const diverse = selected.every(({node}) => this.#between(candidate.node, node) < candidate.similarity);
+            (diverse ? selected : skipped).push(candidate);
+        }
+        return [...selected, ...skipped.slice(0, m - selected.length)];
+    }
+
+    /**
+     * rebuild builds the graph again from the nodes which are not deleted
+     * @private
+     */
+    #rebuild() {
+        const documents = Array.from(this.#documents, ([id, nodes]) => ({
+            id,
+            nodes: nodes.map(node => ({
+                vector: this.#vectors[node],
+                scale: this.#scales[node],
+                norm: this.#norms[node],
+            })),
+        }));
+
+        this.clear();
+        for (const {id, nodes} of documents) {
+            this.#documents.set(id, nodes.map(({vector, scale, norm}, chunk) =>
+                this.#insert(id, chunk, vector, scale, norm)));
+        }
+    }
+
+    /**
+     * similarity returns the cosine similarity of a vector to a node
+     * @private
+     * @param {Float32Array|Int8Array} vector
+     * @param {number} scale
+     * @param {number} node
+     * @returns {number}
+     */
+    #similarity(vector, scale, node) {
+        return dot(vector, this.#vectors[node]) * scale * this.#scales[node];
+    }
+
+    /**
+     * between returns the cosine similarity of two nodes
+     * @private
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    #between(a, b) {
+        return this.#similarity(this.#vectors[a], this.#scales[a], b);
+    }
+}
+
+/**
+ * normalize scales a vector to unit length
+ * @param {Float32Array|Vector} vector
+ * @returns {{vector: Float32Array, norm: number}} the normalized vector and
+ *     the length of the original
+ */
+export function normalize(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+        sum += vector[i] * vector[i];
+    }
+    const norm = Math.sqrt(sum);
+    const normalized = new Float32Array(vector.length);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) {
+            normalized[i] = vector[i] / norm;
+        }
+    }
+    return {vector: normalized, norm};
+}
+
+/**
+ * quantize stores each component of a vector in a byte, scaled so that the
+ * largest fills the range
+ * @param {Float32Array} vector
+ * @returns {{vector: Int8Array, scale: number}} the bytes, and the factor
+ *     which turns them back into the components
+ */
+export function quantize(vector) {
+    let max = 0;
+    for (let i = 0; i < vector.length; i++) {
+        max = Math.max(max, Math.abs(vector[i]));
+    }
+    const scale = max > 0 ? max / QUANTIZED_MAX : 1;
+    return {vector: Int8Array.from(vector, value => Math.round(value / scale)), scale};
+}
+
+/**
+ * dot returns the dot product of two vectors of the same length
+ * @param {Float32Array|Int8Array} a
+ * @param {Float32Array|Int8Array} b
+ * @returns {number}
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * seededRandom returns a generator of random numbers from 0 to 1 which
+ * always makes the same numbers from the same seed, so that the same
+ * documents always build the same graph
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Heap is a binary heap which keeps the item for which `before` holds
+ * against every other on top
+ */
+class Heap {
+    /** @type {any[]} */
+    #items = [];
+
+    /** @type {(a: any, b: any) => boolean} */
+    #before;
+
+    /**
+     * @param {(a: any, b: any) => boolean} before
+     */
+    constructor(before) {
+        this.#before = before;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get size() {
+        return this.#items.length;
+    }
+
+    /**
+     * @returns {any}
+     */
+    peek() {
+        return this.#items[0];
+    }
+
+    /**
+     * @param {any} item
+     */
+    push(item) {
+        const items = this.#items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.#before(items[i], items[parent])) {
+                break;
+            }
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * @returns {any}
+     */
+    pop() {
+        const items = this.#items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = (2 * i) + 1;
+                const right = left + 1;
+                let first = i;
+                if (left < items.length && this.#before(items[left], items[first])) {
+                    first = left;
+                }
+                if (right < items.length && this.#before(items[right], items[first])) {
+                    first = right;
+                }
+                if (first === i) {
+                    break;
+                }
+                [items[i], items[first]] = [items[first], items[i]];
+                i = first;
+            }
+        }
+        return top;
+    }
+
+    /**
+     * values returns the items in no particular order
+     * @returns {any[]}
+     */
+    values() {
+        return [...this.#items];
+    }
+}
@@ -0,0 +1,122 @@
+import { Suite } from '../../test/quench';
+import { HnswIndex, normalize, quantize } from './vector_index';
+
+/**
+ * random returns a generator of the same random numbers for the same seed
+ * @param {number} seed
+ * @returns {() => number}
+ */
+const random = seed => () => {
+    seed = ((seed * 1103515245) + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+/**
+ * clustered returns vectors scattered around a few centers, as embeddings of
+ * documents on a few topics are; the same centers are used for every seed
+ * @param {number} count
+ * @param {number} dimension
+ * @param {number} seed
+ * @returns {Float32Array[]}
+ */
+const clustered = (count, dimension, seed) => {
+    const centerRandom = random(7);
+    const centers = Array.from({length: 8}, () => Array.from({length: dimension}, () => centerRandom() - 0.5));
+    const noise = random(seed);
+    return Array.from({length: count}, (_, i) =>
+        Float32Array.from(centers[i % centers.length], value => value + ((noise() - 0.5) * 0.6)));
+};
+
+Suite('document.vector_index', VectorIndexTest);
+export default function VectorIndexTest({describe, it, assert, beforeEach}) {
+    describe('vectors', () => {
+        it('normalizes vectors and keeps their length', () => {
+            const {vector, norm} = normalize([3, 4]);
+            assert.equal(norm, 5);
+            assert.deepEqual(Array.from(vector), [Math.fround(0.6), Math.fround(0.8)]);
+        });
+
+        it('leaves zero vectors alone', () => {
+            const {vector, norm} = normalize([0, 0]);
+            assert.equal(norm, 0);
+            assert.deepEqual(Array.from(vector), [0, 0]);
+        });
+
+        it('quantizes components into bytes', () => {
+            const {vector, scale} = quantize(Float32Array.of(0.5, -0.25, 0));
+            assert.instanceOf(vector, Int8Array);
+            assert.deepEqual(Array.from(vector), [127, -63, 0]);
+            assert.closeTo(vector[1] * scale, -0.25, 0.01);
+        });
+    });
+
+    describe('index', () => {
+        let index;
+
+        beforeEach(() => {
+            index = new HnswIndex();
+            index.set('doc1', [[1, 0, 0], [0, 1, 0]]);
+            index.set('doc2', [[0, 0, 2]]);
+        });
+
+        it('finds the chunks nearest a query', () => {
+            const hits = index.search(normalize([0.1, 1, 0]).vector, 2);
+            assert.deepEqual(hits.map(({id, chunk}) => [id, chunk]), [['doc1', 1], ['doc1', 0]]);
+            assert.isAbove(hits[0].similarity, 0.99);
+        });
+
+        it('returns the vectors and lengths of a document', () => {
+            assert.deepEqual(index.vectorsOf('doc2').map(vector => Array.from(vector)), [[0, 0, 2]]);
+            assert.deepEqual(index.normsOf('doc2'), [2]);
+            assert.deepEqual(index.similarities('doc1', normalize([1, 1, 0]).vector)
+                .map(similarity => Math.round(similarity * 1000) / 1000), [0.707, 0.707]);
+        });
+
+        it('replaces and deletes documents', () => {
+            index.set('doc1', [[0, 0, 1]]);
+            assert.equal(index.chunkCount, 2);
+            assert.deepEqual(index.search(normalize([0, 0, 1]).vector, 3).map(({id, chunk}) => `${id}.${chunk}`).sort(),
+                ['doc1.0', 'doc2.0']);
+
+            index.delete('doc2');
+            assert.deepEqual(index.ids(), ['doc1']);
+            assert.deepEqual(index.search(normalize([0, 0, 1]).vector, 3).map(({id}) => id), ['doc1']);
+        });
+
+        it('finds nothing when empty', () => {
+            index.clear();
+            assert.equal(index.size, 0);
+            assert.deepEqual(index.search(normalize([1, 0, 0]).vector, 3), []);
+        });
+    });
+
+    describe('recall', () => {
+        [false, true].forEach(quantized => {
+            it(`finds the true nearest chunks ${quantized ? 'with' : 'without'} quantization`, () => {
+                const vectors = clustered(600, 16, 1);
+                const index = new HnswIndex({m: 8, efConstruction: 40, quantize: quantized});
+                vectors.forEach((vector, i) => index.set(`doc${i}`, [vector]));
+                // deleting most documents forces the graph to be rebuilt
+                vectors.slice(300).forEach((_, i) => index.delete(`doc${i + 300}`));
+                assert.equal(index.chunkCount, 300);
+
+                const normalized = vectors.slice(0, 300).map(vector => normalize(vector).vector);
+                let found = 0;
+                clustered(20, 16, 2).forEach(query => {
+                    const {vector} = normalize(query);
+                    const exact = normalized
+                        .map((other, i) => ({
+                            id: `doc${i}`,
+                            similarity: other.reduce((sum, value, j) => sum + (value * vector[j]), 0),
+                        }))
+                        .sort((a, b) => b.similarity - a.similarity)
+                        .slice(0, 10)
+                        .map(({id}) => id);
+                    const approximate = index.search(vector, 10).map(({id}) => id);
+                    found += approximate.filter(id => exact.includes(id)).length;
+                });
+                assert.isAtLeast(found / 200, 0.9);
+            });
+        });
+    });
+}
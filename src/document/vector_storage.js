@@ -0,0 +1,243 @@
+/**
+ * DATABASE_VERSION is the IndexedDB schema version
+ * @type {number}
+ */
+const DATABASE_VERSION = 1;
+
+/**
+ * DOCUMENTS is the object store holding one record of vectors per document
+ * @type {string}
+ */
+const DOCUMENTS = 'documents';
+
+/**
+ * METADATA is the object store holding information about the index itself
+ * @type {string}
+ */
+const METADATA = 'metadata';
+
+/**
+ * StorageUnavailableError indicates that the browser cannot persist the index
+ *
+ * This happens in private browsing modes, when storage has been disabled, or
+ * when the database could not be opened.
+ */
+export class StorageUnavailableError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'StorageUnavailableError';
+    }
+}
+
+/**
+ * VectorStorage persists document vectors in IndexedDB
+ *
+ * @description
+ * Each document is stored as its own record, so adding or removing a document
+ * only writes that document rather than the whole index. Vectors are stored
+ * as Float32Arrays, which IndexedDB keeps in binary form.
+ *
+ * @example
+ * ```javascript
+ * const storage = new VectorStorage('aide.my-world');
+ * await storage.open();
+ *
+ * await storage.put('JournalEntry.abc.JournalEntryPage.def', [new Float32Array([0.1, 0.2])]);
+ * const {entries, lastUpdated} = await storage.load();
+ * ```
+ */
+export class VectorStorage {
+    /** @type {string} */
+    #name;
+
+    /** @type {IDBDatabase|null} */
+    #db = null;
+
+    /**
+     * @param {string} [name='aide']
+     */
+    constructor(name = 'aide') {
+        this.#name = name;
+    }
+
+    /**
+     * open connects to the database, creating it if necessary
+     * @returns {Promise<void>}
+     * @throws {StorageUnavailableError} if IndexedDB cannot be used
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new StorageUnavailableError('IndexedDB is not available');
+        }
+
+        try {
+            this.#db = await promisify(() => {
+                const request = indexedDB.open(this.#name, DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(DOCUMENTS)) {
+                        db.createObjectStore(DOCUMENTS, {keyPath: 'id'});
+                    }
+                    if (!db.objectStoreNames.contains(METADATA)) {
+                        db.createObjectStore(METADATA);
+                    }
+                };
+                return request;
+            });
+        } catch (error) {
+            throw new StorageUnavailableError(`Unable to open the ${this.#name} database`, {cause: error});
+        }
+    }
+
+    /**
+     * close disconnects from the database
+     */
+    close() {
+        this.#db?.close();
+        this.#db = null;
+    }
+
+    /**
+     * load reads every document, the time the index was last updated and the
+     * fingerprint of the embeddings it holds
+     * @returns {Promise<{
+     *     entries: Map<string, Float32Array[]>,
+     *     hashes: Map<string, ContentHashes>,
+     *     terms: Map<string, TermFrequencies>,
+     *     lastUpdated: number|null,
+     *     fingerprint: IndexFingerprint|null
+     * }>}
+     */
+    async load() {
+        const transaction = this.#transaction([DOCUMENTS, METADATA], 'readonly');
+        const [records, lastUpdated, fingerprint] = await Promise.all([
+            promisify(() => transaction.objectStore(DOCUMENTS).getAll()),
+            promisify(() => transaction.objectStore(METADATA).get('lastUpdated')),
+            promisify(() => transaction.objectStore(METADATA).get('fingerprint')),
+        ]);
+
+        return {
+            entries: new Map(records.map(({id, vectors}) => [id, vectors])),
+            hashes: new Map(records
+                .filter(({hash}) => hash)
+                .map(({id, hash, chunkHashes}) => [id, {hash, chunkHashes}])),
+            terms: new Map(records
+                .filter(({terms}) => terms)
+                .map(({id, terms}) => [id, terms])),
+            lastUpdated: lastUpdated ?? null,
+            fingerprint: fingerprint ?? null,
+        };
+    }
+
+    /**
+     * putFingerprint records how the stored embeddings were made
+     * @param {IndexFingerprint|null} fingerprint
+     * @returns {Promise<void>}
+     */
+    async putFingerprint(fingerprint) {
+        const transaction = this.#transaction([METADATA], 'readwrite');
+        transaction.objectStore(METADATA).put(fingerprint, 'fingerprint');
+        await complete(transaction);
+    }
+
+    /**
+     * put writes the vectors of a single document
+     * @param {string} id
+     * @param {Float32Array[]} vectors
+     * @param {ContentHashes} [hashes] - hashes of the text the vectors were made from
+     * @param {TermFrequencies} [terms] - the terms of the text, for keyword search
+     * @returns {Promise<number>} the time of the update
+     */
+    async put(id, vectors, hashes, terms) {
+        return this.putBatch([{id, vectors, ...hashes, terms}]);
+    }
+
+    /**
+     * putBatch writes the vectors of several documents in one transaction
+     * @param {{
+     *     id: string,
+     *     vectors: Float32Array[],
+     *     hash?: string,
+     *     chunkHashes?: string[],
+     *     terms?: TermFrequencies
+     * }[]} documents
+     * @returns {Promise<number>} the time of the update
+     */
+    async putBatch(documents) {
+        return this.#write(store => documents.forEach(({id, vectors, hash, chunkHashes, terms}) =>
+            store.put({id, vectors, hash, chunkHashes, terms})));
+    }
+
+    /**
+     * delete removes the vectors of a document
+     * @param {string} id
+     * @returns {Promise<number>} the time of the update
+     */
+    async delete(id) {
+        return this.#write(store => store.delete(id));
+    }
+
+    /**
+     * clear removes every document
+     * @returns {Promise<number>} the time of the update
+     */
+    async clear() {
+        return this.#write(store => store.clear());
+    }
+
+    /**
+     * write applies a change to the documents and records the update time
+     * @private
+     * @param {(store: IDBObjectStore) => void} change
+     * @returns {Promise<number>}
+     */
+    async #write(change) {
+        const updated = Date.now();
+        const transaction = this.#transaction([DOCUMENTS, METADATA], 'readwrite');
+        change(transaction.objectStore(DOCUMENTS));
+        transaction.objectStore(METADATA).put(updated, 'lastUpdated');
+
+        await complete(transaction);
+        return updated;
+    }
+
+    /**
+     * @private
+     * @param {string[]} stores
+     * @param {IDBTransactionMode} mode
+     * @returns {IDBTransaction}
+     * @throws {StorageUnavailableError} if the database has not been opened
+     */
+    #transaction(stores, mode) {
+        if (!this.#db) {
+            throw new StorageUnavailableError('The vector database is not open');
+        }
+        return this.#db.transaction(stores, mode);
+    }
+}
+
+/**
+ * complete waits for an IndexedDB transaction to be committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function complete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * promisify waits for an IndexedDB request to complete
+ * @param {() => IDBRequest} createRequest
+ * @returns {Promise<any>}
+ */
+function promisify(createRequest) {
+    return new Promise((resolve, reject) => {
+        const request = createRequest();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
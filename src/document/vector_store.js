@@ -1,5 +1,12 @@
+import {KeywordIndex} from './keyword_index';
+import {Logger} from '../app/logger';
+import {HnswIndex, normalize} from './vector_index';
+import {StorageUnavailableError, VectorStorage} from './vector_storage';
+
 /**
  * STORAGE_KEY is a unique identifier for the location in local storage
+ *
+ * Format 1 stores kept the whole index here; it is only read to migrate it.
  * @type {string}
  */
 export const STORAGE_KEY = 'foundryvtt.aide.vectors';
@@ -15,7 +22,75 @@ export const STORAGE_TIME_KEY = 'foundryvtt.aide.last_updated';
  * This is used to determine if the stored data needs to be migrated
  * @type {number}
  */
-const STORAGE_FORMAT_VERSION = 1;
+const STORAGE_FORMAT_VERSION = 2;
+
+/**
+ * CHUNK_HITS is the number of best matching chunks reported for each document
+ * @type {number}
+ */
+const CHUNK_HITS = 3;
+
+/**
+ * EXACT_SEARCH_CHUNKS is the number of chunks up to which every chunk is
+ * compared to a query, which is quick enough and never misses a match
+ * @type {number}
+ */
+const EXACT_SEARCH_CHUNKS = 2000;
+
+/**
+ * CANDIDATE_CHUNKS is how many chunks the approximate search finds for each
+ * document wanted, so that documents matching in several chunks are found
+ * @type {number}
+ */
+const CANDIDATE_CHUNKS = 10;
+
+/**
+ * LOAD_SLICE_TIME is how long, in milliseconds, loading the stored vectors
+ * into the index may run before letting the browser handle other work, so
+ * that loading a large index does not freeze the page
+ * @type {number}
+ */
+const LOAD_SLICE_TIME = 50;
+
+/**
+ * METRICS score a chunk against a query, higher being more similar, from the
+ * cosine similarity and lengths of their vectors
+ *
+ * Cosine similarity ignores length, which suits models making unit vectors.
+ * The dot product rewards long vectors, as models trained for it intend.
+ * Euclidean similarity falls from 1 as the vectors grow further apart.
+ *
+ * @type {Record<string, (cosine: number, queryNorm: number, chunkNorm: number) => number>}
+ */
+export const METRICS = {
+    cosine: cosine => cosine,
+    dot: (cosine, queryNorm, chunkNorm) => cosine * queryNorm * chunkNorm,
+    euclidean: (cosine, queryNorm, chunkNorm) => {
+        const squared = (queryNorm * queryNorm) + (chunkNorm * chunkNorm) - (2 * queryNorm * chunkNorm * cosine);
+        return 1 / (1 + Math.sqrt(Math.max(0, squared)));
+    },
+};
+
+/**
+ * FINGERPRINT_FIELDS are the parts of a fingerprint which must agree for two
+ * sets of embeddings to be compared; the dimension follows from the model
+ * @type {string[]}
+ */
+const FINGERPRINT_FIELDS = ['provider', 'model', 'chunkSize', 'chunkOverlap', 'chunker'];
+
+/**
+ * matchesFingerprint returns whether embeddings made as described by one
+ * fingerprint can be mixed with embeddings made as described by another
+ * @param {IndexFingerprint|null} stored
+ * @param {IndexFingerprint|null} expected
+ * @returns {boolean}
+ */
+export function matchesFingerprint(stored, expected) {
+    if (!stored || !expected) {
+        return false;
+    }
+    return FINGERPRINT_FIELDS.every(field => stored[field] === expected[field]);
+}
 
 /**
  * VectorStore manages the storage and comparison of document vectors
@@ -24,25 +99,130 @@ const STORAGE_FORMAT_VERSION = 1;
  * to a query vector to find the most similar documents in the store.
  *
  * The store uses a weighted combination of maximum and average chunk similarity
- * to rank documents.
+ * to rank documents, under one of the METRICS.
+ *
+ * Vectors are held in memory in an HNSW index, normalized and optionally
+ * quantized, and persisted to IndexedDB, one record per document, so that
+ * each change only writes what changed. Small stores are searched by
+ * comparing every chunk; larger ones search the index for candidate
+ * documents first, and score only those. Writes
+ * happen in the background; `flush` waits for them to finish. If IndexedDB is
+ * unavailable the store still works, but the index only lasts for the session.
+ *
+ * The store also keeps a fingerprint of the provider, model, dimension and
+ * chunking used to build it, so that an index built with different settings
+ * can be recognized and rebuilt rather than compared against new vectors.
+ *
+ * Documents added with their term frequencies are also held in a keyword
+ * index, which is stored and shared with the vectors.
  */
 export class VectorStore {
-    /** @type {Map<string, Vector[]>} */
-    #cache = new Map();
+    /** @type {HnswIndex} */
+    #index;
+
+    /** @type {Map<string, ContentHashes>} */
+    #hashes = new Map();
+
+    /** @type {KeywordIndex} */
+    #keywords = new KeywordIndex();
 
     /** @type {number} */
     #dimension = 0;
 
+    /** @type {VectorStorage|null} */
+    #storage;
+
+    /** @type {number|null} */
+    #lastUpdated = null;
+
+    /** @type {IndexFingerprint|null} */
+    #fingerprint = null;
+
+    /** @type {Promise<void>} */
+    #writes = Promise.resolve();
+
+    /** @type {Set<VectorStoreListener>} */
+    #listeners = new Set();
+
+    /** @type {(cosine: number, queryNorm: number, chunkNorm: number) => number} */
+    #metric;
+
     /**
      * @param {number} [lookups=3]
      * @param {number} [maxWeight=0.7]
-     * @param {number} [queryBoostFactor=1.2]
+     * @param {string} [metric='cosine'] - one of the METRICS
+     * @param {VectorStorage} [storage]
+     * @param {HnswIndex} [index]
+     * @throws {Error} if the metric is unknown
      */
-    constructor(lookups = 3, maxWeight = 0.7, queryBoostFactor = 1.2) {
+    constructor(lookups = 3, maxWeight = 0.7, metric = 'cosine', storage = new VectorStorage(),
+        index = new HnswIndex()) {
+        if (!Object.hasOwn(METRICS, metric)) {
+            throw new Error(`Unknown similarity metric: ${metric}`);
+        }
+
         this.lookups = lookups;
         this.maxWeight = maxWeight;
-        this.queryBoostFactor = queryBoostFactor;
-        this.#loadFromStorage();
+        this.#metric = METRICS[metric];
+        this.#storage = storage;
+        this.#index = index;
+    }
+
+    /**
+     * initialize opens the storage, migrates any index left in local storage by
+     * earlier versions, and loads the stored vectors
+     *
+     * Linking every stored chunk into the index takes a while in large worlds,
+     * so it is done a slice at a time, between which the browser carries on
+     * with other work.
+     *
+     * @returns {Promise<void>}
+     * @throws {StorageUnavailableError} if the index cannot be persisted; the
+     *         store remains usable for the session
+     */
+    async initialize() {
+        try {
+            await this.#storage.open();
+            await this.#migrate();
+
+            const {entries, hashes, terms, lastUpdated, fingerprint} = await this.#storage.load();
+            let sliceStart = performance.now();
+            for (const [id, vectors] of entries) {
+                this.#index.set(id, vectors);
+                this.#dimension ||= vectors[0]?.length ?? 0;
+                if (performance.now() - sliceStart > LOAD_SLICE_TIME) {
+                    await new Promise(resolve => {
+                        setTimeout(resolve, 0);
+                    });
+                    sliceStart = performance.now();
+                }
+            }
+            this.#hashes = hashes;
+            terms.forEach((frequencies, id) => this.#keywords.set(id, frequencies));
+            this.#lastUpdated = lastUpdated;
+            this.#fingerprint = fingerprint;
+        } catch (error) {
+            this.#storage = null;
+            throw error instanceof StorageUnavailableError
+                ? error
+                : new StorageUnavailableError('Unable to load the vector index', {cause: error});
+        }
+    }
+
+    /**
+     * persistent returns whether changes to the store are saved
+     * @returns {boolean}
+     */
+    get persistent() {
+        return this.#storage !== null;
+    }
+
+    /**
+     * flush waits until every change so far has been written to storage
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.#writes;
     }
 
     /**
@@ -51,9 +231,12 @@ export class VectorStore {
      * @returns {void}
      */
     add(document) {
-        document.vectors.forEach(vector => this.#validateVector(vector, document.id));
-        this.#cache.set(document.id, document.vectors);
-        queueMicrotask(() => this.#saveToStorage());
+        const vectors = document.vectors.map(vector => this.#validateVector(vector, document.id));
+        this.#index.set(document.id, vectors);
+        const hashes = this.#setHashes(document);
+        this.#setTerms(document);
+        this.#write(storage => storage.put(document.id, vectors, hashes, document.terms));
+        this.#notify({type: 'add', id: document.id, vectors, terms: document.terms});
     }
 
     /**
@@ -62,80 +245,174 @@ export class VectorStore {
      * @returns {void}
      */
     addBatch(documents) {
-        documents.forEach(({id, vectors}) =>
-            vectors.forEach(vector => this.#validateVector(vector, id))
-        );
-        documents.forEach(({id, vectors}) =>
-            this.#cache.set(id, vectors)
-        );
-        queueMicrotask(() => this.#saveToStorage());
+        const validated = documents.map(document => ({
+            id: document.id,
+            vectors: document.vectors.map(vector => this.#validateVector(vector, document.id)),
+            ...this.#setHashes(document),
+            terms: this.#setTerms(document),
+        }));
+        validated.forEach(({id, vectors}) => this.#index.set(id, vectors));
+        this.#write(storage => storage.putBatch(validated));
+        this.#notify({type: 'batch'});
     }
 
     /**
      * delete will remove a document and its vectors from the store
      */
     delete(id) {
-        this.#cache.delete(id);
-        queueMicrotask(() => this.#saveToStorage());
+        this.#index.delete(id);
+        this.#hashes.delete(id);
+        this.#keywords.delete(id);
+        this.#write(storage => storage.delete(id));
+        this.#notify({type: 'delete', id});
     }
 
     /**
      * clear will remove all document vectors from the store
      */
     clear() {
-        this.#cache.clear();
-        queueMicrotask(() => this.#saveToStorage());
+        this.#index.clear();
+        this.#hashes.clear();
+        this.#keywords.clear();
+        this.#dimension = 0;
+        this.#write(storage => storage.clear());
+        this.setFingerprint(null);
+        this.#notify({type: 'clear'});
     }
 
     /**
-     * getLastUpdated returns the last time the store was updated
+     * getFingerprint returns how the vectors in the store were made, or null
+     * if that is not known
+     * @returns {IndexFingerprint|null}
      */
-    getLastUpdated() {
-        const dateString = localStorage.getItem(STORAGE_TIME_KEY);
-        return dateString ? new Date(parseInt(dateString)) : null;
+    getFingerprint() {
+        return this.#fingerprint;
     }
 
     /**
-     * findSimilar with enhanced query processing
-     * @param {Vector | Vector[]} queryVectors
-     * @returns {SimilarityResult[]}
+     * setFingerprint records how the vectors in the store were made
+     * @param {IndexFingerprint|null} fingerprint
      */
-    findSimilar(queryVectors) {
-        const queries = Array.isArray(queryVectors[0]) ? queryVectors : [queryVectors];
-        const avgWeight = 1 - this.maxWeight;
+    setFingerprint(fingerprint) {
+        this.#fingerprint = fingerprint;
+        this.#queue(storage => storage.putFingerprint(fingerprint));
+    }
 
-        return Array.from(this.#cache.entries())
-            .map(([id, documentVectors]) => {
-                console.log(`Processing document ${id} with ${documentVectors.length} vectors`);
+    /**
+     * hashOf returns the hash of the text a document's vectors were made from
+     * @param {string} id
+     * @returns {string|undefined}
+     */
+    hashOf(id) {
+        return this.#hashes.get(id)?.hash;
+    }
 
-                // For each query vector, calculate similarities with all document chunks
-                const queryScores = queries.map(queryVector => {
-                    const similarities = documentVectors.map(docVector => ({
-                        similarity: this.#calculateSimilarity(queryVector, docVector)
-                    }));
-                    console.log(`Similarities for doc ${id}:`, similarities);
+    /**
+     * chunkHashesOf returns the hashes of the chunks a document's vectors were
+     * made from, in the same order as the vectors
+     * @param {string} id
+     * @returns {string[]|undefined}
+     */
+    chunkHashesOf(id) {
+        return this.#hashes.get(id)?.chunkHashes;
+    }
 
-                    const maxSim = similarities.reduce((max, curr) =>
-                        curr.similarity > max.similarity ? curr : max
-                    );
+    /**
+     * vectorsOf returns the vectors of a document; quantized vectors are
+     * returned approximately
+     * @param {string} id
+     * @returns {Float32Array[]|undefined}
+     */
+    vectorsOf(id) {
+        return this.#index.vectorsOf(id);
+    }
 
-                    const avgSim = similarities.reduce((sum, curr) =>
-                        sum + curr.similarity, 0) / similarities.length;
+    /**
+     * termsOf returns the term frequencies of a document
+     * @param {string} id
+     * @returns {TermFrequencies|undefined}
+     */
+    termsOf(id) {
+        return this.#keywords.termsOf(id);
+    }
 
-                    const score = (maxSim.similarity * this.maxWeight) + (avgSim * avgWeight);
-                    console.log(`Scores for doc ${id}: max=${maxSim.similarity}, avg=${avgSim}, final=${score}`);
+    /**
+     * entries returns every document in the store
+     * @returns {{id: string, vectors: Float32Array[], terms?: TermFrequencies}[]}
+     */
+    entries() {
+        return this.#index.ids().map(id => {
+            const vectors = this.#index.vectorsOf(id);
+            const terms = this.#keywords.termsOf(id);
+            return terms ? {id, vectors, terms} : {id, vectors};
+        });
+    }
 
-                    return score;
-                });
+    /**
+     * subscribe registers a listener which is told about every change
+     * @param {VectorStoreListener} listener
+     * @returns {() => void} a function which removes the listener
+     */
+    subscribe(listener) {
+        this.#listeners.add(listener);
+        return () => this.#listeners.delete(listener);
+    }
 
-                // Take the maximum score across all query vectors
-                const score = queryScores.reduce((sum, score) => sum + score, 0) / queryScores.length;
-                console.log(`Final score for doc ${id}: ${score}`);
+    /**
+     * getLastUpdated returns the last time the store was updated
+     * @returns {Date|null}
+     */
+    getLastUpdated() {
+        return this.#lastUpdated === null ? null : new Date(this.#lastUpdated);
+    }
 
-                return { id, score };
-            })
+    /**
+     * findSimilar ranks the documents by the similarity of their chunks to
+     * one or more query vectors
+     *
+     * Each document scores a weighted combination of its best and average
+     * chunk similarity, averaged over the queries. Each result also lists the
+     * chunks of the document which best match the queries, by their position
+     * in the document, so that only those passages need be read.
+     *
+     * Once the store holds more chunks than can be compared quickly, only
+     * the documents holding the chunks nearest each query in the index are
+     * scored; `exact` scores every document instead.
+     *
+     * @param {Vector | Vector[]} queryVectors
+     * @param {number} [limit] - the number of documents to return; the lookups by default
+     * @param {{exact?: boolean}} [options]
+     * @returns {SimilarityResult[]}
+     */
+    findSimilar(queryVectors, limit = this.lookups, {exact = false} = {}) {
+        const queries = (typeof queryVectors[0] === 'number' ? [queryVectors] : queryVectors)
+            .map(vector => normalize(vector));
+        const ids = exact || this.#index.chunkCount <= EXACT_SEARCH_CHUNKS
+            ? this.#index.ids()
+            : this.#candidates(queries, limit);
+
+        return ids
+            .map(id => this.#score(id, queries))
             .sort((a, b) => b.score - a.score)
-            .slice(0, this.lookups);
+            .slice(0, limit);
+    }
+
+    /**
+     * findKeywords ranks the documents by the words they share with a query
+     * @param {string} query
+     * @param {number} [limit] - the number of documents to return; the lookups by default
+     * @returns {SimilarityResult[]}
+     */
+    findKeywords(query, limit = this.lookups) {
+        return this.#keywords.search(query, limit);
+    }
+
+    /**
+     * ids returns the ids of all documents in the store
+     * @returns {string[]}
+     */
+    ids() {
+        return this.#index.ids();
     }
 
     /**
@@ -143,7 +420,7 @@ export class VectorStore {
      * @returns {number}
      */
     size() {
-        return this.#cache.size;
+        return this.#index.size;
     }
 
     /**
@@ -151,98 +428,181 @@ export class VectorStore {
      * @returns {VectorStoreStats}
      */
     stats() {
-        const totalChunks = Array.from(this.#cache.values())
-            .reduce((sum, document) => sum + document.length, 0);
+        const totalChunks = this.#index.chunkCount;
 
         return {
-            documentCount: this.#cache.size,
+            documentCount: this.#index.size,
             vectorDimensions: this.#dimension,
             chunkCount: totalChunks,
-            storageSize: JSON.stringify({
-                formatVersion: STORAGE_FORMAT_VERSION,
-                entries: Object.fromEntries(this.#cache.entries())
-            }).length,
+            storageSize: totalChunks * this.#dimension * Float32Array.BYTES_PER_ELEMENT,
             version: STORAGE_FORMAT_VERSION
         };
     }
 
     /**
-     * Calculate cosine similarity with length normalization
+     * candidates returns the documents holding the chunks nearest to the
+     * queries in the index
      * @private
-     * @param {Vector} vecA
-     * @param {Vector} vecB
-     * @returns {number}
+     * @param {{vector: Float32Array, norm: number}[]} queries
+     * @param {number} limit
+     * @returns {string[]}
      */
-    #calculateSimilarity(vecA, vecB) {
-        const dot = vecA.reduce((sum, a, i) => sum + (a * vecB[i]), 0);
-        const normA = Math.sqrt(vecA.reduce((sum, a) => sum + (a * a), 0));
-        const normB = Math.sqrt(vecB.reduce((sum, b) => sum + (b * b), 0));
-
-        // Calculate basic cosine similarity
-        const cosineSim = dot / (normA * normB);
+    #candidates(queries, limit) {
+        const ids = new Set();
+        for (const {vector} of queries) {
+            this.#index.search(vector, limit * CANDIDATE_CHUNKS).forEach(({id}) => ids.add(id));
+        }
+        return Array.from(ids);
+    }
 
-        // Square it to emphasize directional alignment
-        const directionEmphasis = cosineSim * cosineSim;
+    /**
+     * score scores a document and its chunks against the queries
+     * @private
+     * @param {string} id
+     * @param {{vector: Float32Array, norm: number}[]} queries
+     * @returns {SimilarityResult}
+     */
+    #score(id, queries) {
+        const norms = this.#index.normsOf(id);
+        const avgWeight = 1 - this.maxWeight;
+        const chunkScores = new Array(norms.length).fill(0);
+
+        let score = 0;
+        for (const {vector, norm} of queries) {
+            let max = norms.length > 0 ? -Infinity : 0;
+            let sum = 0;
+            this.#index.similarities(id, vector).forEach((cosine, i) => {
+                const similarity = this.#metric(cosine, norm, norms[i]);
+                chunkScores[i] += similarity / queries.length;
+                max = Math.max(max, similarity);
+                sum += similarity;
+            });
+            const avg = norms.length > 0 ? sum / norms.length : 0;
+            score += ((max * this.maxWeight) + (avg * avgWeight)) / queries.length;
+        }
 
-        // Apply length normalization boost for shorter vectors
-        const lengthRatio = Math.min(normA, normB) / Math.max(normA, normB);
-        const boost = normA < normB ? this.queryBoostFactor : 1;
+        const chunks = chunkScores
+            .map((chunkScore, index) => ({index, score: chunkScore}))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CHUNK_HITS);
 
-        return directionEmphasis * Math.pow(lengthRatio, boost);
+        return {id, score, chunks};
     }
 
     /**
+     * migrate moves an index saved in local storage by format 1 into storage
+     *
+     * Format 1 kept every vector as JSON in a single local storage entry. The
+     * entry is removed once its documents have been written.
+     *
      * @private
-     * @throws {Error} If there is an error loading from local storage
+     * @returns {Promise<void>}
      */
-    #loadFromStorage() {
-        const stored = localStorage.getItem(STORAGE_KEY) || '{}';
-        const deserialized = JSON.parse(stored);
+    async #migrate() {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored === null) {
+            return;
+        }
 
-        if (deserialized.formatVersion !== undefined && deserialized.formatVersion !== STORAGE_FORMAT_VERSION) {
-            this.#migrate(deserialized);
+        let deserialized;
+        try {
+            deserialized = JSON.parse(stored);
+        } catch (e) {
+            deserialized = {};
         }
 
-        if (!deserialized.entries) {
-            return;
+        const documents = Object.entries(deserialized.entries ?? {})
+            .map(([id, vectors]) => ({id, vectors: vectors.map(vector => Float32Array.from(vector))}));
+        if (documents.length > 0) {
+            await this.#storage.putBatch(documents);
         }
 
-        for (const [key, value] of Object.entries(deserialized.entries)) {
-            this.#cache.set(key, value);
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(STORAGE_TIME_KEY);
+    }
+
+    /**
+     * setHashes records the hashes of a document being added
+     * @private
+     * @param {EmbeddingDocument} document
+     * @returns {ContentHashes|undefined} the hashes to store
+     */
+    #setHashes({id, hash, chunkHashes}) {
+        if (!hash) {
+            this.#hashes.delete(id);
+            return undefined;
         }
+
+        const hashes = chunkHashes ? {hash, chunkHashes} : {hash};
+        this.#hashes.set(id, hashes);
+        return hashes;
     }
 
     /**
+     * setTerms records the term frequencies of a document being added
      * @private
-     * @param {Object} stored
+     * @param {EmbeddingDocument} document
+     * @returns {TermFrequencies|undefined} the terms to store
      */
-    #migrate(stored) {
-        // todo: Migrate from one format version to another
+    #setTerms({id, terms}) {
+        if (!terms) {
+            this.#keywords.delete(id);
+            return undefined;
+        }
+
+        this.#keywords.set(id, terms);
+        return terms;
     }
 
     /**
+     * notify tells the listeners about a change
      * @private
-     * @throws {Error} If there is an error saving to local storage
+     * @param {VectorStoreChange} change
      */
-    #saveToStorage() {
-        const data = {
-            formatVersion: STORAGE_FORMAT_VERSION,
-            entries: Object.fromEntries(this.#cache.entries())
-        };
+    #notify(change) {
+        this.#listeners.forEach(listener => listener(change));
+    }
 
-        const serialized = JSON.stringify(data);
-        localStorage.setItem(STORAGE_KEY, serialized);
-        localStorage.setItem(STORAGE_TIME_KEY, Date.now().toString());
+    /**
+     * write queues a change to the storage behind any earlier changes
+     * @private
+     * @param {(storage: VectorStorage) => Promise<number>} change
+     */
+    #write(change) {
+        this.#lastUpdated = Date.now();
+        this.#queue(async storage => {
+            this.#lastUpdated = await change(storage);
+        });
     }
 
     /**
+     * queue runs a change to the storage after any earlier changes
      * @private
-     * @param {Vector} vector
+     * @param {(storage: VectorStorage) => Promise<void>} change
+     */
+    #queue(change) {
+        if (!this.#storage) {
+            return;
+        }
+
+        const storage = this.#storage;
+        this.#writes = this.#writes
+            .then(() => change(storage))
+            .catch(error => {
+                Logger.getLogger().error('Unable to save the vector index: %o', error);
+            });
+    }
+
+    /**
+     * @private
+     * @param {Vector|Float32Array} vector
      * @param {string} id
+     * @returns {Float32Array}
      * @throws {Error} If the vector is invalid or dimensions don't match
      */
     #validateVector(vector, id) {
-        if (!Array.isArray(vector) || !vector.every(n => typeof n === 'number')) {
+        if (!(vector instanceof Float32Array)
+            && (!Array.isArray(vector) || !vector.every(n => typeof n === 'number'))) {
             throw new Error(`Vector for ${id} must be an array of numbers`);
         }
 
@@ -254,5 +614,7 @@ export class VectorStore {
                 + `Expected ${this.#dimension}, got ${vector.length}`
             );
         }
+
+        return vector instanceof Float32Array ? vector : Float32Array.from(vector);
     }
 }
@@ -22,6 +22,10 @@ export class MockVectorStore {
         return this.#ctrl.call(this, 'addBatch', documents);
     }
 
+    chunkHashesOf(id) {
+        return this.#ctrl.call(this, 'chunkHashesOf', id);
+    }
+
     clear() {
         return this.#ctrl.call(this, 'clear');
     }
@@ -30,8 +34,28 @@ export class MockVectorStore {
         return this.#ctrl.call(this, 'delete', id);
     }
 
-    findSimilar(queryVectors) {
-        return this.#ctrl.call(this, 'findSimilar', queryVectors);
+    findKeywords(query, limit) {
+        return this.#ctrl.call(this, 'findKeywords', query, limit);
+    }
+
+    findSimilar(queryVectors, limit) {
+        return this.#ctrl.call(this, 'findSimilar', queryVectors, limit);
+    }
+
+    getFingerprint() {
+        return this.#ctrl.call(this, 'getFingerprint');
+    }
+
+    hashOf(id) {
+        return this.#ctrl.call(this, 'hashOf', id);
+    }
+
+    ids() {
+        return this.#ctrl.call(this, 'ids');
+    }
+
+    setFingerprint(fingerprint) {
+        return this.#ctrl.call(this, 'setFingerprint', fingerprint);
     }
 
     size() {
@@ -41,6 +65,14 @@ export class MockVectorStore {
     stats() {
         return this.#ctrl.call(this, 'stats');
     }
+
+    termsOf(id) {
+        return this.#ctrl.call(this, 'termsOf', id);
+    }
+
+    vectorsOf(id) {
+        return this.#ctrl.call(this, 'vectorsOf', id);
+    }
 }
 
 export class MockVectorStoreRecorder {
@@ -63,6 +95,10 @@ export class MockVectorStoreRecorder {
         return this.#ctrl.recordCall(this.#mock, 'addBatch', documents);
     }
 
+    chunkHashesOf(id) {
+        return this.#ctrl.recordCall(this.#mock, 'chunkHashesOf', id);
+    }
+
     clear() {
         return this.#ctrl.recordCall(this.#mock, 'clear');
     }
@@ -71,8 +107,28 @@ export class MockVectorStoreRecorder {
         return this.#ctrl.recordCall(this.#mock, 'delete', id);
     }
 
-    findSimilar(queryVectors) {
-        return this.#ctrl.recordCall(this.#mock, 'findSimilar', queryVectors);
+    findKeywords(query, limit) {
+        return this.#ctrl.recordCall(this.#mock, 'findKeywords', query, limit);
+    }
+
+    findSimilar(queryVectors, limit) {
+        return this.#ctrl.recordCall(this.#mock, 'findSimilar', queryVectors, limit);
+    }
+
+    getFingerprint() {
+        return this.#ctrl.recordCall(this.#mock, 'getFingerprint');
+    }
+
+    hashOf(id) {
+        return this.#ctrl.recordCall(this.#mock, 'hashOf', id);
+    }
+
+    ids() {
+        return this.#ctrl.recordCall(this.#mock, 'ids');
+    }
+
+    setFingerprint(fingerprint) {
+        return this.#ctrl.recordCall(this.#mock, 'setFingerprint', fingerprint);
     }
 
     size() {
@@ -82,4 +138,12 @@ export class MockVectorStoreRecorder {
     stats() {
         return this.#ctrl.recordCall(this.#mock, 'stats');
     }
+
+    termsOf(id) {
+        return this.#ctrl.recordCall(this.#mock, 'termsOf', id);
+    }
+
+    vectorsOf(id) {
+        return this.#ctrl.recordCall(this.#mock, 'vectorsOf', id);
+    }
 }
@@ -19,6 +19,10 @@ export class MockContext {
         return await this.#ctrl.callAsync(this, 'fromUuid', id);
     }
 
+    fromUuidSync(id) {
+        return this.#ctrl.call(this, 'fromUuidSync', id);
+    }
+
     get foundry() {
         return this.#ctrl.call(this, 'foundry');
     }
@@ -44,6 +48,10 @@ export class MockWindowRecorder {
         return this.#ctrl.recordCall(this.#mock, 'fromUuid', id);
     }
 
+    fromUuidSync(id) {
+        return this.#ctrl.recordCall(this.#mock, 'fromUuidSync', id);
+    }
+
     get foundry() {
         return this.#ctrl.recordPropertyCall(this.#mock, 'foundry');
     }
@@ -15,10 +15,18 @@ export class MockGame {
         return this.#ctrl.call(this, 'journal');
     }
 
+    get packs() {
+        return this.#ctrl.call(this, 'packs');
+    }
+
     get socket() {
         return this.#ctrl.call(this, 'socket');
     }
 
+    get users() {
+        return this.#ctrl.call(this, 'users');
+    }
+
     get world() {
         return this.#ctrl.call(this, 'world');
     }
@@ -40,10 +48,18 @@ export class MockGameRecorder {
         return this.#ctrl.recordPropertyCall(this.#mock, 'journal');
     }
 
+    get packs() {
+        return this.#ctrl.recordPropertyCall(this.#mock, 'packs');
+    }
+
     get socket() {
         return this.#ctrl.recordPropertyCall(this.#mock, 'socket');
     }
 
+    get users() {
+        return this.#ctrl.recordPropertyCall(this.#mock, 'users');
+    }
+
     get world() {
         return this.#ctrl.recordPropertyCall(this.#mock, 'world');
     }
@@ -1,5 +1,18 @@
 import SETTINGS_REGISTRY from './settings.json';
 
+/**
+ * DOCUMENT_TYPE_SETTINGS maps each indexable document type to the setting
+ * which enables it
+ * @type {Object<string, string>}
+ */
+const DOCUMENT_TYPE_SETTINGS = {
+    JournalEntryPage: 'IndexJournalPages',
+    Actor: 'IndexActors',
+    Item: 'IndexItems',
+    Scene: 'IndexScenes',
+    RollTable: 'IndexRollTables',
+};
+
 export class Settings {
     #module;
     #context;
@@ -28,6 +41,18 @@ export class Settings {
             ChunkSize: this.#context.game.settings.get(this.#module, 'ChunkSize'),
             ChunkOverlap: this.#context.game.settings.get(this.#module, 'ChunkOverlap'),
             EmbeddingModel: this.#context.game.settings.get(this.#module, 'EmbeddingModel'),
+            EmbeddingProvider: this.#context.game.settings.get(this.#module, 'EmbeddingProvider'),
+            DocumentTypes: Object.entries(DOCUMENT_TYPE_SETTINGS)
+                .filter(([, key]) => this.#context.game.settings.get(this.#module, key))
+                .map(([documentName]) => documentName),
+            Compendiums: this.#context.game.settings.get(this.#module, 'IndexedCompendiums'),
+            KeywordSearchWeight: this.#context.game.settings.get(this.#module, 'KeywordSearchWeight'),
+            Lookups: this.#context.game.settings.get(this.#module, 'VectorStoreLookups'),
+            ContextTokenBudget: this.#context.game.settings.get(this.#module, 'ContextTokenBudget'),
+            MinimumScore: this.#context.game.settings.get(this.#module, 'VectorStoreMinimumScore'),
+            RerankMethod: this.#context.game.settings.get(this.#module, 'RerankMethod'),
+            RerankModel: this.#rerankModel(),
+            RerankCandidates: this.#context.game.settings.get(this.#module, 'RerankCandidates'),
         };
     }
 
@@ -43,11 +68,14 @@ export class Settings {
                 topK: this.#context.game.settings.get(this.#module, 'ChatTopK'),
                 frequencyPenalty: this.#context.game.settings.get(this.#module, 'ChatFrequencyPenalty'),
                 presencePenalty: this.#context.game.settings.get(this.#module, 'ChatPresencePenalty'),
+                maxAttempts: this.#context.game.settings.get(this.#module, 'APIMaxAttempts'),
             },
             embedding: {
                 provider: this.#context.game.settings.get(this.#module, 'EmbeddingProvider'),
                 apiKey: this.#context.game.settings.get(this.#module, 'EmbeddingAPIKey'),
                 baseURL: this.#context.game.settings.get(this.#module, 'EmbeddingBaseURL'),
+                batchSize: this.#context.game.settings.get(this.#module, 'EmbeddingBatchSize'),
+                maxAttempts: this.#context.game.settings.get(this.#module, 'APIMaxAttempts'),
             }
         };
 
@@ -95,6 +123,12 @@ export class Settings {
 
         let type;
         switch (config.type) {
+            case 'Array':
+                type = Array;
+                break;
+            case 'Boolean':
+                type = Boolean;
+                break;
             case 'Number':
                 type = new this.#context.foundry.data.fields.NumberField({
                     nullable: false,
@@ -119,7 +153,7 @@ export class Settings {
             name: `${this.#module}.settings.${key}.name`,
             hint: `${this.#module}.settings.${key}.hint`,
             scope: config.scope,
-            config: true,
+            config: config.config ?? true,
             requiresReload: true,
             type,
             choices: config.choices,
@@ -127,4 +161,19 @@ export class Settings {
             onChange: value => this.changeSettings(key, value)
         });
     }
+
+    /**
+     * rerankModel returns the model which reranks search results; the chat
+     * model reranks when none is set, but only for the Chat Model method,
+     * since a reranker endpoint cannot run a chat model
+     * @private
+     * @returns {string}
+     */
+    #rerankModel() {
+        const model = this.#context.game.settings.get(this.#module, 'RerankModel');
+        if (model || this.#context.game.settings.get(this.#module, 'RerankMethod') !== 'llm') {
+            return model;
+        }
+        return this.ChatModel;
+    }
 }
@@ -36,7 +36,7 @@ export default function SettingsTest(quench) {
                     assert.equal(config.name, `test.settings.${key}.name`);
                     assert.equal(config.hint, `test.settings.${key}.hint`);
                     assert.equal(config.scope, defaultSettings.scope);
-                    assert.equal(config.config, true);
+                    assert.equal(config.config, defaultSettings.config ?? true);
                     assert.equal(config.requiresReload, true);
                     assert.equal(config.default, defaultSettings.default);
                     if (defaultSettings.choices) {
@@ -74,6 +74,31 @@ export default function SettingsTest(quench) {
         });
     });
 
+    describe('document manager settings', () => {
+        let values;
+
+        beforeEach(() => {
+            values = {};
+            mockContext.game.settings.EXPECT().get('test', jsmock.AnyString)
+                .DoAndReturn((namespace, key) => values[key] ?? SETTINGS_REGISTRY[key]?.default).AnyTimes();
+            settings = new Settings(mockContext, 'test');
+            settings.changeSettings('ChatModel', 'chat-model');
+        });
+
+        it('reranks with the chat model when no rerank model is set', () => {
+            values = {RerankMethod: 'llm'};
+            assert.equal(settings.getDocumentManagerSettings().RerankModel, 'chat-model');
+
+            values = {RerankMethod: 'llm', RerankModel: 'small-model'};
+            assert.equal(settings.getDocumentManagerSettings().RerankModel, 'small-model');
+        });
+
+        it('does not give the chat model to a cross-encoder', () => {
+            values = {RerankMethod: 'cross-encoder'};
+            assert.equal(settings.getDocumentManagerSettings().RerankModel, '');
+        });
+    });
+
     describe('number settings', () => {
         beforeEach(() => {
             Object.entries(SETTINGS_REGISTRY).forEach(([key, defaultSettings]) => {
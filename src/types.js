@@ -2,23 +2,36 @@
  * @typedef {Object} AIProvider
  * @property {() => Promise<string[]>} getChatModels
  * @property {() => Promise<string[]>} getEmbeddingModels
- * @property {(model: string, context: ContextDocument[], query: ConversationMessage[], stream?: boolean) =>
- *            Promise<string | AsyncGenerator<string, string>>} generate
- * @property {(model: string, id: string, chunks: Chunk[]) =>
+ * @property {(model: string, context: ContextDocument[], query: ConversationMessage[], stream?: boolean,
+ *             tools?: ToolDefinition[]) =>
+ *            Promise<string | GenerateResult | GenerateStream>} generate
+ * @property {(model: string, id: string, chunks: Chunk[], retry?: RequestRetry) =>
  *            Promise<EmbeddingDocument>} embed
+ * @property {boolean} [supportsTools] - whether generate accepts OpenAI-style tools
+ * @property {(model: string, query: string, documents: string[]) => Promise<number[]>} [rerank]
+ * @property {boolean} [supportsRerank] - whether rerank can be called
  */
 
 /**
  * @typedef {Object} AIProviderSettings
  * @property {string} apiKey
  * @property {string} [baseURL]
+ * @property {number} [batchSize]
+ * @property {number} [maxAttempts]
+ */
+
+/**
+ * @typedef {Object} ContentHashes
+ * @property {string} hash - a hash of the text of the whole document
+ * @property {string[]} [chunkHashes] - a hash of the text of each chunk
  */
 
 /**
  * @typedef {Object} ContextDocument
- * @property {string} id
- * @property {string} [title]
- * @property {string} [content]
+ * @property {string} uuid
+ * @property {string} [name] - the title of the document, including its journal entry
+ * @property {string} content - the document text, wrapped in a tag naming its type and title
+ * @property {number} [score] - how well the document matched the search which found it
  */
 
 /**
@@ -26,8 +39,9 @@
  * @property {string} id
  * @property {string} userId
  * @property {string} [title]
- * @property {ConversationMessage[]} [messages]
- * @property {ContextDocument[]} [context]
+ * @property {ConversationMessage[]} [messages] - every message of every branch, in the order they were written
+ * @property {number|null} [current] - the ID of the last message of the branch being shown
+ * @property {ConversationContextDocument[]} [context] - the documents the user pinned or excluded
  * @property {number} [last]
  */
 
@@ -35,31 +49,70 @@
  * @typedef {Object} ConversationContextDocument
  * @property {string} id
  * @property {string} name
- * @property {boolean} addedByUser
- * @property {boolean} removedByUser
+ * @property {boolean} addedByUser - pinned: always given to the chat model
+ * @property {boolean} removedByUser - excluded: never found by search
  */
 
 /**
  * @typedef {Object} ConversationMessage
+ * @property {number} [id]
+ * @property {number|null} [parentId] - the message this one follows, or null for the first message
  * @property {string} role
  * @property {string} content
  * @property {number} time
+ * @property {{name: string, arguments: object, status?: string}[]} [toolCalls] - tools called while generating
+ *           the message, with a status describing each
+ * @property {string[]} [searchQueries] - the rewritten queries searched for documents to answer the message
+ * @property {{id: string, name: string, pinned: boolean, score?: number}[]} [documents] - the documents given
+ *           to the chat model to answer the message, in the order it cites them
  */
 
 /**
  * @typedef {string} Chunk
  */
 
+/**
+ * @typedef {Object} ChunkHit
+ * @property {number} index - the position of the chunk in its document
+ * @property {number} score
+ */
+
+/**
+ * @typedef {Object} ChunkUnit
+ * @property {string} text - a sentence, or part of a long one
+ * @property {number} tokens
+ * @property {number} block - the index of the block holding the sentence
+ * @property {boolean} first - whether the sentence starts its block
+ */
+
 /**
  * @typedef {Object} EmbeddingDocument
  * @property {string} id
  * @property {Vector[]} vectors
+ * @property {string} [hash] - a hash of the text the vectors were made from
+ * @property {string[]} [chunkHashes] - a hash of the text of each chunk, in the order of the vectors
+ * @property {TermFrequencies} [terms] - the terms of the text, for keyword search
+ */
+
+/**
+ * @typedef {Object} Extractor
+ * @property {(game: object) => Iterable<object>} documents - lists the world documents of the type
+ * @property {(document: object) => string} extract - converts a document to indexable text
+ */
+
+/**
+ * @typedef {Object} GenerateResult
+ * @property {string} content
+ * @property {ToolCall[]} toolCalls
  */
 
 /**
  * @typedef {Object} GenerateStream
  * @property {Symbol.asyncIterator} [Symbol.asyncIterator]
  * @property {AbortController.abort} abort
+ * @property {{name: string, arguments: object, status: string}[]} [toolCalls] - the tools called so far
+ * @property {((call: {name: string, arguments: object, status: string}) => void)|null} [onToolCall] - told about
+ *           each tool call as it starts
  */
 
 /**
@@ -79,18 +132,102 @@
  * @property {number} ChunkSize
  * @property {number} ChunkOverlap
  * @property {string} EmbeddingModel
+ * @property {string} [EmbeddingProvider]
+ * @property {string[]} [DocumentTypes] - the document types to index
+ * @property {string[]} [Compendiums] - the collections of the compendium packs to index
+ * @property {number} [KeywordSearchWeight] - how much keywords count in searches, from 0 to 1
+ * @property {number} [Lookups] - the number of documents each search returns
+ * @property {number} [ContextTokenBudget] - the most tokens of document text given to the chat model
+ * @property {number} [MinimumScore] - the least similarity a document found by meaning must have
+ * @property {'none'|'llm'|'cross-encoder'} [RerankMethod] - how search results are reranked
+ * @property {string} [RerankModel] - the model which reranks search results
+ * @property {number} [RerankCandidates] - the number of search results which are reranked
+ */
+
+/**
+ * @typedef {Object} IndexFingerprint
+ * @property {string} provider - the embedding provider
+ * @property {string} model - the embedding model
+ * @property {number} [dimension] - the length of each vector
+ * @property {number} chunkSize
+ * @property {number} chunkOverlap
+ * @property {number} chunker - the version of the chunker
+ */
+
+/**
+ * @typedef {Object} IndexerStatus
+ * @property {'idle'|'running'|'paused'} state
+ * @property {number} done - the documents indexed since the queue was last empty
+ * @property {number} remaining - the documents still queued
+ * @property {{uuid: string, error: string}[]} failed - the documents which could not be indexed
+ * @property {number} total - the documents queued since the queue was last empty
+ */
+
+/**
+ * @typedef {(status: IndexerStatus) => void} IndexerListener
+ */
+
+/**
+ * @typedef {(request: () => Promise<any>) => Promise<any>} RequestRetry - runs a request to an AI service,
+ *           retrying it while its failure is transient
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} maxAttempts - the total number of attempts, including the first
+ * @property {number} baseDelay - the delay in milliseconds before the first retry
+ * @property {number} maxDelay - the longest delay in milliseconds between retries
  */
 
 /**
  * @typedef {Object} SimilarityResult
  * @property {string} id
  * @property {number} score
+ * @property {ChunkHit[]} [chunks] - the best matching chunks, best first
+ */
+
+/**
+ * @typedef {Object} Tool
+ * @property {string} name
+ * @property {string} description
+ * @property {object} parameters - a JSON schema describing the arguments
+ * @property {(args: object) => Promise<any>} handler
+ * @property {(args: object) => string} [status] - describes the call while it runs
+ */
+
+/**
+ * @typedef {Object<string, number>} TermFrequencies - how often each term appears in a document
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} id
+ * @property {string} name
+ * @property {object} arguments
+ */
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {'function'} type
+ * @property {{name: string, description: string, parameters: object}} function
  */
 
 /**
  * @typedef {number[]} Vector
  */
 
+/**
+ * @typedef {Object} VectorStoreChange
+ * @property {'add'|'batch'|'delete'|'clear'} type
+ * @property {string} [id] - the document changed, for add and delete
+ * @property {Float32Array[]} [vectors] - the new vectors, for add
+ * @property {TermFrequencies} [terms] - the new terms, for add
+ */
+
+/**
+ * @typedef {(change: VectorStoreChange) => void} VectorStoreListener
+ */
+
 /**
  * @typedef {Object} VectorStoreStats
  * @property {number} documentCount
@@ -1,4 +1,24 @@
+import {AIError} from '../ai/errors.js';
+import {Logger} from '../app/logger.js';
 import {ChatSettings} from './settings.js';
+import {linkCitations} from '../conversation/citations.js';
+import {journalPageData, pageTitle} from '../conversation/journal.js';
+import {
+    activePath,
+    appendMessage,
+    branchOf,
+    deleteMessage,
+    editMessage,
+    selectSibling,
+    siblingsOf
+} from '../conversation/tree.js';
+import {
+    excludeDocument,
+    excludedDocuments,
+    pinDocument,
+    pinnedDocuments,
+    resetDocument
+} from '../conversation/context.js';
 import { DateTime } from 'luxon';
 
 const {ApplicationV2, HandlebarsApplicationMixin} = foundry.applications.api;
@@ -6,7 +26,10 @@ const {ApplicationV2, HandlebarsApplicationMixin} = foundry.applications.api;
 export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
     // Class Properties
     #activeConversation;
+    #contextResults = [];
     #currentGeneration = null;
+    #editingMessage = null;
+    #showContext = false;
     #waitingForResponse = false;
 
     static DEFAULT_OPTIONS = {
@@ -22,12 +45,22 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
             resizable: true,
         },
         actions: {
+            cancelEdit: Chat.cancelEdit,
+            context: Chat.toggleContext,
             deleteConversation: Chat.deleteConversation,
             deleteMessage: Chat.deleteMessage,
+            editMessage: Chat.editMessage,
+            excludeDocument: Chat.excludeDocument,
             load: Chat.loadConversation,
             new: Chat.newConversation,
+            nextBranch: Chat.nextBranch,
+            pinDocument: Chat.pinDocument,
+            previousBranch: Chat.previousBranch,
             rename: Chat.rename,
+            resetDocument: Chat.resetDocument,
+            saveMessage: Chat.saveMessage,
             send: Chat.sendMessage,
+            submitEdit: Chat.submitEdit,
             settings: Chat.openChatSettings,
             stop: Chat.stop,
         }
@@ -45,12 +78,14 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
     };
 
     // Public Methods
-    constructor(conversationStore, chatClient, embeddingClient, vectorStore, documentManager, options = {}) {
+    constructor(conversationStore, chatClient, embeddingClient, vectorStore, documentManager, toolbox,
+        options = {}) {
         super(options);
         this.chatClient = chatClient;
         this.conversationStore = conversationStore;
         this.documentManager = documentManager;
         this.embeddingClient = embeddingClient;
+        this.toolbox = toolbox;
         this.vectorStore = vectorStore;
         this.#initializeMarkdownConverter();
     }
@@ -65,6 +100,7 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
     async _onRender(data, options) {
         await super._onRender(data, options);
         this.#setupEditor(this.element);
+        this.#setupContextPanel(this.element);
         this.#scrollToBottom(this.element);
     }
 
@@ -79,7 +115,7 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
 
     // Private Methods
     #addUserMessage(conversation, content) {
-        conversation.messages.push({
+        appendMessage(conversation, {
             role: 'user',
             content,
             time: DateTime.now().toUTC().toMillis(),
@@ -90,28 +126,81 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         this.#setupFocusEvents(editorContent, placeholderText);
         this.#setupContentObserver(editorContent, placeholderText, sendButton);
         this.#setupKeyboardShortcuts(proseMirror, sendButton);
+        this.#setupDropEvent(proseMirror, editorContent);
         this.#setupRenameEvent(this.element);
     }
 
-    async #determineContext(content) {
-        let embeddableContent = this.#activeConversation.messages
-            .reduce((acc, message) => `${acc}${message.content}\n\n`, '');
-        embeddableContent += content;
+    async #determineContext(conversation, model) {
+        const message = activePath(conversation).pop();
+        const queries = await this.#rewriteQuery(conversation, model);
+        if (queries) {
+            message.searchQueries = queries;
+        }
 
-        const model = game.settings.get('aide', 'EmbeddingModel');
-        const chunks = this.documentManager.calculateChunks(embeddableContent);
-        const embeddings = await this.embeddingClient.embed(model, this.#activeConversation.id, chunks);
+        // documents linked from the message and pinned documents are given
+        // whole, so search need not find them
+        const attached = await this.documentManager.attachments(message.content);
+        const given = new Set(attached.map(({uuid}) => uuid));
+        const pinned = pinnedDocuments(conversation).filter(id => !given.has(id));
+        const searched = queries ?? [message.content];
+        const results = await this.documentManager.search(searched,
+            [...given, ...pinned, ...excludedDocuments(conversation)]);
+        return [
+            ...attached,
+            ...await this.documentManager.contexts(pinned),
+            ...await this.documentManager.passages(results, searched.join('\n')),
+        ];
+    }
+
+    async #dropDocuments(event) {
+        event.preventDefault();
+        const data = TextEditor.getDragEventData(event);
+        const dropped = data?.uuid ? await fromUuid(data.uuid) : null;
+        if (!dropped) return;
+
+        // a journal entry stands for all of its pages
+        const ids = dropped.documentName === 'JournalEntry'
+            ? dropped.pages.contents.map(page => page.uuid)
+            : [dropped.uuid];
+        const contexts = await this.documentManager.contexts(ids);
+        if (contexts.length === 0) {
+            ui.notifications.warn(game.i18n.localize('aide.ui.pin.unreadable'));
+            return;
+        }
 
-        const results = this.vectorStore.findSimilar(embeddings.vectors);
+        contexts.forEach(({uuid, name}) => pinDocument(this.#activeConversation, uuid, name));
+        await this.#saveConversation();
+    }
 
-        const context = [];
-        for (const result of results) {
-            const document = await fromUuid(result.id);
-            if (document) {
-                context.push(document);
-            }
+    async #dropIntoEditor(event, editorContent) {
+        const data = TextEditor.getDragEventData(event);
+        if (!data?.uuid) return;
+
+        // the link is inserted by hand, rather than leaving the drop to the editor
+        event.preventDefault();
+        event.stopPropagation();
+        const range = document.caretRangeFromPoint?.(event.clientX, event.clientY);
+        const link = await TextEditor.getContentLink(data);
+        if (!link) return;
+
+        editorContent.focus();
+        if (range) {
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        document.execCommand('insertText', false, `${link} `);
+    }
+
+    async #findDocuments(query) {
+        if (!query.trim()) {
+            this.#contextResults = [];
+        } else {
+            const results = await this.documentManager.search(query);
+            const contexts = await this.documentManager.contexts(results.map(({id}) => id));
+            this.#contextResults = contexts.map(({uuid, name}) => ({id: uuid, name}));
         }
-        return context;
+        await this.render(false);
     }
 
     #formatMessageContent(content) {
@@ -128,13 +217,15 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
 
     async #generateAIResponse(conversation, model, context) {
         this.#currentGeneration = await this.chatClient
-            .generate(model, context, conversation.title, conversation.messages, true);
+            .generate(model, context, conversation.title, activePath(conversation), true, this.toolbox);
 
-        conversation.messages.push({
+        const pinned = pinnedDocuments(conversation);
+        appendMessage(conversation, {
             user: 'AIde',
             role: 'assistant',
             content: '',
             time: DateTime.now().toUTC().toMillis(),
+            documents: context.map(({uuid, name, score}) => ({id: uuid, name, pinned: pinned.includes(uuid), score})),
         });
         await this.render(false);
     }
@@ -143,7 +234,7 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         try {
             const response = await this.chatClient.generate(model, [],
                 conversation.title, [
-                    ...conversation.messages,
+                    ...activePath(conversation),
                     {
                         role: 'user',
                         content: 'Provide a name for this conversation of 50 characters or less. Put the name in an HTML <title> element.',
@@ -154,7 +245,9 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
             const match = response.match(/<title>(.*?)<\/title>/);
             conversation.title = match ? match[1] : 'New Conversation';
         } catch (error) {
-            ui.notifications.error('An error occurred while naming the conversation.');
+            ui.notifications.error(error instanceof AIError
+                ? game.i18n.localize(error.notification)
+                : 'An error occurred while naming the conversation.');
             console.error(error);
         }
     }
@@ -188,6 +281,9 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
             conversation.messages[idx].content += '\n\n_Generation stopped._';
             conversation.messages[idx].time = DateTime.now().toUTC().toMillis();
             contentElement.innerHTML = this.converter.makeHtml(conversation.messages[idx].content);
+        } else if (error instanceof AIError) {
+            ui.notifications.error(game.i18n.localize(error.notification));
+            console.error(error);
         } else {
             ui.notifications.error('An error occurred while generating the response.');
             console.error(error);
@@ -206,19 +302,54 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         }
 
         const conversation = structuredClone(this.#activeConversation);
-        this.#processConversationMessages(conversation);
-        return {...conversation, waitingForResponse: this.#waitingForResponse};
+        // only the branch being shown is rendered, noting where it could branch off
+        const path = activePath(conversation);
+        const branches = path.map(message => siblingsOf(conversation, message.id));
+        conversation.messages = path.map((message, i) => ({
+            ...message,
+            branch: branches[i].length > 1
+                ? {number: branches[i].indexOf(message) + 1, count: branches[i].length}
+                : null,
+        }));
+        await this.#processConversationMessages(conversation);
+        return {
+            ...conversation,
+            contextPanel: this.#prepareContextPanel(conversation),
+            waitingForResponse: this.#waitingForResponse
+        };
     }
 
-    #processConversationMessages(conversation) {
-        conversation.messages.forEach(message => {
+    #prepareContextPanel(conversation) {
+        const choices = conversation.context ?? [];
+        const chosen = new Set(choices.map(({id}) => id));
+        const answer = conversation.messages.findLast(message => message.role === 'assistant');
+        return {
+            open: this.#showContext,
+            pinned: choices.filter(({addedByUser}) => addedByUser),
+            excluded: choices.filter(({removedByUser}) => removedByUser),
+            used: (answer?.documents ?? []).filter(({id}) => !chosen.has(id)),
+            results: this.#contextResults.filter(({id}) => !chosen.has(id)),
+        };
+    }
+
+    async #processConversationMessages(conversation) {
+        await Promise.all(conversation.messages.map(async message => {
             message.time = DateTime.fromMillis(message.time).toRelative();
             message.user = (message.role === 'user')
                 ? game.users.get(conversation.userId).name
                 : 'AIde';
             message.isUserMessage = message.role === 'user';
-            message.content = this.converter.makeHtml(message.content);
-        });
+            message.editing = message.id === this.#editingMessage;
+            message.markdown = message.content;
+            message.sources = (message.documents ?? []).map((document, i) => ({
+                ...document,
+                number: i + 1,
+                score: document.score?.toFixed(3),
+            }));
+            // citations and content links, such as dropped documents, are shown as links
+            const content = linkCitations(message.content, message.documents);
+            message.content = await TextEditor.enrichHTML(this.converter.makeHtml(content));
+        }));
     }
 
     async #prepareSidebar() {
@@ -243,6 +374,78 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
             }, {});
     }
 
+    async #rewriteQuery(conversation, model) {
+        const rewriting = game.settings.get('aide', 'QueryRewriting');
+        if (rewriting === 'none') {
+            return null;
+        }
+
+        try {
+            return await this.chatClient.rewriteQuery(model, activePath(conversation), rewriting === 'multiple');
+        } catch (error) {
+            Logger.getLogger().warn('Unable to rewrite the search query: %o', error);
+            return null;
+        }
+    }
+
+    async #chooseJournal(name) {
+        const entries = game.journal.filter(entry => entry.canUserModify(game.user, 'update'))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const canCreate = JournalEntry.canUserCreate(game.user);
+        if (entries.length === 0 && !canCreate) {
+            ui.notifications.warn(game.i18n.localize('aide.ui.save-to-journal.forbidden'));
+            return null;
+        }
+
+        const folders = game.folders.filter(folder => folder.type === 'JournalEntry')
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const content = await renderTemplate('modules/aide/templates/dialogs/SaveToJournal.hbs',
+            {name, entries, folders, canCreate});
+        return Dialog.prompt({
+            title: game.i18n.localize('aide.ui.save-to-journal.title'),
+            content,
+            label: game.i18n.localize('aide.ui.save-to-journal.actions.save'),
+            callback: html => new FormDataExtended(html[0].querySelector('form')).object,
+            rejectClose: false,
+        });
+    }
+
+    async #respond(conversation) {
+        this.#waitingForResponse = true;
+        await this.render(false);
+
+        // Get AI response
+        const model = game.settings.get('aide', 'ChatModel');
+
+        try {
+            const context = await this.#determineContext(conversation, model);
+            await this.#generateAIResponse(conversation, model, context);
+            await this.#streamAIResponse(conversation);
+        } catch (error) {
+            this.#handleGenerationError(conversation, error);
+        } finally {
+            this.#currentGeneration = null;
+        }
+
+        // Name conversation if needed
+        if (conversation.title === 'New Conversation') {
+            await this.#generateConversationTitle(conversation, model);
+        }
+
+        // Finalize
+        await this.conversationStore.update(conversation);
+        this.#waitingForResponse = false;
+        await this.render(false);
+    }
+
+    async #saveConversation() {
+        // an empty conversation is saved with its first message
+        if (this.#activeConversation.messages.length > 0) {
+            await this.conversationStore.update(this.#activeConversation);
+        }
+        await this.render(false);
+    }
+
     #scrollToBottom(html) {
         const conversation = html.querySelector('.conversation');
         conversation.scrollTop = conversation.scrollHeight;
@@ -262,6 +465,26 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         });
     }
 
+    #setupContextPanel(html) {
+        const panel = html.querySelector('.context-panel');
+        if (!panel) return;
+
+        panel.addEventListener('dragover', event => event.preventDefault());
+        panel.addEventListener('drop', event => this.#dropDocuments(event));
+
+        const search = panel.querySelector('input[name="context-search"]');
+        search.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.#findDocuments(search.value);
+            }
+        });
+    }
+
+    #setupDropEvent(proseMirror, editorContent) {
+        proseMirror.addEventListener('drop', event => this.#dropIntoEditor(event, editorContent), {capture: true});
+    }
+
     #setupEditor(html) {
         const elements = this.#getEditorElements(html);
         if (!this.#validateEditorElements(elements)) return;
@@ -308,19 +531,59 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         const contentElement = conversationElement.querySelector('.message:last-of-type .content');
         const idx = conversation.messages.length - 1;
 
-        for await (const message of this.#currentGeneration) {
-            conversation.messages[idx].content += message;
-            conversation.messages[idx].time = DateTime.now().toUTC().toMillis();
-            contentElement.innerHTML = this.converter.makeHtml(conversation.messages[idx].content);
-            conversationElement.scrollTop = conversationElement.scrollHeight;
+        const generation = this.#currentGeneration;
+        // tool calls are shown apart from the answer, and never become part of it
+        generation.onToolCall = () => {
+            conversation.messages[idx].toolCalls = generation.toolCalls;
+            this.#showToolCalls(contentElement.closest('.message'), generation.toolCalls);
+        };
+        try {
+            for await (const message of generation) {
+                conversation.messages[idx].content += message;
+                conversation.messages[idx].time = DateTime.now().toUTC().toMillis();
+                contentElement.innerHTML = this.converter.makeHtml(conversation.messages[idx].content);
+                conversationElement.scrollTop = conversationElement.scrollHeight;
+            }
+        } finally {
+            if (generation.toolCalls?.length > 0) {
+                conversation.messages[idx].toolCalls = generation.toolCalls;
+            }
         }
     }
 
+    #showToolCalls(messageElement, toolCalls) {
+        let footer = messageElement.querySelector('.tool-calls');
+        if (!footer) {
+            footer = document.createElement('footer');
+            footer.classList.add('tool-calls');
+            // in the order the template renders them
+            const queries = messageElement.querySelector('.search-queries');
+            if (queries) {
+                queries.before(footer);
+            } else {
+                messageElement.append(footer);
+            }
+        }
+
+        const icon = document.createElement('i');
+        icon.classList.add('fas', 'fa-screwdriver-wrench');
+        footer.replaceChildren(icon, ...toolCalls.map(({status}) => {
+            const item = document.createElement('span');
+            item.textContent = status;
+            return item;
+        }));
+    }
+
     #validateEditorElements({editorContent, placeholderText, sendButton, proseMirror}) {
         return editorContent && placeholderText && sendButton && proseMirror;
     }
 
     // Static Methods
+    static async cancelEdit(event, target) {
+        this.#editingMessage = null;
+        await this.render(false);
+    }
+
     static async deleteConversation(event, target) {
         const confirmation = await Dialog.confirm({
             title: 'Delete Conversation',
@@ -344,35 +607,65 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
 
     static async deleteMessage(event, target) {
         const messageId = parseInt(target.getAttribute('data-message-id'), 10);
-        const messages = this.#activeConversation.messages.slice(0, messageId);
-        const diff = this.#activeConversation.messages.length - messages.length;
+        const count = branchOf(this.#activeConversation, messageId).length;
 
         const confirmation = await Dialog.confirm({
             title: 'Delete Message',
-            content: `Are you sure you want to delete ${diff} messages?`,
+            content: `Are you sure you want to delete ${count} messages?`,
         });
 
         if (!confirmation) {
             return;
         }
 
-        this.#activeConversation.messages = messages;
+        deleteMessage(this.#activeConversation, messageId);
         await this.conversationStore.update(this.#activeConversation);
         await this.render(false);
     }
 
+    static async editMessage(event, target) {
+        this.#editingMessage = parseInt(target.getAttribute('data-message-id'), 10);
+        await this.render(false);
+    }
+
+    static async excludeDocument(event, target) {
+        const {id, name} = target.dataset;
+        excludeDocument(this.#activeConversation, id, name);
+        await this.#saveConversation();
+    }
+
     static async loadConversation(event, target) {
         const userId = target.parentElement.getAttribute('data-user-id');
         const id = target.parentElement.getAttribute('data-id');
         this.#activeConversation = await this.conversationStore.get(userId, id);
+        this.#contextResults = [];
+        this.#editingMessage = null;
         await this.render(false);
     }
 
     static async newConversation(event, target) {
         this.#activeConversation = await this.conversationStore.create(game.user.id);
+        this.#contextResults = [];
+        this.#editingMessage = null;
         await this.render(false);
     }
 
+    static async nextBranch(event, target) {
+        selectSibling(this.#activeConversation, parseInt(target.getAttribute('data-message-id'), 10), 1);
+        await this.#saveConversation();
+    }
+
+    static async pinDocument(event, target) {
+        const {id, name} = target.dataset;
+        pinDocument(this.#activeConversation, id, name);
+        await this.#saveConversation();
+    }
+
+    static async previousBranch(event, target) {
+        selectSibling(this.#activeConversation, parseInt(target.getAttribute('data-message-id'), 10), -1);
+        await this.#saveConversation();
+    }
+
     static async rename(event, target) {
         if (target.value === '' || target.value === this.#activeConversation.title) {
             await this.render(false);
@@ -383,6 +676,30 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         await this.render(false);
     }
 
+    static async resetDocument(event, target) {
+        resetDocument(this.#activeConversation, target.dataset.id);
+        await this.#saveConversation();
+    }
+
+    static async saveMessage(event, target) {
+        const id = parseInt(target.getAttribute('data-message-id'), 10);
+        const message = this.#activeConversation.messages.find(other => other.id === id);
+        const choice = await this.#chooseJournal(pageTitle(message.content, this.#activeConversation.title));
+        if (!choice) return;
+
+        // the new page is indexed by the create hooks, like any other page
+        const data = journalPageData(choice.name || this.#activeConversation.title, message.content,
+            message.documents, this.converter);
+        let entry = game.journal.get(choice.journal);
+        if (entry) {
+            await entry.createEmbeddedDocuments('JournalEntryPage', [data]);
+        } else {
+            entry = await JournalEntry.create({name: data.name, folder: choice.folder || null, pages: [data]});
+        }
+
+        ui.notifications.info(game.i18n.format('aide.ui.save-to-journal.saved', {name: data.name, journal: entry.name}));
+    }
+
     static async stop(event, target) {
         if (this.#currentGeneration) {
             this.#currentGeneration.abort();
@@ -392,6 +709,11 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
         }
     }
 
+    static async toggleContext(event, target) {
+        this.#showContext = !this.#showContext;
+        await this.render(false);
+    }
+
     static openChatSettings(event, target) {
         new ChatSettings().render(true);
     }
@@ -404,30 +726,21 @@ export class Chat extends HandlebarsApplicationMixin(ApplicationV2) {
 
         // Add user message
         this.#addUserMessage(conversation, content);
-        this.#waitingForResponse = true;
-        await this.render(false);
-
-        // Get AI response
-        const model = game.settings.get('aide', 'ChatModel');
-        const context = await this.#determineContext(content);
-
-        try {
-            await this.#generateAIResponse(conversation, model, context);
-            await this.#streamAIResponse(conversation);
-        } catch (error) {
-            this.#handleGenerationError(conversation, error);
-        } finally {
-            this.#currentGeneration = null;
-        }
+        await this.#respond(conversation);
+    }
 
-        // Name conversation if needed
-        if (conversation.title === 'New Conversation') {
-            await this.#generateConversationTitle(conversation, model);
+    static async submitEdit(event, target) {
+        const id = parseInt(target.getAttribute('data-message-id'), 10);
+        const content = target.closest('.message').querySelector('textarea[name="edit"]').value.trim();
+        this.#editingMessage = null;
+        if (!content) {
+            await this.render(false);
+            return;
         }
 
-        // Finalize
-        await this.conversationStore.update(conversation);
-        this.#waitingForResponse = false;
-        await this.render(false);
+        // the edit starts a new branch, keeping the old one as an alternative
+        const conversation = this.#activeConversation;
+        editMessage(conversation, id, content, DateTime.now().toUTC().toMillis());
+        await this.#respond(conversation);
     }
 }
@@ -0,0 +1,79 @@
+import {COMPENDIUM_TYPES} from '../document/manager.js';
+
+const {ApplicationV2, HandlebarsApplicationMixin} = foundry.applications.api;
+
+export class CompendiumSettings extends HandlebarsApplicationMixin(ApplicationV2) {
+    static DEFAULT_OPTIONS = {
+        id: 'aide-compendium-settings',
+        position: {
+            width: 480,
+        },
+        window: {
+            title: 'aide.ui.compendium-settings.title',
+            icon: 'fas fa-atlas',
+            minimizable: false,
+            resizable: true,
+        },
+        actions: {
+            apply: CompendiumSettings.apply,
+            cancel: CompendiumSettings.cancel,
+        }
+    };
+
+    static PARTS = {
+        form: {
+            template: 'modules/aide/templates/applications/CompendiumSettings.hbs'
+        }
+    };
+
+    static async apply(event, target) {
+        const selected = Array.from(this.element.querySelectorAll('input[name="pack"]:checked'))
+            .map(input => input.value);
+        const previous = game.settings.get('aide', 'IndexedCompendiums');
+
+        await game.settings.set('aide', 'IndexedCompendiums', selected);
+        this.close();
+
+        const manager = aide.documentManager;
+        if (!manager || !aide.indexer) {
+            return;
+        }
+
+        try {
+            for (const collection of previous.filter(c => !selected.includes(c))) {
+                await manager.removeCompendium(collection);
+            }
+            for (const collection of selected.filter(c => !previous.includes(c))) {
+                ui.notifications.info(game.i18n.format('aide.ui.compendium-settings.indexing',
+                    {pack: game.packs.get(collection)?.title ?? collection}));
+                aide.indexer.enqueue(await manager.addCompendium(collection));
+            }
+        } catch (error) {
+            aide.notifyError(error);
+        }
+    }
+
+    static cancel(event, target) {
+        this.close();
+    }
+
+    async _preparePartContext(partId, context) {
+        const selected = game.settings.get('aide', 'IndexedCompendiums');
+
+        const packs = game.packs
+            .filter(pack => COMPENDIUM_TYPES.includes(pack.documentName) && pack.visible)
+            .map(pack => ({
+                collection: pack.collection,
+                title: pack.title,
+                source: pack.metadata.packageType === 'world'
+                    ? game.world.title
+                    : game.modules.get(pack.metadata.packageName)?.title ?? pack.metadata.packageName,
+                documentName: game.i18n.localize(`DOCUMENT.${pack.documentName}`),
+                size: pack.index.size,
+                checked: selected.includes(pack.collection),
+            }))
+            .sort((a, b) => a.source.localeCompare(b.source) || a.title.localeCompare(b.title));
+
+        return {packs};
+    }
+}
@@ -0,0 +1,79 @@
+const {ApplicationV2, HandlebarsApplicationMixin} = foundry.applications.api;
+
+export class IndexingStatus extends HandlebarsApplicationMixin(ApplicationV2) {
+    static DEFAULT_OPTIONS = {
+        id: 'aide-indexing-status',
+        position: {
+            width: 480,
+        },
+        window: {
+            title: 'aide.ui.indexing-status.title',
+            icon: 'fas fa-list-check',
+            minimizable: true,
+            resizable: true,
+        },
+        actions: {
+            pause: IndexingStatus.pause,
+            resume: IndexingStatus.resume,
+            retry: IndexingStatus.retry,
+            rebuild: IndexingStatus.rebuild,
+        }
+    };
+
+    static PARTS = {
+        status: {
+            template: 'modules/aide/templates/applications/IndexingStatus.hbs'
+        }
+    };
+
+    /** @type {(() => void)|null} */
+    #unsubscribe = null;
+
+    static pause(event, target) {
+        aide.indexer?.pause();
+    }
+
+    static resume(event, target) {
+        aide.indexer?.resume();
+    }
+
+    static retry(event, target) {
+        aide.indexer?.retryFailed();
+    }
+
+    static async rebuild(event, target) {
+        try {
+            await aide.indexer?.rebuild();
+        } catch (error) {
+            aide.notifyError(error);
+        }
+    }
+
+    async _preparePartContext(partId, context) {
+        const status = aide.indexer?.status();
+        if (!status) {
+            return {available: false};
+        }
+
+        return {
+            available: true,
+            ...status,
+            stateLabel: game.i18n.localize(`aide.ui.indexing-status.states.${status.state}`),
+            finished: status.done + status.failed.length,
+            documents: aide.vectorStore.size(),
+            running: status.state === 'running',
+            paused: status.state === 'paused',
+        };
+    }
+
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+        this.#unsubscribe = aide.indexer?.subscribe(() => this.render()) ?? null;
+    }
+
+    _onClose(options) {
+        super._onClose(options);
+        this.#unsubscribe?.();
+        this.#unsubscribe = null;
+    }
+}
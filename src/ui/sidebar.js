@@ -1,7 +1,7 @@
 import { Chat } from './chat.js';
 
 export async function renderChatWithAIButton(app, html, conversationStore, chatClient,
-    embeddingClient, vectorStore, documentManager) {
+    embeddingClient, vectorStore, documentManager, toolbox) {
     if (!(app instanceof JournalDirectory)) {
         return;
     }
@@ -21,7 +21,7 @@ export async function renderChatWithAIButton(app, html, conversationStore, chatC
 
     const button = targetElement.find('.aide.chat-with-ai');
     button.click(() => {
-        new Chat(conversationStore, chatClient, embeddingClient, vectorStore, documentManager)
+        new Chat(conversationStore, chatClient, embeddingClient, vectorStore, documentManager, toolbox)
             .render(true);
     });
 }